@@ -6,12 +6,19 @@ const path = require('path');
 const helmet = require('helmet');
 const compression = require('compression');
 const { initScheduledJobs } = require('./services/scheduler');
+const { UPSTREAM_MODE } = require('./services/fixtures');
+const { seedSessions } = require('./services/sessions');
 
 // Import route handlers
 const billsRoutes = require('./routes/bills');
 const votesRoutes = require('./routes/votes');
 const membersRoutes = require('./routes/members');
 const adminRoutes = require('./routes/admin');
+const sessionsRoutes = require('./routes/sessions');
+const changesRoutes = require('./routes/changes');
+const feedsRoutes = require('./routes/feeds');
+const graphqlRoutes = require('./routes/graphql');
+const docsRoutes = require('./routes/docs');
 
 
 // Create Express app
@@ -27,6 +34,16 @@ const connectDB = async () => {
     
     await mongoose.connect(connectionString);
     console.log('MongoDB connected successfully');
+    
+    // Drop indexes no longer in the schemas (e.g. the old TTL indexes that deleted votes, bills and members)
+    await Promise.all([
+      require('./models/Bill').syncIndexes(),
+      require('./models/Vote').syncIndexes(),
+      require('./models/Member').syncIndexes(),
+      require('./models/ChangeLog').syncIndexes()
+    ]);
+    
+    await seedSessions();
   } catch (error) {
     console.error('MongoDB connection error details:', {
       message: error.message,
@@ -56,11 +73,20 @@ app.use(morgan('combined')); // Request logging
 app.use('/api/bills', billsRoutes);
 app.use('/api/votes', votesRoutes);
 app.use('/api/members', membersRoutes);
+app.use('/api/sessions', sessionsRoutes);
+app.use('/api/changes', changesRoutes);
+app.use('/api/graphql', graphqlRoutes);
+
+// OpenAPI document (/api/openapi.json) and interactive docs (/api/docs)
+app.use('/api', docsRoutes);
+
+// Atom feeds (outside /api so feed readers get clean URLs)
+app.use('/feeds', feedsRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.status(200).json({ status: 'ok', message: 'Server is running' });
+  res.status(200).json({ status: 'ok', message: 'Server is running', upstream_mode: UPSTREAM_MODE });
 });
 
 app.get('/api/db-test', async (req, res) => {
@@ -103,31 +129,4 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Add this to your app.js temporarily
-app.get('/api/admin/refresh-data', async (req, res) => {
-  try {
-    // Import models
-    const Bill = require('./models/Bill');
-    const Vote = require('./models/Vote');
-    const Member = require('./models/Member');
-    
-    // Clear existing cache
-    await Promise.all([
-      Bill.deleteMany({}),
-      Vote.deleteMany({}),
-      Member.deleteMany({})
-    ]);
-    
-    // Trigger data refresh
-    const { updateRecentVotes, updateRecentBills } = require('./services/scheduler');
-    await updateRecentVotes();
-    await updateRecentBills();
-    
-    res.json({ success: true, message: 'Cache cleared and refresh triggered' });
-  } catch (error) {
-    console.error('Refresh error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'operator', 'admin'];
+
+/**
+ * Parse ADMIN_API_KEYS ("key:role,key:role") into a list of keys with roles
+ * @param {string} value - Environment value
+ * @returns {Array<{hash: Buffer, role: string, id: string}>}
+ */
+function parseApiKeys(value = '') {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      const key = separator === -1 ? entry : entry.slice(0, separator);
+      const role = separator === -1 ? 'viewer' : entry.slice(separator + 1);
+
+      if (!ROLES.includes(role)) {
+        throw new Error(`ADMIN_API_KEYS: unknown role "${role}". Allowed: ${ROLES.join(', ')}`);
+      }
+
+      const hash = hashKey(key);
+      return { hash, role, id: hash.toString('hex').slice(0, 8) };
+    });
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+const API_KEYS = parseApiKeys(process.env.ADMIN_API_KEYS);
+
+/**
+ * Read the API key from "Authorization: Bearer <key>" or "X-API-Key"
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function extractApiKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Authenticate an admin request, setting req.admin = { role, keyId }
+ */
+function authenticateAdmin(req, res, next) {
+  const key = extractApiKey(req);
+
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  // Compare hashes in constant time so keys can't be guessed byte by byte
+  const hash = hashKey(key);
+  const match = API_KEYS.find(apiKey => crypto.timingSafeEqual(apiKey.hash, hash));
+
+  if (!match) {
+    console.warn(`Rejected admin request to ${req.originalUrl}: invalid API key`);
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ success: false, error: 'Invalid API key' });
+  }
+
+  req.admin = { role: match.role, keyId: match.id };
+  next();
+}
+
+/**
+ * Require at least the given role
+ * @param {string} role - viewer, operator or admin
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  const required = ROLES.indexOf(role);
+
+  return (req, res, next) => {
+    if (!req.admin || ROLES.indexOf(req.admin.role) < required) {
+      return res.status(403).json({ success: false, error: `This action requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Require an explicit confirmation parameter (?confirm=<value> or body.confirm)
+ * for destructive operations
+ * @param {string} value - Expected confirmation value
+ * @returns {Function} - Express middleware
+ */
+function requireConfirmation(value) {
+  return (req, res, next) => {
+    const confirm = req.query.confirm || (req.body && req.body.confirm);
+    if (confirm !== value) {
+      return res.status(400).json({
+        success: false,
+        error: `This operation is destructive. Repeat the request with confirm=${value} to proceed.`
+      });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticateAdmin,
+  requireRole,
+  requireConfirmation,
+  parseApiKeys,
+  ROLES
+};
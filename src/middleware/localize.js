@@ -0,0 +1,45 @@
+const { negotiateLanguage, translateMessage, collapseLocalized } = require('../services/i18n');
+
+// Top-level body fields holding messages meant for people
+const MESSAGE_FIELDS = ['error', 'message'];
+
+/**
+ * Answer in the request's language: sets req.lang and Content-Language,
+ * collapses bilingual { en, fr } fields in JSON bodies to one string and
+ * renders keyed error messages (see i18n messageError) in that language.
+ * Mount it before validateRequest so its 400s are translated too.
+ * @param {Object} [options]
+ * @param {Function} [options.language] - req -> en or fr (defaults to ?lang= / Accept-Language)
+ * @param {boolean} [options.collapse] - Collapse bilingual fields (off where the schema exposes both, e.g. GraphQL)
+ * @returns {Function} - Express middleware
+ */
+function localizeResponses({ language = negotiateLanguage, collapse = true } = {}) {
+  return (req, res, next) => {
+    const lang = language(req);
+    req.lang = lang;
+    res.set('Content-Language', lang);
+    if (language === negotiateLanguage) res.vary('Accept-Language');
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (!body || typeof body !== 'object') return json(body);
+
+      const localizedBody = collapse ? collapseLocalized(body, lang) : { ...body };
+      if (Array.isArray(localizedBody)) return json(localizedBody);
+
+      for (const field of MESSAGE_FIELDS) {
+        if (localizedBody[field] !== undefined) localizedBody[field] = translateMessage(localizedBody[field], lang);
+      }
+      if (Array.isArray(localizedBody.errors)) {
+        localizedBody.errors = localizedBody.errors.map(error => ({ ...error, message: translateMessage(error.message, lang) }));
+      }
+      return json(localizedBody);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  localizeResponses
+};
@@ -0,0 +1,47 @@
+const { getCurrentSession, requireSession } = require('../services/sessions');
+const { errorMessage } = require('../services/i18n');
+
+/**
+ * Validate `?session=`, rejecting unknown sessions with a 400.
+ * With `defaultToCurrent`, a missing session becomes the current one and
+ * `session=all` lifts the restriction.
+ * @param {Object} [options]
+ * @param {boolean} [options.defaultToCurrent] - Fill in the current session when none is given
+ * @returns {Function} - Express middleware
+ */
+function resolveSession({ defaultToCurrent = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const { session } = req.query;
+
+      if (session === 'all') {
+        delete req.query.session;
+      } else if (session) {
+        await requireSession(session);
+      } else if (defaultToCurrent) {
+        req.query.session = (await getCurrentSession()).id;
+      }
+
+      next();
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+    }
+  };
+}
+
+/**
+ * router.param handler rejecting unknown `:session` path parameters with a 400
+ */
+async function validateSessionParam(req, res, next, session) {
+  try {
+    await requireSession(session);
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+}
+
+module.exports = {
+  resolveSession,
+  validateSessionParam
+};
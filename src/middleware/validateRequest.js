@@ -0,0 +1,153 @@
+const { openApiDocument } = require('../services/openapi');
+const { escapeRegex } = require('../services/billQuery');
+const { message } = require('../services/i18n');
+
+const BOOLEAN_VALUES = {
+  true: true, 1: true, yes: true,
+  false: false, 0: false, no: false
+};
+
+/**
+ * Compile the document's paths into matchers, most specific first
+ * (fewest path parameters, then longest literal text), so /api/members/export
+ * wins over /api/members/{memberName}
+ * @param {Object} document - OpenAPI document
+ * @returns {Array<{regex: RegExp, names: string[], item: Object}>}
+ */
+function compilePaths(document) {
+  return Object.entries(document.paths)
+    .map(([template, item]) => {
+      const names = [];
+      const source = template.split(/\{([^}]+)\}/).map((part, index) => {
+        if (index % 2 === 0) return escapeRegex(part);
+        names.push(part);
+        return '([^/]+)';
+      }).join('');
+
+      return {
+        regex: new RegExp(`^${source}/?$`),
+        names,
+        literalLength: template.replace(/\{[^}]+\}/g, '').length,
+        item
+      };
+    })
+    .sort((a, b) => a.names.length - b.names.length || b.literalLength - a.literalLength);
+}
+
+const PATHS = compilePaths(openApiDocument);
+
+/**
+ * Check a raw parameter value against its schema
+ * @param {string} raw - Value from the path or query string
+ * @param {Object} schema - Parameter schema
+ * @returns {{value: *}|{problem: Message}} - Coerced value, or what is wrong with it
+ */
+function checkValue(raw, schema) {
+  if (schema.type === 'integer' || schema.type === 'number') {
+    const pattern = schema.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+    const value = Number(raw);
+    if (!pattern.test(raw)
+      || (schema.minimum !== undefined && value < schema.minimum)
+      || (schema.maximum !== undefined && value > schema.maximum)) {
+      return { problem: message('parameter_not_number', { type: schema.type, minimum: schema.minimum, maximum: schema.maximum }) };
+    }
+    return { value };
+  }
+
+  if (schema.type === 'boolean') {
+    const value = BOOLEAN_VALUES[raw.toLowerCase()];
+    return value === undefined ? { problem: message('parameter_not_boolean') } : { value };
+  }
+
+  if (schema.enum && !schema.enum.includes(raw)) {
+    return { problem: message('parameter_not_enum', { values: schema.enum.join(', ') }) };
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(raw)) {
+    return {
+      problem: schema.example !== undefined
+        ? message('parameter_not_like', { example: schema.example })
+        : message('parameter_not_matching', { pattern: schema.pattern })
+    };
+  }
+  if ((schema.format === 'date' || schema.format === 'date-time') && isNaN(new Date(raw).getTime())) {
+    return { problem: message(schema.format === 'date' ? 'parameter_not_date' : 'parameter_not_timestamp') };
+  }
+
+  return { value: raw };
+}
+
+/**
+ * Validate a request's path and query parameters against the operation
+ * documented for it
+ * @param {Object} operation - OpenAPI operation
+ * @param {string[]} pathValues - Raw path segments, in template order
+ * @param {string[]} pathNames - Path parameter names, in template order
+ * @param {Object} query - Request query parameters (coerced in place)
+ * @returns {Message|null} - Error message, or null when the request is valid
+ */
+function validateParameters(operation, pathValues, pathNames, query) {
+  for (const parameter of operation.parameters || []) {
+    const location = { location: parameter.in, name: parameter.name };
+    let raw;
+
+    if (parameter.in === 'path') {
+      try {
+        raw = decodeURIComponent(pathValues[pathNames.indexOf(parameter.name)]);
+      } catch (error) {
+        return message('parameter_invalid', { ...location, problem: message('parameter_malformed') });
+      }
+    } else {
+      raw = query[parameter.name];
+    }
+
+    // An empty query value means the same as leaving it out
+    if (raw === undefined || raw === '') {
+      if (parameter.required) return message('parameter_missing', location);
+      continue;
+    }
+    if (typeof raw !== 'string') {
+      return message('parameter_invalid', { ...location, problem: message('parameter_repeated') });
+    }
+
+    const { value, problem } = checkValue(raw, parameter.schema);
+    if (problem) return message('parameter_invalid', { ...location, problem });
+    if (parameter.in === 'query') query[parameter.name] = value;
+  }
+
+  return null;
+}
+
+/**
+ * Reject requests whose path or query parameters don't match the OpenAPI
+ * document with a 400. Valid query values are converted to their documented
+ * types (e.g. limit becomes a number). Requests to undocumented paths pass through.
+ * @param {Object} [options]
+ * @param {Function} [options.formatError] - Message -> response body
+ * @returns {Function} - Express middleware
+ */
+function validateRequest({ formatError = message => ({ error: message }) } = {}) {
+  return (req, res, next) => {
+    const fullPath = `${req.baseUrl}${req.path}`;
+    const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+
+    for (const { regex, names, item } of PATHS) {
+      const match = regex.exec(fullPath);
+      if (!match) continue;
+
+      const operation = item[method];
+      if (!operation) return next();
+
+      const message = validateParameters(operation, match.slice(1), names, req.query);
+      if (message) {
+        return res.status(400).json(formatError(message));
+      }
+      return next();
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  validateRequest
+};
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const checkpointSchema = new mongoose.Schema({
+  session: { type: String, required: true },
+  entity: { type: String, enum: ['bills', 'votes', 'ballots'], required: true },
+  status: { type: String, enum: ['pending', 'running', 'completed', 'failed'], default: 'pending' },
+  offset: { type: Number, default: 0 }, // Next list offset to fetch
+  processed: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  total: { type: Number }, // Known only once the end of the list is reached (or up front for ballots)
+  last_error: { type: String },
+  started_at: { type: Date },
+  completed_at: { type: Date }
+});
+
+const backfillRunSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['running', 'paused', 'completed', 'failed'],
+    default: 'running'
+  },
+  sessions: [String],
+  entities: [String],
+  checkpoints: [checkpointSchema],
+  
+  // The process working on a running backfill holds a lease it renews every page;
+  // once it lapses (crash, deploy) any instance may claim the run
+  lease_owner: { type: String },
+  lease_expires_at: { type: Date },
+  
+  started_at: { type: Date, default: Date.now },
+  paused_at: { type: Date },
+  finished_at: { type: Date },
+  last_error: { type: String }
+}, { timestamps: true });
+
+backfillRunSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BackfillRun', backfillRunSchema);
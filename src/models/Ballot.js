@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const ballotSchema = new mongoose.Schema({
+  // Key fields from OpenParliament API (/votes/ballots/)
+  politician_url: { type: String, required: true },
+  politician_membership_url: { type: String },
+  vote_url: { type: String, required: true },
+  ballot: { type: String }, // Yes, No, Paired or Didn't vote
+  
+  // Denormalized from the vote and membership for filtering without joins
+  politician_name: { type: String },
+  party: { type: String }, // Party at the time of the vote
+  session: { type: String, required: true },
+  vote_number: { type: Number, required: true },
+  date: { type: Date },
+  
+  data: { type: mongoose.Schema.Types.Mixed }, // Raw API data
+  last_updated: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+// One ballot per member per vote
+ballotSchema.index({ vote_url: 1, politician_url: 1 }, { unique: true });
+ballotSchema.index({ politician_url: 1, date: -1 }); // For member voting records
+ballotSchema.index({ session: 1, vote_number: 1 });
+
+module.exports = mongoose.model('Ballot', ballotSchema);
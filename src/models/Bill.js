@@ -18,22 +18,37 @@ const billSchema = new mongoose.Schema({
   summary: { type: String },
   text_url: { type: String },
   law_url: { type: String },
+  law: { type: Boolean, default: false },
   events: [
     {
+      stage: String,
       date: Date,
       text: String,
       institution: String
     }
   ],
   
+  // Lifecycle derived from status and divisions (see services/billStages)
+  stage: { type: String },
+  stage_label: { type: String },
+  progress: { type: Number },
+  active: { type: Boolean },
+  last_event: { type: String },
+  last_event_date: { type: Date },
+  
   // Caching metadata
   data: { type: mongoose.Schema.Types.Mixed }, // Raw API data
+  source_hash: { type: String }, // Hash of the upstream fields used to detect changes
   expires: { type: Date, required: true },
   last_updated: { type: Date, default: Date.now }
 }, { timestamps: true });
 
 // Compound index for faster lookups
 billSchema.index({ number: 1, session: 1 }, { unique: true });
-billSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+// No TTL index: history is kept, `expires` only marks when the detail should be refreshed
+billSchema.index({ expires: 1 });
+billSchema.index({ introduced: -1 }); // For sorting by most recent
+billSchema.index({ sponsor: 1 });
+billSchema.index({ session: 1, stage: 1 });
 
 module.exports = mongoose.model('Bill', billSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const cacheEntrySchema = new mongoose.Schema({
+  // Lookup key (for upstream responses: endpoint + normalized params)
+  namespace: { type: String, required: true, default: 'default' },
+  key: { type: String, required: true },
+  endpoint: { type: String },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+  // Cached response
+  data: { type: mongoose.Schema.Types.Mixed },
+
+  // Caching metadata: fresh until `expires`, served stale until `stale_until`
+  expires: { type: Date, required: true },
+  stale_until: { type: Date, required: true },
+  hits: { type: Number, default: 0 },
+  last_hit: { type: Date },
+  last_updated: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+cacheEntrySchema.index({ namespace: 1, key: 1 }, { unique: true });
+cacheEntrySchema.index({ stale_until: 1 }, { expireAfterSeconds: 0 });
+cacheEntrySchema.index({ endpoint: 1 }); // For invalidating by endpoint
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
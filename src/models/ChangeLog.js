@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const changeLogSchema = new mongoose.Schema({
+  // Entity the change belongs to
+  entity_type: { type: String, enum: ['bill', 'vote', 'member'], required: true },
+  entity_url: { type: String, required: true },
+  session: { type: String },
+
+  // created: first time we stored the entity; updated: tracked fields changed
+  change_type: { type: String, enum: ['created', 'updated'], required: true },
+  changes: [
+    {
+      _id: false,
+      field: String,
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed
+    }
+  ],
+
+  // What wrote it: a scheduled sync, a historical backfill, or a request fetching a missing entity.
+  // Only sync changes are news, so only they are pushed to webhooks.
+  source: { type: String, enum: ['sync', 'backfill', 'request'], default: 'sync' },
+
+  recorded_at: { type: Date, default: Date.now }
+});
+
+changeLogSchema.index({ entity_type: 1, entity_url: 1, recorded_at: -1 }); // Per-entity history
+changeLogSchema.index({ recorded_at: 1, _id: 1 }); // "Changed since" feed and webhook dispatch
+
+module.exports = mongoose.model('ChangeLog', changeLogSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  job: { type: String, required: true }, // votes, bills or members
+  trigger: { type: String, enum: ['cron', 'manual', 'startup'], required: true },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed', 'interrupted'],
+    default: 'running'
+  },
+  
+  // Process running the job, and when it last reported the run still alive
+  owner: { type: String },
+  heartbeat_at: { type: Date },
+  
+  started_at: { type: Date, default: Date.now },
+  finished_at: { type: Date },
+  duration_ms: { type: Number },
+  
+  // Inserted/updated/unchanged/failed counts reported by the job
+  counts: { type: mongoose.Schema.Types.Mixed },
+  error: {
+    message: { type: String },
+    stack: { type: String }
+  }
+}, { timestamps: true });
+
+jobRunSchema.index({ job: 1, started_at: -1 });
+jobRunSchema.index({ status: 1, started_at: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -24,11 +24,13 @@ const memberSchema = new mongoose.Schema({
   
   // Caching metadata
   data: { type: mongoose.Schema.Types.Mixed }, // Raw API data
+  source_hash: { type: String }, // Hash of the upstream fields used to detect changes
   expires: { type: Date, required: true },
   last_updated: { type: Date, default: Date.now }
 }, { timestamps: true });
 
-memberSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+// No TTL index: members are kept, `expires` only marks when the detail should be refreshed
+memberSchema.index({ expires: 1 });
 memberSchema.index({ name: 'text' }); // For text search
 
 module.exports = mongoose.model('Member', memberSchema);
\ No newline at end of file
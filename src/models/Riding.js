@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const ridingSchema = new mongoose.Schema({
+  // Federal electoral district number (OpenParliament's current_riding.id)
+  riding_id: { type: Number, required: true, unique: true },
+  name: {
+    en: { type: String, required: true },
+    fr: { type: String }
+  },
+  province: { type: String },
+
+  // Alternative spellings (without dashes, former names, etc.)
+  aliases: [String],
+  // Normalized name and aliases, for lookups (see services/ridings normalizeRidingName)
+  search_names: [String],
+
+  // Forward sortation areas (first three characters of a postal code) that fall in the riding.
+  // An FSA can straddle several ridings.
+  fsas: [String],
+
+  last_updated: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+ridingSchema.index({ search_names: 1 });
+ridingSchema.index({ fsas: 1 });
+
+module.exports = mongoose.model('Riding', ridingSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  // Session identifier as used by OpenParliament, e.g. "44-1"
+  id: { type: String, required: true, unique: true },
+  parliament: { type: Number, required: true },
+  number: { type: Number, required: true },
+
+  // Opening date, and prorogation or dissolution date (null while sitting)
+  start: { type: Date },
+  end: { type: Date, default: null }
+}, { timestamps: true });
+
+sessionSchema.index({ start: -1 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const countsSchema = {
+  inserted: { type: Number, default: 0 },
+  updated: { type: Number, default: 0 },
+  unchanged: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 }
+};
+
+const syncStateSchema = new mongoose.Schema({
+  // Sync job this state belongs to: votes, bills, members, or webhooks (change log dispatch)
+  job: { type: String, required: true, unique: true },
+  
+  // High-water marks; votes: { [session]: { number, date } },
+  // bills: { introduced, last_event, retry: [URLs of bills that failed to sync] },
+  // webhooks: { recorded_at, id } of the last dispatched change
+  high_water: { type: mongoose.Schema.Types.Mixed, default: {} },
+  
+  // Outcome of the most recent run
+  last_counts: countsSchema,
+  last_run_at: { type: Date }
+}, { timestamps: true, minimize: false });
+
+module.exports = mongoose.model('SyncState', syncStateSchema);
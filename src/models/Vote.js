@@ -30,13 +30,18 @@ const voteSchema = new mongoose.Schema({
   
   // Caching metadata
   data: { type: mongoose.Schema.Types.Mixed }, // Raw API data
+  source_hash: { type: String }, // Hash of the upstream fields used to detect changes
   expires: { type: Date, required: true },
   last_updated: { type: Date, default: Date.now }
 }, { timestamps: true });
 
 // Compound index for faster lookups
 voteSchema.index({ number: 1, session: 1 }, { unique: true });
-voteSchema.index({ expires: 1 }, { expireAfterSeconds: 0 });
+// No TTL index: history is kept, `expires` only marks when the detail should be refreshed
+voteSchema.index({ expires: 1 });
 voteSchema.index({ date: -1 }); // For sorting by most recent
+voteSchema.index({ 'members_votes.politician_url': 1, date: -1 }); // For member comparisons
+voteSchema.index({ bill_url: 1, date: 1 }); // For per-bill vote history
+voteSchema.index({ url: 1 }); // For joining ballots to their votes
 
 module.exports = mongoose.model('Vote', voteSchema);
\ No newline at end of file
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  // pending: waiting for its next attempt; succeeded; failed: gave up after the last retry
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  next_attempt_at: { type: Date, default: Date.now },
+
+  // Outcome of the latest attempt
+  last_status_code: { type: Number },
+  last_error: { type: String },
+  last_attempt_at: { type: Date },
+  delivered_at: { type: Date }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 }); // Due deliveries
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 }); // Delivery log
+// Keep the delivery log for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
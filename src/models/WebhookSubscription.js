@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  description: { type: String },
+
+  // Shared secret for the X-Webhook-Signature HMAC (only shown when the subscription is created)
+  secret: { type: String, required: true, select: false },
+
+  // Event filters: event types, and optionally only these bills/members (URLs)
+  events: [{ type: String, required: true }],
+  bills: [String],
+  members: [String],
+
+  active: { type: Boolean, default: true },
+  created_by: { type: String }, // Admin key id
+
+  // Consecutive failed deliveries, reset on success
+  consecutive_failures: { type: Number, default: 0 },
+  last_delivery_at: { type: Date }
+}, { timestamps: true });
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
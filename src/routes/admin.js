@@ -1,13 +1,41 @@
 const express = require('express');
 const router = express.Router();
-const { updateMemberData, updateRecentBills, updateRecentVotes } = require('../services/scheduler');
+const { authenticateAdmin, requireRole, requireConfirmation } = require('../middleware/adminAuth');
+const { runScheduledJob, getJobSchedules } = require('../services/scheduler');
+const { listJobRuns, getLastRun } = require('../services/jobRuns');
+const { parsePaging } = require('../services/pagination');
+const {
+  startBackfill,
+  pauseBackfill,
+  resumeBackfill,
+  getBackfillStatus
+} = require('../services/backfill');
+const Bill = require('../models/Bill');
+const Vote = require('../models/Vote');
+const Member = require('../models/Member');
+const Ballot = require('../models/Ballot');
+const CacheEntry = require('../models/CacheEntry');
+const { invalidateCache } = require('../services/responseCache');
+const SyncState = require('../models/SyncState');
+const ChangeLog = require('../models/ChangeLog');
+const webhooksRoutes = require('./webhooks');
+const { validateRequest } = require('../middleware/validateRequest');
+
+// Every admin route needs an API key (see ADMIN_API_KEYS)
+router.use(authenticateAdmin);
+
+// Check parameters against the OpenAPI document (admin routes answer with { success, error })
+router.use(validateRequest({ formatError: message => ({ success: false, error: message }) }));
+
+// Webhook subscriptions, deliveries and test events
+router.use('/webhooks', webhooksRoutes);
 
 // Route to manually update member data
-router.post('/refresh/members', async (req, res) => {
+router.post('/refresh/members', requireRole('operator'), async (req, res) => {
   try {
     console.log('Manually triggering member data update');
-    await updateMemberData();
-    res.json({ success: true, message: 'Member data update triggered successfully' });
+    const counts = await runScheduledJob('members', 'manual');
+    res.json({ success: true, counts, message: 'Member data update triggered successfully' });
   } catch (error) {
     console.error('Error during manual member update:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -15,11 +43,11 @@ router.post('/refresh/members', async (req, res) => {
 });
 
 // Route to manually update bills data
-router.post('/refresh/bills', async (req, res) => {
+router.post('/refresh/bills', requireRole('operator'), async (req, res) => {
   try {
     console.log('Manually triggering bills data update');
-    await updateRecentBills();
-    res.json({ success: true, message: 'Bills data update triggered successfully' });
+    const counts = await runScheduledJob('bills', 'manual');
+    res.json({ success: true, counts, message: 'Bills data update triggered successfully' });
   } catch (error) {
     console.error('Error during manual bills update:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -27,15 +55,156 @@ router.post('/refresh/bills', async (req, res) => {
 });
 
 // Route to manually update votes data
-router.post('/refresh/votes', async (req, res) => {
+router.post('/refresh/votes', requireRole('operator'), async (req, res) => {
   try {
     console.log('Manually triggering votes data update');
-    await updateRecentVotes();
-    res.json({ success: true, message: 'Votes data update triggered successfully' });
+    const counts = await runScheduledJob('votes', 'manual');
+    res.json({ success: true, counts, message: 'Votes data update triggered successfully' });
   } catch (error) {
     console.error('Error during manual votes update:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Route to start a historical backfill (body: optional sessions and entities arrays)
+router.post('/backfill', requireRole('operator'), async (req, res) => {
+  try {
+    const { sessions, entities } = req.body || {};
+    console.log('Manually triggering historical backfill');
+    const run = await startBackfill({
+      ...(sessions && { sessions }),
+      ...(entities && { entities })
+    });
+    res.status(202).json({ success: true, message: 'Backfill started', backfill: await getBackfillStatus(run._id) });
+  } catch (error) {
+    console.error('Error starting backfill:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to pause the running backfill
+router.post('/backfill/pause', requireRole('operator'), async (req, res) => {
+  try {
+    const run = await pauseBackfill();
+    res.json({ success: true, message: 'Backfill paused', backfill: await getBackfillStatus(run._id) });
+  } catch (error) {
+    console.error('Error pausing backfill:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to resume a paused or failed backfill from its checkpoints
+router.post('/backfill/resume', requireRole('operator'), async (req, res) => {
+  try {
+    const run = await resumeBackfill();
+    res.json({ success: true, message: 'Backfill resumed', backfill: await getBackfillStatus(run._id) });
+  } catch (error) {
+    console.error('Error resuming backfill:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to report backfill progress per session and entity type
+router.get('/backfill', requireRole('viewer'), async (req, res) => {
+  try {
+    const status = await getBackfillStatus(req.query.id);
+    if (!status) {
+      return res.status(404).json({ success: false, error: 'No backfill found' });
+    }
+    res.json({ success: true, backfill: status });
+  } catch (error) {
+    console.error('Error fetching backfill status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to list scheduled jobs with their next run and latest outcome
+router.get('/jobs', requireRole('viewer'), async (req, res) => {
+  try {
+    const jobs = await Promise.all(getJobSchedules().map(async schedule => {
+      const [lastRun, lastFailure] = await Promise.all([
+        getLastRun(schedule.job),
+        getLastRun(schedule.job, 'failed')
+      ]);
+      
+      return {
+        ...schedule,
+        last_run: lastRun ? {
+          status: lastRun.status,
+          trigger: lastRun.trigger,
+          started_at: lastRun.started_at,
+          finished_at: lastRun.finished_at,
+          counts: lastRun.counts
+        } : null,
+        last_failure_at: lastFailure ? lastFailure.started_at : null
+      };
+    }));
+    
+    res.json({ success: true, jobs });
+  } catch (error) {
+    console.error('Error fetching job status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to list recent job runs (query: job, status, limit)
+router.get('/jobs/runs', requireRole('viewer'), async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    const { limit } = parsePaging(req.query);
+    const runs = await listJobRuns({ job, status }, limit);
+    res.json({ success: true, runs });
+  } catch (error) {
+    console.error('Error fetching job runs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to show the details of a job's most recent failure
+router.get('/jobs/:job/last-failure', requireRole('viewer'), async (req, res) => {
+  try {
+    const { job } = req.params;
+    if (!getJobSchedules().some(schedule => schedule.job === job)) {
+      return res.status(404).json({ success: false, error: `Unknown job: ${job}` });
+    }
+    
+    const run = await getLastRun(job, 'failed');
+    if (!run) {
+      return res.status(404).json({ success: false, error: `No failed runs recorded for ${job}` });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Error fetching last job failure:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to wipe bills, votes, members, ballots, change history and cached responses, then reload recent data
+router.post('/refresh-data', requireRole('admin'), requireConfirmation('wipe-all-data'), async (req, res) => {
+  try {
+    console.warn(`Admin key ${req.admin.keyId} is wiping all stored data`);
+    
+    // Clear existing data
+    await Promise.all([
+      Bill.deleteMany({}),
+      Vote.deleteMany({}),
+      Member.deleteMany({}),
+      Ballot.deleteMany({}),
+      CacheEntry.deleteMany({}),
+      invalidateCache(), // Also clears the in-process store when CACHE_STORE=memory
+      ChangeLog.deleteMany({}), // History would otherwise show every entity as re-created
+      SyncState.deleteMany({}) // Reset high-water marks so the sync starts afresh
+    ]);
+    
+    // Trigger data refresh
+    await runScheduledJob('votes', 'manual');
+    await runScheduledJob('bills', 'manual');
+    
+    res.json({ success: true, message: 'Data cleared and refresh triggered' });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
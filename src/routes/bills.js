@@ -2,49 +2,113 @@ const express = require('express');
 const router = express.Router();
 const Bill = require('../models/Bill');
 const { fetchFromAPI, getCacheExpiration } = require('../services/proxy');
+const { fetchCached } = require('../services/responseCache');
+const { buildBillFilter, buildBillSort, toUpstreamParams, canQueryUpstream } = require('../services/billQuery');
+const {
+  parsePaging,
+  findPage,
+  pageResponse,
+  paginateArray,
+  upstreamPageResponse
+} = require('../services/pagination');
+const { saveBill } = require('../services/entityStore');
+const { listBillVotes, summarizeBillVotes } = require('../services/analytics');
+const { resolveSession, validateSessionParam } = require('../middleware/session');
+const { validateRequest } = require('../middleware/validateRequest');
+const { localizeResponses } = require('../middleware/localize');
+const { message, errorMessage } = require('../services/i18n');
+const { getEntityHistory } = require('../services/changeLog');
+const { localizeTimeline } = require('../services/billStages');
+const { parseExportFormat, formatDate, streamExport, handleExport } = require('../services/exporter');
+
+// Answer in the requested language, then check parameters against the OpenAPI document
+router.use(localizeResponses());
+router.use(validateRequest());
+router.param('session', validateSessionParam);
 
 /**
  * GET /api/bills
- * Retrieve a list of bills with pagination and filtering
+ * Retrieve a list of bills from the local database with filtering and sorting
+ *
+ * Query parameters: limit, offset or cursor, session (defaults to the current session; "all" for every session), status, sponsor, chamber (C/S),
+ * law (true/false), stage (e.g. committee or senate_committee), q (keyword
+ * in name/summary), introduced_after, introduced_before, sort (introduced,
+ * session, status, last_updated, progress, last_event_date; prefix "-" for descending)
  */
-router.get('/', async (req, res) => {
+router.get('/', resolveSession({ defaultToCurrent: true }), async (req, res) => {
   try {
-    const { limit = 20, offset = 0, session } = req.query;
-    
-    // Build cache key
-    const cacheKey = `bills-${session || 'all'}-${limit}-${offset}`;
+    const { session } = req.query;
+    const { limit, offset, cursor } = parsePaging(req.query);
     
-    // Check database first
-    let billsData = await Bill.findOne({ 
-      url: cacheKey,
-      expires: { $gt: new Date() }
-    });
+    const filter = buildBillFilter(req.query);
+    const sort = buildBillSort(req.query.sort);
     
-    // If not in database or expired, fetch from API
-    if (!billsData) {
-      const params = { limit, offset, session };
-      const apiData = await fetchFromAPI('/bills/', params);
-      
-      // Store in database
-      billsData = new Bill({
-        number: cacheKey,
-        session: session || 'all',
-        url: cacheKey,
-        data: apiData,
-        expires: getCacheExpiration('/bills/')
-      });
-      
-      await billsData.save();
+    // Fall back to upstream only when we hold no bills for the requested session, and only
+    // for filters upstream supports (otherwise the empty local page is the honest answer)
+    const haveLocalData = await Bill.exists(session ? { session } : {});
+    if (!haveLocalData && canQueryUpstream(req.query)) {
+      const billsData = await fetchCached('/bills/', toUpstreamParams({ ...req.query, limit, offset }));
+      return res.json(upstreamPageResponse(req, billsData, { limit, offset }));
     }
     
-    // Return data
-    res.json(billsData.data);
+    const page = await findPage(Bill, filter, {
+      sort,
+      projection: '-data -summary -expires -__v',
+      limit,
+      offset,
+      cursor
+    });
+    
+    res.json({
+      ...pageResponse(req, page, limit),
+      objects: page.objects.map(bill => localizeTimeline(bill, req.lang))
+    });
   } catch (error) {
     console.error('Error fetching bills:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
   }
 });
 
+const BILL_EXPORT_COLUMNS = [
+  'session', 'number', 'name_en', 'name_fr', 'introduced', 'status', 'stage', 'progress',
+  'law', 'sponsor', 'last_event', 'last_event_date', 'url'
+];
+
+/**
+ * GET /api/bills/export
+ * Stream stored bills as CSV or NDJSON
+ *
+ * Query parameters: format (csv, ndjson) and the list filters and sort above
+ */
+router.get('/export', resolveSession({ defaultToCurrent: true }), (req, res) => handleExport(req, res, async () => {
+  const format = parseExportFormat(req.query.format);
+  
+  await streamExport(res, {
+    format,
+    filename: `bills-${req.query.session || 'all'}`,
+    columns: BILL_EXPORT_COLUMNS,
+    cursor: Bill.find(buildBillFilter(req.query), { data: 0, summary: 0, events: 0 })
+      .sort(buildBillSort(req.query.sort))
+      .lean()
+      .cursor(),
+    toRows: bill => [{
+      session: bill.session,
+      number: bill.number,
+      name_en: bill.name && bill.name.en,
+      name_fr: bill.name && bill.name.fr,
+      introduced: formatDate(bill.introduced),
+      status: bill.status,
+      stage: bill.stage,
+      progress: bill.progress,
+      law: bill.law,
+      sponsor: bill.sponsor,
+      last_event: bill.last_event,
+      last_event_date: formatDate(bill.last_event_date),
+      url: bill.url
+    }]
+  });
+}, 'bills'));
+
 /**
  * GET /api/bills/:billUrl
  * Retrieve details for a specific bill
@@ -64,44 +128,78 @@ router.get('/:session/:billNumber', async (req, res) => {
     if (!billData) {
       const apiData = await fetchFromAPI(billUrl);
       
-      // Extract key data for schema
-      const {
-        number,
-        name,
-        introduced,
-        legisinfo_id,
-        status,
-        sponsor_politician_url,
-        law_url,
-        text_url,
-        summary_html
-      } = apiData;
-      
-      // Store in database
-      billData = new Bill({
-        number,
-        session,
-        url: billUrl,
-        introduced: new Date(introduced),
-        name,
-        legisinfo_id,
-        status,
-        sponsor: sponsor_politician_url,
-        text_url,
-        law_url,
-        summary: summary_html,
-        data: apiData,
-        expires: getCacheExpiration(billUrl)
-      });
-      
-      await billData.save();
+      // Store in database (upsert, since an outdated copy may already exist)
+      billData = await saveBill({ ...apiData, session, url: billUrl }, apiData, getCacheExpiration(billUrl), { source: 'request' });
     }
     
-    // Return data
-    res.json(billData.data);
+    // Return the upstream data with the derived lifecycle, in the request's language
+    const bill = localizeTimeline(billData.toObject(), req.lang);
+    res.json({
+      ...bill.data,
+      stage: bill.stage,
+      stage_label: bill.stage_label,
+      progress: bill.progress,
+      active: bill.active,
+      last_event: bill.last_event,
+      last_event_date: bill.last_event_date,
+      events: bill.events,
+      vote_summary: await summarizeBillVotes(billUrl)
+    });
   } catch (error) {
     console.error('Error fetching bill details:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /api/bills/:session/:billNumber/votes
+ * Every recorded division on a bill, oldest first, with party breakdowns
+ * (query: limit, offset; all of them unless limited)
+ */
+router.get('/:session/:billNumber/votes', async (req, res) => {
+  try {
+    const { session, billNumber } = req.params;
+    const billUrl = `/bills/${session}/${billNumber}/`;
+    
+    const votes = await listBillVotes(billUrl);
+    
+    if (votes.length === 0 && !await Bill.exists({ url: billUrl })) {
+      return res.status(404).json({ error: message('bill_not_found') });
+    }
+    
+    res.json({
+      bill: { session, number: billNumber, url: billUrl },
+      ...paginateArray(req, votes, parsePaging(req.query, { maxLimit: 500, defaultLimit: 500 }))
+    });
+  } catch (error) {
+    console.error('Error fetching bill votes:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /api/bills/:session/:billNumber/history
+ * Recorded changes to a bill (status, stage, name, ...), newest first
+ */
+router.get('/:session/:billNumber/history', async (req, res) => {
+  try {
+    const { session, billNumber } = req.params;
+    const billUrl = `/bills/${session}/${billNumber}/`;
+    const { limit, offset, cursor } = parsePaging(req.query);
+    
+    const page = await getEntityHistory('bill', billUrl, { limit, offset, cursor });
+    
+    if (page.total === 0 && !await Bill.exists({ url: billUrl })) {
+      return res.status(404).json({ error: message('bill_not_found') });
+    }
+    
+    res.json({
+      bill: { session, number: billNumber, url: billUrl },
+      ...pageResponse(req, page, limit)
+    });
+  } catch (error) {
+    console.error('Error fetching bill history:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
   }
 });
 
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { getChangesSince } = require('../services/changeLog');
+const { parseDateParam } = require('../services/billQuery');
+const { parsePaging, pageResponse } = require('../services/pagination');
+const { resolveSession } = require('../middleware/session');
+const { validateRequest } = require('../middleware/validateRequest');
+const { localizeResponses } = require('../middleware/localize');
+const { errorMessage } = require('../services/i18n');
+
+router.use(localizeResponses());
+
+// since is required and type must be bill, vote or member (see services/openapi)
+router.use(validateRequest());
+
+/**
+ * GET /api/changes
+ * What changed since a timestamp, across bills, votes and members (oldest first)
+ *
+ * Query parameters: since (required, ISO date/time), type (bill, vote, member),
+ * session, field (e.g. status), limit, offset or cursor
+ */
+router.get('/', resolveSession(), async (req, res) => {
+  try {
+    const { since, type, session, field } = req.query;
+    
+    const sinceDate = parseDateParam(since, 'since');
+    const { limit, offset, cursor } = parsePaging(req.query, { maxLimit: 500 });
+    const page = await getChangesSince(sinceDate, { entityType: type, session, field, limit, offset, cursor });
+    const changes = page.objects;
+    
+    res.json({
+      since: sinceDate,
+      // Pass as `since` next time to pick up where this feed ends
+      latest: changes.length > 0 ? changes[changes.length - 1].recorded_at : sinceDate,
+      ...pageResponse(req, page, limit)
+    });
+  } catch (error) {
+    console.error('Error fetching changes:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const { openApiDocument } = require('../services/openapi');
+
+/**
+ * GET /api/openapi.json
+ * The OpenAPI 3 document describing this API
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * GET /api/docs
+ * Interactive API documentation (Swagger UI)
+ */
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument, {
+  customSiteTitle: 'Parliament Watch API',
+  swaggerOptions: { docExpansion: 'none', tryItOutEnabled: true }
+}));
+
+module.exports = router;
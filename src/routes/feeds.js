@@ -0,0 +1,238 @@
+const express = require('express');
+const router = express.Router();
+const Vote = require('../models/Vote');
+const Bill = require('../models/Bill');
+const Ballot = require('../models/Ballot');
+const Member = require('../models/Member');
+const { buildAtomFeed, entityLink } = require('../services/atom');
+const { localized, message, errorMessage, RESULT_LABELS, BALLOT_LABELS } = require('../services/i18n');
+const { localizeTimeline } = require('../services/billStages');
+const { getCurrentSession, requireSession } = require('../services/sessions');
+const { validateRequest } = require('../middleware/validateRequest');
+const { localizeResponses } = require('../middleware/localize');
+
+// Feeds take their language from the path rather than Accept-Language
+router.use(localizeResponses({ language: feedLang }));
+router.use(validateRequest());
+
+// Entries per feed
+const FEED_SIZE = 50;
+
+// Feed wording in each language
+const LABELS = {
+  en: {
+    votesTitle: 'House of Commons votes',
+    billsTitle: 'Bills before Parliament',
+    memberTitle: name => `How ${name} voted`,
+    billTitle: number => `Bill ${number}`,
+    vote: number => `Vote #${number}`,
+    results: RESULT_LABELS.en,
+    ballots: BALLOT_LABELS.en,
+    tally: (yeas, nays) => `Yeas ${yeas}, nays ${nays}`
+  },
+  fr: {
+    votesTitle: 'Votes à la Chambre des communes',
+    billsTitle: 'Projets de loi au Parlement',
+    memberTitle: name => `Votes de ${name}`,
+    billTitle: number => `Projet de loi ${number}`,
+    vote: number => `Vote no ${number}`,
+    results: RESULT_LABELS.fr,
+    ballots: BALLOT_LABELS.fr,
+    tally: (yeas, nays) => `Pour ${yeas}, contre ${nays}`
+  }
+};
+
+// Every feed is served in English at /feeds/... and in French at /feeds/fr/...
+function feedPaths(path) {
+  return [path, `/fr${path}`];
+}
+
+function feedLang(req) {
+  return req.path.startsWith('/fr/') ? 'fr' : 'en';
+}
+
+function feedId(req) {
+  return `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+function sendFeed(res, feed) {
+  res.type('application/atom+xml; charset=utf-8').send(buildAtomFeed(feed));
+}
+
+function voteEntry(vote, lang) {
+  const labels = LABELS[lang];
+  const result = labels.results[vote.result] || vote.result;
+
+  return {
+    id: entityLink(vote.url),
+    title: `${labels.vote(vote.number)} (${vote.session}): ${localized(vote.description, lang)}`,
+    link: entityLink(vote.url),
+    updated: vote.date,
+    summary: `${result}. ${labels.tally(vote.yea_total, vote.nay_total)}`
+  };
+}
+
+/**
+ * GET /feeds/votes.atom (and /feeds/fr/votes.atom)
+ * Latest votes; optional ?session= (defaults to every session)
+ */
+router.get(feedPaths('/votes.atom'), async (req, res) => {
+  try {
+    const lang = feedLang(req);
+    const filter = {};
+    if (req.query.session) {
+      filter.session = (await requireSession(req.query.session)).id;
+    }
+
+    const votes = await Vote.find(filter, { data: 0, members_votes: 0 })
+      .sort({ date: -1, number: -1 })
+      .limit(FEED_SIZE)
+      .lean();
+
+    sendFeed(res, {
+      id: feedId(req),
+      title: LABELS[lang].votesTitle,
+      lang,
+      link: entityLink('/votes/'),
+      entries: votes.map(vote => voteEntry(vote, lang))
+    });
+  } catch (error) {
+    console.error('Error building votes feed:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /feeds/bills.atom (and /feeds/fr/bills.atom)
+ * Bills in the current session (or ?session=), most recent activity first
+ */
+router.get(feedPaths('/bills.atom'), async (req, res) => {
+  try {
+    const lang = feedLang(req);
+    const session = req.query.session
+      ? await requireSession(req.query.session)
+      : await getCurrentSession();
+
+    const bills = await Bill.find({ session: session.id }, { data: 0, summary: 0 })
+      .sort({ last_event_date: -1, introduced: -1 })
+      .limit(FEED_SIZE)
+      .lean();
+
+    sendFeed(res, {
+      id: feedId(req),
+      title: `${LABELS[lang].billsTitle} (${session.id})`,
+      lang,
+      link: entityLink(`/bills/${session.id}/`),
+      entries: bills.map(bill => localizeTimeline(bill, lang)).map(bill => ({
+        id: entityLink(bill.url),
+        title: `${bill.number}: ${localized(bill.name, lang)}`,
+        link: entityLink(bill.url),
+        updated: bill.last_event_date || bill.introduced,
+        summary: [bill.stage_label, bill.last_event].filter(Boolean).join('. ')
+      }))
+    });
+  } catch (error) {
+    console.error('Error building bills feed:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /feeds/bills/:session/:billNumber.atom (and /feeds/fr/...)
+ * Divisions on a bill and the stages it has passed
+ */
+router.get(feedPaths('/bills/:session/:billNumber.atom'), async (req, res) => {
+  try {
+    const lang = feedLang(req);
+    const { session, billNumber } = req.params;
+    const billUrl = `/bills/${session}/${billNumber}/`;
+
+    const storedBill = await Bill.findOne({ url: billUrl }, { data: 0, summary: 0 }).lean();
+    if (!storedBill) {
+      return res.status(404).json({ error: message('bill_not_found') });
+    }
+    const bill = localizeTimeline(storedBill, lang);
+
+    const votes = await Vote.find({ bill_url: billUrl }, { data: 0, members_votes: 0 })
+      .sort({ date: -1 })
+      .limit(FEED_SIZE)
+      .lean();
+
+    // Stage events without a date can't be placed in the feed
+    const stageEntries = (bill.events || [])
+      .filter(event => event.date)
+      .map(event => ({
+        id: `${entityLink(billUrl)}#${event.stage || event.text}`,
+        title: `${bill.number}: ${event.text}`,
+        link: entityLink(billUrl),
+        updated: event.date
+      }));
+
+    const entries = [...votes.map(vote => voteEntry(vote, lang)), ...stageEntries]
+      .sort((a, b) => new Date(b.updated) - new Date(a.updated))
+      .slice(0, FEED_SIZE);
+
+    sendFeed(res, {
+      id: feedId(req),
+      title: `${LABELS[lang].billTitle(bill.number)}: ${localized(bill.name, lang)}`,
+      lang,
+      link: entityLink(billUrl),
+      entries
+    });
+  } catch (error) {
+    console.error('Error building bill feed:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /feeds/members/:memberName.atom (and /feeds/fr/...)
+ * A member's recent ballots
+ */
+router.get(feedPaths('/members/:memberName.atom'), async (req, res) => {
+  try {
+    const lang = feedLang(req);
+    const politicianUrl = `/politicians/${req.params.memberName}/`;
+
+    const ballots = await Ballot.find({ politician_url: politicianUrl }, { data: 0 })
+      .sort({ date: -1 })
+      .limit(FEED_SIZE)
+      .lean();
+
+    if (ballots.length === 0) {
+      return res.status(404).json({ error: message('no_voting_history') });
+    }
+
+    const votes = await Vote.find(
+      { url: { $in: ballots.map(ballot => ballot.vote_url) } },
+      { url: 1, number: 1, session: 1, description: 1, result: 1 }
+    ).lean();
+    const votesByUrl = new Map(votes.map(vote => [vote.url, vote]));
+
+    const member = await Member.findOne({ url: politicianUrl }, { name: 1 }).lean();
+    const name = (member && member.name) || ballots[0].politician_name || req.params.memberName;
+    const labels = LABELS[lang];
+
+    sendFeed(res, {
+      id: feedId(req),
+      title: labels.memberTitle(name),
+      lang,
+      link: entityLink(politicianUrl),
+      entries: ballots.map(ballot => {
+        const vote = votesByUrl.get(ballot.vote_url) || {};
+        return {
+          id: `${entityLink(ballot.vote_url)}#${req.params.memberName}`,
+          title: `${labels.ballots[ballot.ballot] || ballot.ballot}: ${localized(vote.description, lang) || labels.vote(ballot.vote_number)}`,
+          link: entityLink(ballot.vote_url),
+          updated: ballot.date,
+          summary: vote.result ? `${labels.vote(ballot.vote_number)} (${ballot.session}): ${labels.results[vote.result] || vote.result}` : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error building member feed:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const { parse, validate, execute, Kind, getNamedType, getNullableType, GraphQLList } = require('graphql');
+const { schema } = require('../services/graphqlSchema');
+const { createLoaders } = require('../services/loaders');
+const { validateRequest } = require('../middleware/validateRequest');
+const { localizeResponses } = require('../middleware/localize');
+const { message, errorMessage } = require('../services/i18n');
+
+// LocalizedText exposes both languages, so only messages and text fields follow the request language
+router.use(localizeResponses({ collapse: false }));
+router.use(validateRequest());
+
+// Deepest selection allowed, e.g. member > ballots > vote > bill > votes is 5
+const MAX_DEPTH = 8;
+
+// Most result fields a query may ask for, counting every item of every list at its largest
+const MAX_COST = 250000;
+
+/**
+ * Depth of the deepest selection in a query, following fragment spreads
+ * @param {Object} node - Selection set owner
+ * @param {Object} fragments - Fragment definitions by name
+ * @param {Set<string>} [visited] - Fragments already followed on this path
+ * @returns {number}
+ */
+function selectionDepth(node, fragments, visited = new Set()) {
+  if (!node.selectionSet) return 0;
+
+  return Math.max(0, ...node.selectionSet.selections.map(selection => {
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = fragments[selection.name.value];
+      if (!fragment || visited.has(selection.name.value)) return 0;
+      return selectionDepth(fragment, fragments, new Set([...visited, selection.name.value]));
+    }
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      return selectionDepth(selection, fragments, visited);
+    }
+    return 1 + selectionDepth(selection, fragments, visited);
+  }));
+}
+
+function queryDepth(document) {
+  const fragments = {};
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments[definition.name.value] = definition;
+  }
+
+  return Math.max(0, ...document.definitions
+    .filter(definition => definition.kind === Kind.OPERATION_DEFINITION)
+    .map(definition => selectionDepth(definition, fragments)));
+}
+
+// Items a list field can return: its limit argument (clamped) or its default size
+function listItems(field, selection, variables) {
+  const { defaultSize, maxSize } = (field.extensions && field.extensions.listSize) || { defaultSize: 1, maxSize: 1 };
+  const limitArg = (selection.arguments || []).find(argument => argument.name.value === 'limit');
+  let requested = null;
+  if (limitArg && limitArg.value.kind === Kind.INT) requested = parseInt(limitArg.value.value);
+  if (limitArg && limitArg.value.kind === Kind.VARIABLE) requested = parseInt((variables || {})[limitArg.value.name.value]);
+
+  return requested > 0 ? Math.min(requested, maxSize) : defaultSize;
+}
+
+/**
+ * Largest number of result fields a selection can produce: each field counts
+ * once per item of every list it is nested in
+ * @param {Object} node - Selection set owner
+ * @param {Object} parentType - GraphQL type the selections apply to
+ * @param {Object} context - { schema, fragments, variables }
+ * @param {Set<string>} [visited] - Fragments already followed on this path
+ * @returns {number}
+ */
+function selectionCost(node, parentType, context, visited = new Set()) {
+  if (!node.selectionSet) return 0;
+
+  return node.selectionSet.selections.reduce((total, selection) => {
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = context.fragments[selection.name.value];
+      if (!fragment || visited.has(selection.name.value)) return total;
+      const type = context.schema.getType(fragment.typeCondition.name.value);
+      return total + selectionCost(fragment, type, context, new Set([...visited, selection.name.value]));
+    }
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition ? context.schema.getType(selection.typeCondition.name.value) : parentType;
+      return total + selectionCost(selection, type, context, visited);
+    }
+
+    // __typename and introspection fields aren't in getFields()
+    const field = parentType.getFields()[selection.name.value];
+    if (!field) return total + 1;
+
+    const items = getNullableType(field.type) instanceof GraphQLList ? listItems(field, selection, context.variables) : 1;
+    return total + items * (1 + selectionCost(selection, getNamedType(field.type), context, visited));
+  }, 0);
+}
+
+function queryCost(document, variables) {
+  const fragments = {};
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments[definition.name.value] = definition;
+  }
+
+  return Math.max(0, ...document.definitions
+    .filter(definition => definition.kind === Kind.OPERATION_DEFINITION)
+    .map(definition => selectionCost(definition, schema.getQueryType(), { schema, fragments, variables })));
+}
+
+// Variables arrive as JSON text in GET requests
+function parseVariables(variables) {
+  if (!variables || typeof variables === 'object') return variables || undefined;
+  try {
+    return JSON.parse(variables);
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatError(error) {
+  const statusCode = error.originalError && error.originalError.statusCode;
+  if (error.originalError && !statusCode) {
+    console.error('Error resolving GraphQL field:', error.originalError);
+  }
+
+  return {
+    message: error.originalError ? errorMessage(error.originalError) : error.message,
+    locations: error.locations,
+    path: error.path,
+    ...(statusCode ? { extensions: { status: statusCode } } : {})
+  };
+}
+
+/**
+ * GET|POST /api/graphql
+ * Read-only GraphQL API over stored members, bills, votes and ballots
+ *
+ * Body (or query parameters): query, variables, operationName
+ */
+router.all('/', async (req, res) => {
+  try {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      res.set('Allow', 'GET, POST');
+      return res.status(405).json({ errors: [{ message: message('graphql_method_not_allowed') }] });
+    }
+
+    const params = req.method === 'POST' ? req.body || {} : req.query;
+    const { query, operationName } = params;
+    const variables = parseVariables(params.variables);
+
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ errors: [{ message: message('graphql_missing_query') }] });
+    }
+    if (variables === null) {
+      return res.status(400).json({ errors: [{ message: message('graphql_invalid_variables') }] });
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (syntaxError) {
+      return res.status(400).json({ errors: [formatError(syntaxError)] });
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors.map(formatError) });
+    }
+
+    if (queryDepth(document) > MAX_DEPTH) {
+      return res.status(400).json({ errors: [{ message: message('graphql_too_deep', { depth: MAX_DEPTH }) }] });
+    }
+    if (queryCost(document, variables) > MAX_COST) {
+      return res.status(400).json({ errors: [{ message: message('graphql_too_costly', { cost: MAX_COST }) }] });
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      // Loaders are per request so their caches never outlive it
+      contextValue: { loaders: createLoaders(), lang: req.lang }
+    });
+
+    // No data at all means the request itself was unusable (e.g. an unknown operationName)
+    res.status(result.data === undefined ? 400 : 200).json({
+      ...(result.errors ? { errors: result.errors.map(formatError) } : {}),
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error executing GraphQL query:', error);
+    res.status(error.statusCode || 500).json({ errors: [{ message: errorMessage(error) }] });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
-const cache = require('../services/cache');
 const Member = require('../models/Member');
+const Vote = require('../models/Vote');
+const Ballot = require('../models/Ballot');
 const { fetchFromAPI, getCacheExpiration } = require('../services/proxy');
+const { fetchCached } = require('../services/responseCache');
+const { buildBallotFilter } = require('../services/ballotQuery');
+const { saveMember } = require('../services/entityStore');
+const {
+  computeMemberDissent,
+  computeMemberParticipation,
+  rankParticipation,
+  compareMembers,
+  compareMemberToParty,
+  rankAgreement,
+  buildAgreementMatrix
+} = require('../services/analytics');
+const {
+  parsePaging,
+  buildPagination,
+  findPage,
+  pageResponse,
+  paginateArray,
+  upstreamPageResponse
+} = require('../services/pagination');
+const { resolveSession } = require('../middleware/session');
+const { validateRequest } = require('../middleware/validateRequest');
+const { localizeResponses } = require('../middleware/localize');
+const { localized, message, errorMessage, RESULT_LABELS, BALLOT_LABELS } = require('../services/i18n');
+const { lookupMember } = require('../services/ridings');
+const { escapeRegex } = require('../services/billQuery');
+const { parseExportFormat, formatDate, streamExport, handleExport } = require('../services/exporter');
+
+// Upper bound on the agreement matrix size (n² pairs per vote)
+const MAX_MATRIX_MEMBERS = 100;
+
+// Answer in the requested language, then check parameters against the OpenAPI document
+router.use(localizeResponses());
+router.use(validateRequest());
+
+// Reject unknown ?session= values; member histories span every session unless one is given
+router.use(resolveSession());
 
 /**
  * GET /api/members
@@ -11,55 +48,136 @@ const { fetchFromAPI, getCacheExpiration } = require('../services/proxy');
  */
 router.get('/', async (req, res) => {
   try {
-    const { limit = 20, offset = 0, province, party, search } = req.query;
-    
-    // Build cache key (without search since that would create too many variations)
-    const cacheKey = `members-${province || 'all'}-${party || 'all'}-${limit}-${offset}`;
-    
-    // Check if search was provided (skip cache for search queries)
-    let membersData = null;
-    if (!search) {
-      // Check database first
-      membersData = await Member.findOne({ 
-        url: cacheKey,
-        expires: { $gt: new Date() }
-      });
-    }
+    const { province, party, search } = req.query;
+    const { limit, offset } = parsePaging(req.query, { maxLimit: 500 });
     
-    // If not in database or expired, fetch from API
-    if (!membersData) {
-      const params = { limit, offset, province, party };
-      const apiData = await fetchFromAPI('/politicians/', params);
-      
-      // Store in database (only if not a search query)
-      if (!search) {
-        membersData = new Member({
-          name: cacheKey,
-          url: cacheKey,
-          data: apiData,
-          expires: getCacheExpiration('/politicians/')
-        });
-        
-        await membersData.save();
-      } else {
-        membersData = { data: apiData };
-      }
-    }
+    // Served through the response cache (search is applied locally, so it is not part of the key)
+    const membersData = await fetchCached('/politicians/', { limit, offset, province, party });
+    const page = upstreamPageResponse(req, membersData, { limit, offset });
     
     // Handle search locally if provided
-    if (search && membersData.data.objects) {
+    if (search) {
       const searchLower = search.toLowerCase();
-      membersData.data.objects = membersData.data.objects.filter(member => 
+      page.objects = page.objects.filter(member => 
         member.name.toLowerCase().includes(searchLower) || 
         (member.constituency && member.constituency.toLowerCase().includes(searchLower))
       );
+      // Only this page was searched, so the overall count is unknown
+      page.pagination.count = null;
     }
     
-    // Return data
-    res.json(membersData.data);
+    res.json(page);
   } catch (error) {
     console.error('Error fetching members:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /api/members/participation
+ * House-wide ranking of members by how often they cast a vote
+ *
+ * Query parameters: session (defaults to the current session; "all" for every session),
+ * date_after, date_before, min_votes, order (desc/asc), limit, offset
+ */
+router.get('/participation', resolveSession({ defaultToCurrent: true }), async (req, res) => {
+  try {
+    const { limit, offset } = parsePaging(req.query, { maxLimit: 400 });
+    const minVotes = parseInt(req.query.min_votes) || 1;
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
+    
+    const { members, total } = await rankParticipation(req.query, { limit, offset, minVotes, order });
+    
+    res.json({
+      objects: members,
+      pagination: buildPagination(req, { limit, offset, total })
+    });
+  } catch (error) {
+    console.error('Error ranking participation:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+const MEMBER_EXPORT_COLUMNS = ['name', 'party', 'constituency', 'province', 'email', 'phone', 'url'];
+const BALLOT_EXPORT_COLUMNS = [
+  'session', 'vote_number', 'date', 'description_en', 'description_fr', 'result',
+  'bill_number', 'ballot', 'party', 'politician_name', 'politician_url', 'vote_url'
+];
+
+/**
+ * GET /api/members/export
+ * Stream stored members as CSV or NDJSON
+ *
+ * Query parameters: format (csv, ndjson), province, party, search (name or constituency)
+ */
+router.get('/export', (req, res) => handleExport(req, res, async () => {
+  const format = parseExportFormat(req.query.format);
+  const { province, party, search } = req.query;
+  
+  const filter = {};
+  if (province) filter.province = new RegExp(`^${escapeRegex(province)}$`, 'i');
+  if (party) filter.party = new RegExp(escapeRegex(party), 'i');
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ name: pattern }, { constituency: pattern }];
+  }
+  
+  await streamExport(res, {
+    format,
+    filename: 'members',
+    columns: MEMBER_EXPORT_COLUMNS,
+    cursor: Member.find(filter, { data: 0, offices: 0 }).sort({ name: 1 }).lean().cursor(),
+    toRows: member => [MEMBER_EXPORT_COLUMNS.reduce((row, column) => ({ ...row, [column]: member[column] }), {})]
+  });
+}, 'members'));
+
+/**
+ * GET /api/members/lookup
+ * Find the current member for a postal code or riding name
+ *
+ * Query parameters: postal_code (full code or FSA) or riding (fuzzy name, accents and dashes optional)
+ */
+router.get('/lookup', async (req, res) => {
+  try {
+    const { postal_code: postalCode, riding } = req.query;
+    const result = await lookupMember({ postalCode, riding });
+    
+    res.json({
+      query: postalCode || riding,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error looking up member:', error.message);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /api/members/agreement
+ * Pairwise voting agreement between a set of members
+ *
+ * Query parameters: members (comma-separated member slugs, 2-100), session (defaults to
+ * the current session; "all" for every session), date_after, date_before
+ */
+router.get('/agreement', resolveSession({ defaultToCurrent: true }), async (req, res) => {
+  try {
+    const memberNames = [...new Set(String(req.query.members || '').split(',').map(name => name.trim()).filter(Boolean))];
+    
+    if (memberNames.length < 2 || memberNames.length > MAX_MATRIX_MEMBERS) {
+      return res.status(400).json({ error: message('agreement_member_count', { maximum: MAX_MATRIX_MEMBERS }) });
+    }
+    
+    const matrix = await buildAgreementMatrix(memberNames.map(name => `/politicians/${name}/`), req.query);
+    
+    res.json({
+      session: req.query.session || null,
+      date_after: req.query.date_after || null,
+      date_before: req.query.date_before || null,
+      ...matrix
+    });
+  } catch (error) {
+    console.error('Error building agreement matrix:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
   }
 });
 
@@ -82,33 +200,102 @@ router.get('/:memberName', async (req, res) => {
     if (!memberData) {
       const apiData = await fetchFromAPI(memberUrl);
       
-      // Store in database
-      memberData = new Member({
-        name: apiData.name || memberName,
-        url: memberUrl,
-        party: apiData.party,
-        constituency: apiData.constituency,
-        province: apiData.province,
-        photo_url: apiData.image,
-        email: apiData.email,
-        phone: apiData.phone,
-        roles: apiData.roles,
-        offices: apiData.offices,
-        data: apiData,
-        expires: getCacheExpiration(memberUrl)
-      });
-      
-      await memberData.save();
+      // Store in database (upsert, since an outdated copy may already exist)
+      memberData = await saveMember({ ...apiData, url: memberUrl }, { ...apiData, name: apiData.name || memberName }, getCacheExpiration(memberUrl), { source: 'request' });
     }
     
     // Return data
     res.json(memberData.data);
   } catch (error) {
     console.error('Error fetching member details:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
   }
 });
 
+/**
+ * Find a member's stored ballots, joined with the votes they were cast in
+ * @param {string} memberName - Politician slug
+ * @param {Object} query - Request query parameters (paging and ballot filters)
+ * @returns {Promise<Object>} - { page (see pagination.findPage), limit, votes (Map of vote URL -> vote), hasAny }
+ */
+async function findMemberBallots(memberName, query) {
+  const politicianUrl = `/politicians/${memberName}/`;
+  const { limit, offset, cursor } = parsePaging(query, { maxLimit: 500 });
+  const filter = buildBallotFilter(query, { politician_url: politicianUrl });
+  
+  const page = await findPage(Ballot, filter, {
+    sort: { date: -1, vote_number: -1 },
+    limit,
+    offset,
+    cursor
+  });
+  const ballots = page.objects;
+  
+  const voteDocs = await Vote.find(
+    { url: { $in: ballots.map(ballot => ballot.vote_url) } },
+    { data: 0, members_votes: 0 }
+  ).lean();
+  const votes = new Map(voteDocs.map(vote => [vote.url, vote]));
+  
+  // Distinguish "no matches for these filters" from "nothing stored for this member"
+  const hasAny = page.total > 0 || Boolean(await Ballot.exists({ politician_url: politicianUrl }));
+  
+  return { page, limit, votes, hasAny };
+}
+
+/**
+ * Stream a member's ballots as CSV or NDJSON, oldest first
+ * @route GET /api/members/:memberName/ballots/export
+ *
+ * Query parameters: format (csv, ndjson) and the ballot filters (session, ballot, date_after, date_before)
+ */
+router.get('/:memberName/ballots/export', (req, res) => handleExport(req, res, async () => {
+  const format = parseExportFormat(req.query.format);
+  const { memberName } = req.params;
+  const politicianUrl = `/politicians/${memberName}/`;
+  
+  if (!await Ballot.exists({ politician_url: politicianUrl })) {
+    return res.status(404).json({ error: message('no_voting_history') });
+  }
+  
+  const pipeline = [
+    { $match: buildBallotFilter(req.query, { politician_url: politicianUrl }) },
+    { $sort: { date: 1, vote_number: 1 } },
+    { $lookup: { from: Vote.collection.name, localField: 'vote_url', foreignField: 'url', as: 'vote' } },
+    { $project: { data: 0, 'vote.data': 0, 'vote.members_votes': 0, 'vote.party_votes': 0 } }
+  ];
+  
+  await streamExport(res, {
+    format,
+    filename: `ballots-${memberName}`,
+    columns: BALLOT_EXPORT_COLUMNS,
+    cursor: Ballot.aggregate(pipeline).cursor(),
+    toRows: ballot => {
+      const vote = ballot.vote[0] || {};
+      return [{
+        session: ballot.session,
+        vote_number: ballot.vote_number,
+        date: formatDate(ballot.date),
+        description_en: vote.description && vote.description.en,
+        description_fr: vote.description && vote.description.fr,
+        result: vote.result,
+        bill_number: vote.bill_number,
+        ballot: ballot.ballot,
+        party: ballot.party,
+        politician_name: ballot.politician_name,
+        politician_url: ballot.politician_url,
+        vote_url: ballot.vote_url
+      }];
+    }
+  });
+}, 'member ballots'));
+
+// Wording of the display fields in real-votes
+const REAL_VOTE_LABELS = {
+  en: { bill: number => `Bill ${number}`, motion: 'Motion', unknown: 'Unknown' },
+  fr: { bill: number => `Projet de loi ${number}`, motion: 'Motion', unknown: 'Inconnu' }
+};
+
 /**
  * Get real voting history for a specific member
  * @route GET /api/members/:memberName/real-votes
@@ -116,159 +303,42 @@ router.get('/:memberName', async (req, res) => {
 router.get('/:memberName/real-votes', async (req, res) => {
   try {
     const { memberName } = req.params;
+    const { page, limit, votes, hasAny } = await findMemberBallots(memberName, req.query);
     
-    // Check cache first
-    const cacheKey = `member_real_votes_${memberName}`;
-    const cachedData = cache.get(cacheKey);
-    
-    if (cachedData) {
-      console.log(`Returning cached real votes for ${memberName}`);
-      return res.json(cachedData);
-    }
-    
-    console.log(`Fetching real votes for ${memberName} from OpenParliament API`);
-    
-    // Step 1: Fetch the member's ballots
-    const ballotsUrl = `https://api.openparliament.ca/votes/ballots/?politician=${memberName}&format=json&limit=20`;
-    console.log(`Fetching ballots from: ${ballotsUrl}`);
-    
-    let ballotsData;
-    try {
-      const ballotsResponse = await axios.get(ballotsUrl, {
-        headers: {
-          'User-Agent': 'Parliament Watch/1.0',
-          'Accept': 'application/json'
-        },
-        timeout: 8000
-      });
-      
-      ballotsData = ballotsResponse.data;
-      console.log(`Found ${ballotsData.objects?.length || 0} ballots for ${memberName}`);
-    } catch (ballotsError) {
-      console.error(`Error fetching ballots: ${ballotsError.message}`);
-      return res.status(500).json({
-        error: 'Failed to fetch ballot data',
-        details: ballotsError.message
-      });
-    }
-    
-    if (!ballotsData.objects || ballotsData.objects.length === 0) {
+    if (!hasAny) {
       console.log(`No ballots found for ${memberName}`);
       return res.status(404).json({
-        error: 'No voting history found for this member'
+        error: message('no_voting_history')
       });
     }
-    // Step 2: Enrich ballots with vote details (for the first 10 to avoid too many requests)
-    const enrichedVotes = [];
-    const maxBallotsToEnrich = Math.min(10, ballotsData.objects.length);
     
-    for (let i = 0; i < maxBallotsToEnrich; i++) {
-      const ballot = ballotsData.objects[i];
+    // Format votes for frontend consumption, in the request's language
+    const labels = REAL_VOTE_LABELS[req.lang];
+    const enrichedVotes = page.objects.map(ballot => {
+      const vote = votes.get(ballot.vote_url) || {};
       
-      try {
-        // Extract vote session and number from vote_url
-        // Format is typically: /votes/44-1/928/
-        const voteUrlParts = ballot.vote_url.split('/').filter(Boolean);
-        
-        if (voteUrlParts.length >= 3) {
-          const voteSession = voteUrlParts[voteUrlParts.length - 3]; // e.g., "44-1"
-          const voteNumber = voteUrlParts[voteUrlParts.length - 1]; // e.g., "928"
-          
-          // Fetch vote details
-          const voteUrl = `https://api.openparliament.ca/votes/${voteSession}/${voteNumber}/?format=json`;
-          console.log(`Fetching vote details from: ${voteUrl}`);
-          
-          const voteResponse = await axios.get(voteUrl, {
-            headers: {
-              'User-Agent': 'Parliament Watch/1.0',
-              'Accept': 'application/json'
-            },
-            timeout: 5000
-          });
-          
-          const voteData = voteResponse.data;
-          
-          // Format vote data for frontend consumption
-          enrichedVotes.push({
-            id: `${voteSession}-${voteNumber}`,
-            vote_url: ballot.vote_url,
-            bill: voteData.bill ? `Bill ${voteData.bill.number}` : 'Motion',
-            bill_number: voteData.bill ? voteData.bill.number : null,
-            description: typeof voteData.description === 'object' ? 
-              voteData.description.en : voteData.description,
-            date: voteData.date,
-            vote: ballot.ballot === 'Yes' ? 'Yea' : ballot.ballot === 'No' ? 'Nay' : ballot.ballot,
-            result: voteData.result || (voteData.passed ? 'Passed' : 'Failed'),
-            // Include raw data for debugging or future enhancements
-            raw_ballot: ballot,
-            raw_vote: voteData
-          });
-        } else {
-          console.warn(`Invalid vote_url format: ${ballot.vote_url}`);
-          // Add minimal ballot data if we can't parse the URL properly
-          enrichedVotes.push({
-            id: ballot.vote_url,
-            vote_url: ballot.vote_url,
-            bill: 'Unknown',
-            description: 'Vote details unavailable',
-            date: 'Unknown date',
-            vote: ballot.ballot,
-            result: 'Unknown',
-            raw_ballot: ballot
-          });
-        }
-      } catch (voteError) {
-        console.error(`Error fetching vote details for ${ballot.vote_url}: ${voteError.message}`);
-        // Add minimal ballot data if we encounter an error
-        enrichedVotes.push({
-          id: ballot.vote_url,
-          vote_url: ballot.vote_url,
-          bill: 'Unknown',
-          description: 'Error fetching vote details',
-          date: 'Unknown date',
-          vote: ballot.ballot,
-          result: 'Unknown',
-          raw_ballot: ballot,
-          error: voteError.message
-        });
-      }
-    }
-    
-    // Add any remaining ballots with minimal data
-    for (let i = maxBallotsToEnrich; i < ballotsData.objects.length; i++) {
-      const ballot = ballotsData.objects[i];
-      enrichedVotes.push({
-        id: ballot.vote_url,
+      return {
+        id: `${ballot.session}-${ballot.vote_number}`,
         vote_url: ballot.vote_url,
-        bill: 'Motion', // Default to Motion without enrichment
-        description: 'Additional vote (details not loaded)',
-        date: 'Unknown date',
-        vote: ballot.ballot,
-        result: 'Unknown',
-        raw_ballot: ballot
-      });
-    }
-    
-    // Create the response
-    const responseData = {
-      objects: enrichedVotes,
-      pagination: ballotsData.pagination,
-      meta: {
-        member: memberName,
-        enriched_count: maxBallotsToEnrich,
-        total_count: ballotsData.objects.length
-      }
-    };
-    
-    // Cache the response for 1 hour (3600000 ms)
-    cache.set(cacheKey, responseData, 3600000);
+        bill: vote.bill_number ? labels.bill(vote.bill_number) : labels.motion,
+        bill_number: vote.bill_number || null,
+        description: localized(vote.description, req.lang) || null,
+        date: ballot.date,
+        vote: BALLOT_LABELS[req.lang][ballot.ballot] || ballot.ballot,
+        party: ballot.party,
+        result: RESULT_LABELS[req.lang][vote.result] || vote.result || labels.unknown,
+        raw_ballot: ballot.data
+      };
+    });
     
-    // Send the enriched data
-    return res.json(responseData);
+    return res.json({
+      ...pageResponse(req, page, limit),
+      objects: enrichedVotes
+    });
   } catch (error) {
     console.error(`Error in real-votes endpoint: ${error.message}`);
-    return res.status(500).json({
-      error: 'Failed to retrieve voting history',
+    return res.status(error.statusCode || 500).json({
+      error: message('voting_history_failed'),
       details: error.message
     });
   }
@@ -281,241 +351,202 @@ router.get('/:memberName/real-votes', async (req, res) => {
 router.get('/:memberName/ballots', async (req, res) => {
   try {
     const { memberName } = req.params;
+    const { page, limit, votes, hasAny } = await findMemberBallots(memberName, req.query);
     
-    // Check cache first
-    const cacheKey = `member_ballots_${memberName}`;
-    const cachedData = cache.get(cacheKey);
-    
-    if (cachedData) {
-      console.log(`Returning cached ballots for ${memberName}`);
-      return res.json(cachedData);
-    }
-    
-    // If not in cache, fetch from OpenParliament API
-    console.log(`Fetching ballots for ${memberName} from OpenParliament API`);
-    
-    // Construct API URL
-    const apiUrl = `https://api.openparliament.ca/votes/ballots/?politician=${memberName}&format=json&limit=50`;
-    
-    // Make the request to OpenParliament API
-    const response = await axios.get(apiUrl, {
-      headers: {
-        'User-Agent': 'Parliament Watch/1.0',
-        'Accept': 'application/json'
-      },
-      timeout: 5000 // 5 second timeout
-    });
-    
-    // Get the ballots from the response
-    const ballotsData = response.data;
-    
-    // Check if we got some ballots
-    if (!ballotsData.objects || ballotsData.objects.length === 0) {
+    if (!hasAny) {
       console.log(`No ballots found for ${memberName}`);
       return res.status(404).json({ 
-        error: 'No voting history found for this member' 
+        error: message('no_voting_history') 
       });
     }
     
-    // Enrich ballots with vote details (for the first 10 to avoid too many requests)
-    const enrichedBallots = [];
-    const maxBallotsToEnrich = Math.min(10, ballotsData.objects.length);
-    
-    for (let i = 0; i < maxBallotsToEnrich; i++) {
-      const ballot = ballotsData.objects[i];
+    // Add vote details to each ballot
+    const enrichedBallots = page.objects.map(ballot => {
+      const vote = votes.get(ballot.vote_url);
       
-      try {
-        // Extract vote ID from vote_url
-        const voteUrlParts = ballot.vote_url.split('/').filter(Boolean);
-        if (voteUrlParts.length >= 3) {
-          const voteSession = voteUrlParts[voteUrlParts.length - 3]; // e.g., "44-1"
-          const voteNumber = voteUrlParts[voteUrlParts.length - 1]; // e.g., "928"
-          
-          // Fetch vote details
-          const voteUrl = `https://api.openparliament.ca/votes/${voteSession}/${voteNumber}/?format=json`;
-          const voteResponse = await axios.get(voteUrl, {
-            headers: {
-              'User-Agent': 'Parliament Watch/1.0',
-              'Accept': 'application/json'
-            },
-            timeout: 5000
-          });
-          
-          const voteData = voteResponse.data;
-          
-          // Add vote details to ballot
-          enrichedBallots.push({
-            ...ballot,
-            vote_details: voteData,
-            date: voteData.date,
-            description: voteData.description,
-            result: voteData.result,
-            bill_number: voteData.bill ? voteData.bill.number : null
-          });
-        } else {
-          // If we can't parse the vote_url, just add the original ballot
-          enrichedBallots.push(ballot);
-        }
-      } catch (error) {
-        console.error(`Error enriching ballot for ${memberName}:`, error.message);
-        // If we can't enrich the ballot, just add the original
-        enrichedBallots.push(ballot);
-      }
-    }
-    
-    // Add any remaining ballots that weren't enriched
-    for (let i = maxBallotsToEnrich; i < ballotsData.objects.length; i++) {
-      enrichedBallots.push(ballotsData.objects[i]);
-    }
+      return {
+        ...ballot.data,
+        party: ballot.party,
+        session: ballot.session,
+        vote_number: ballot.vote_number,
+        date: ballot.date,
+        description: vote ? vote.description : undefined,
+        result: vote ? vote.result : undefined,
+        bill_number: vote ? vote.bill_number || null : null
+      };
+    });
     
-    // Create the response data
-    const responseData = {
-      ...ballotsData,
+    res.json({
+      ...pageResponse(req, page, limit),
       objects: enrichedBallots
-    };
-    
-    // Cache the response for 1 hour (3600000 ms)
-    cache.set(cacheKey, responseData, 3600000);
-    
-    // Send the enriched data
-    res.json(responseData);
+    });
   } catch (error) {
     console.error('Error fetching member ballots:', error.message);
-    res.status(500).json({ 
-      error: 'Error fetching voting history',
+    res.status(error.statusCode || 500).json({ 
+      error: message('voting_history_error'),
       details: error.message 
     });
   }
 });
 
-// Just for testing - return mock data for votes
-router.get('/:memberName/mock-votes', (req, res) => {
-  const { memberName } = req.params;
-  
-  // Create mock votes with realistic patterns
-  const mockVotes = [
-    {
-      id: 'mock-1',
-      bill: 'Bill C-56',
-      description: 'Affordable Housing and Public Transit Act',
-      date: '2024-11-20',
-      vote: 'Yea',
-      result: 'Passed'
-    },
-    {
-      id: 'mock-2',
-      bill: 'Motion',
-      description: 'Opposition Motion (Confidence in the government)',
-      date: '2024-11-15',
-      vote: 'Yea',
-      result: 'Passed'
-    },
-    {
-      id: 'mock-3',
-      bill: 'Bill C-45',
-      description: 'Cannabis Regulation Amendment Act',
-      date: '2024-10-28',
-      vote: 'Yea',
-      result: 'Passed'
-    },
-    {
-      id: 'mock-4',
-      bill: 'Bill C-35',
-      description: 'Canada Early Learning and Child Care Act',
-      date: '2024-10-12',
-      vote: 'Nay', 
-      result: 'Passed'
-    },
-    {
-      id: 'mock-5',
-      bill: 'Bill C-63',
-      description: 'Online Streaming Act',
-      date: '2024-09-30',
-      vote: 'Yea',
-      result: 'Passed'
-    },
-  ];
-  
-  res.json({
-    objects: mockVotes,
-    pagination: {
-      count: mockVotes.length,
-      next: null,
-      previous: null
+/**
+ * GET /api/members/:memberUrl/votes
+ * Retrieve voting history for a specific member
+ */
+router.get('/:memberName/votes', async (req, res) => {
+  try {
+    const { memberName } = req.params;
+    const { limit, offset } = parsePaging(req.query, { maxLimit: 500 });
+    const memberVotesData = await fetchCached(`/politicians/${memberName}/votes/`, { limit, offset });
+    
+    res.json(upstreamPageResponse(req, memberVotesData, { limit, offset }));
+  } catch (error) {
+    console.error(`Error fetching votes for ${req.params.memberName}:`, error);
+    res.status(error.statusCode || 502).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * Dissent rate for a member over a session or date range
+ * @route GET /api/members/:memberName/dissent
+ */
+router.get('/:memberName/dissent', async (req, res) => {
+  try {
+    const { memberName } = req.params;
+    const politicianUrl = `/politicians/${memberName}/`;
+    
+    if (!await Ballot.exists({ politician_url: politicianUrl })) {
+      return res.status(404).json({ error: message('no_voting_history') });
     }
-  });
+    
+    const dissent = await computeMemberDissent(politicianUrl, req.query);
+    
+    res.json({
+      member: memberName,
+      session: req.query.session || null,
+      date_after: req.query.date_after || null,
+      date_before: req.query.date_before || null,
+      ...dissent
+    });
+  } catch (error) {
+    console.error('Error computing member dissent:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
 });
 
+/**
+ * Participation report for a member (votes cast, missed and paired by session and month)
+ * @route GET /api/members/:memberName/participation
+ */
+router.get('/:memberName/participation', async (req, res) => {
+  try {
+    const { memberName } = req.params;
+    const politicianUrl = `/politicians/${memberName}/`;
+    
+    if (!await Ballot.exists({ politician_url: politicianUrl })) {
+      return res.status(404).json({ error: message('no_voting_history') });
+    }
+    
+    const participation = await computeMemberParticipation(politicianUrl, req.query);
+    
+    res.json({
+      member: memberName,
+      session: req.query.session || null,
+      date_after: req.query.date_after || null,
+      date_before: req.query.date_before || null,
+      ...participation
+    });
+  } catch (error) {
+    console.error('Error computing member participation:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
 
 /**
- * GET /api/members/:memberUrl/votes
- * Retrieve voting history for a specific member
+ * Members ranked by how often they voted the same way as this member
+ * @route GET /api/members/:memberName/compare
  */
-router.get('/:memberName/votes', async (req, res) => {
+router.get('/:memberName/compare', async (req, res) => {
   try {
     const { memberName } = req.params;
-    const { limit = 20, offset = 0 } = req.query;
-    const memberVotesUrl = `/politicians/${memberName}/votes/`;
+    const politicianUrl = `/politicians/${memberName}/`;
     
-    // Build cache key
-    const cacheKey = `${memberVotesUrl}-${limit}-${offset}`;
+    if (!await Vote.exists({ 'members_votes.politician_url': politicianUrl })) {
+      return res.status(404).json({ error: message('no_voting_history') });
+    }
     
-    // Check database first
-    let memberVotesData = await Member.findOne({ 
-      url: cacheKey,
-      expires: { $gt: new Date() }
+    const { limit, offset } = parsePaging(req.query, { maxLimit: 400 });
+    const minShared = parseInt(req.query.min_shared) || 1;
+    const ranking = await rankAgreement(politicianUrl, req.query, minShared);
+    
+    res.json({
+      member: memberName,
+      ...paginateArray(req, ranking, { limit, offset })
+    });
+  } catch (error) {
+    console.error('Error ranking member agreement:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * How often a member voted with a party's majority
+ * @route GET /api/members/:memberName/compare/party/:party
+ */
+router.get('/:memberName/compare/party/:party', async (req, res) => {
+  try {
+    const { memberName, party } = req.params;
+    const politicianUrl = `/politicians/${memberName}/`;
+    
+    if (!await Vote.exists({ 'members_votes.politician_url': politicianUrl })) {
+      return res.status(404).json({ error: message('no_voting_history') });
+    }
+    
+    const agreement = await compareMemberToParty(politicianUrl, party, req.query);
+    
+    res.json({
+      member: memberName,
+      party,
+      session: req.query.session || null,
+      date_after: req.query.date_after || null,
+      date_before: req.query.date_before || null,
+      ...agreement
     });
+  } catch (error) {
+    console.error('Error comparing member with party:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * How often two members voted the same way on votes they both cast
+ * @route GET /api/members/:memberName/compare/:otherName
+ */
+router.get('/:memberName/compare/:otherName', async (req, res) => {
+  try {
+    const { memberName, otherName } = req.params;
+    const politicianUrls = [`/politicians/${memberName}/`, `/politicians/${otherName}/`];
     
-    // If not in database or expired, fetch from API
-    if (!memberVotesData) {
-      try {
-        const params = { limit, offset };
-        const apiData = await fetchFromAPI(memberVotesUrl, params);
-        
-        // Store in database
-        memberVotesData = new Member({
-          name: `${memberName}-votes`,
-          url: cacheKey,
-          data: apiData,
-          expires: getCacheExpiration(memberVotesUrl)
-        });
-        
-        await memberVotesData.save();
-      } catch (apiError) {
-        console.error(`Error fetching votes from OpenParliament for ${memberName}:`, apiError);
-        
-        // Instead of propagating error, return empty result structure
-        return res.json({
-          objects: [],
-          pagination: {
-            count: 0,
-            next_url: null,
-            previous_url: null,
-            limit: parseInt(limit),
-            offset: parseInt(offset)
-          },
-          message: `No votes available for ${memberName} or API error occurred`,
-          error_details: process.env.NODE_ENV === 'development' ? apiError.message : undefined
-        });
+    for (const politicianUrl of politicianUrls) {
+      if (!await Vote.exists({ 'members_votes.politician_url': politicianUrl })) {
+        return res.status(404).json({ error: message('no_voting_history_for', { member: politicianUrl }) });
       }
     }
     
-    // Return data
-    res.json(memberVotesData.data);
-  } catch (error) {
-    console.error('Error in member votes endpoint:', error);
+    const agreement = await compareMembers(politicianUrls[0], politicianUrls[1], req.query);
     
-    // Return empty result structure instead of 500 error
     res.json({
-      objects: [],
-      pagination: {
-        count: 0, 
-        next_url: null,
-        previous_url: null
-      },
-      message: 'Error retrieving votes data'
+      member: memberName,
+      other: otherName,
+      session: req.query.session || null,
+      date_after: req.query.date_after || null,
+      date_before: req.query.date_before || null,
+      ...agreement
     });
+  } catch (error) {
+    console.error('Error comparing members:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
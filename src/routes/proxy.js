@@ -1,6 +1,6 @@
 const express = require('express');
-const fetch = require('node-fetch');
 const router = express.Router();
+const { requestUpstream, API_BASE_URL } = require('../services/proxy');
 
 /**
  * Proxy route for OpenParliament API
@@ -15,35 +15,34 @@ router.get('/proxy', async (req, res) => {
     }
     
     // Validate the URL is for the OpenParliament API
-    if (!targetUrl.startsWith('https://api.openparliament.ca')) {
+    if (!targetUrl.startsWith(API_BASE_URL)) {
       return res.status(403).json({ error: 'Only OpenParliament API requests are allowed' });
     }
     
-    // Forward the request to the API
-    const response = await fetch(targetUrl, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'Parliament-Watch/1.0 (jrfchambers@gmail.com)',
-        'API-Version': 'v1',
-      },
-    });
-    
-    // Get response headers
-    const headers = response.headers.raw();
+    // Forward the request through the shared upstream client; 429/5xx are retried
+    // there and passed through once retries are exhausted
+    let response;
+    try {
+      response = await requestUpstream(targetUrl, {
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: status => status < 500 && status !== 429
+      });
+    } catch (upstreamError) {
+      if (!upstreamError.response) throw upstreamError;
+      response = upstreamError.response;
+    }
     
     // Forward relevant headers
     const allowedHeaders = ['content-type', 'cache-control', 'api-version'];
-    Object.keys(headers).forEach(header => {
+    Object.entries(response.headers).forEach(([header, value]) => {
       if (allowedHeaders.includes(header.toLowerCase())) {
-        res.setHeader(header, headers[header]);
+        res.setHeader(header, value);
       }
     });
     
-    // Get the response body
-    const data = await response.text();
-    
     // Send the response
-    res.status(response.status).send(data);
+    res.status(response.status).send(response.data);
   } catch (error) {
     console.error('Proxy error:', error);
     res.status(500).json({ error: 'Failed to fetch from API' });
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const Bill = require('../models/Bill');
+const Vote = require('../models/Vote');
+const {
+  getCurrentSession,
+  requireSession,
+  listSessionsWithCounts,
+  groupByParliament
+} = require('../services/sessions');
+const { validateRequest } = require('../middleware/validateRequest');
+const { localizeResponses } = require('../middleware/localize');
+const { errorMessage } = require('../services/i18n');
+const { parsePaging, paginateArray } = require('../services/pagination');
+const cache = require('../services/cache');
+
+// Session lists count every bill and vote, and only change with a sync
+const SESSION_LIST_TTL = 5 * 60;
+
+router.use(localizeResponses());
+router.use(validateRequest());
+
+/**
+ * GET /api/sessions
+ * List sessions, newest first, with bill and vote counts
+ *
+ * Query parameters: parliament (e.g. 44), limit, offset (every session unless limited)
+ */
+router.get('/', cache.middleware(SESSION_LIST_TTL), async (req, res) => {
+  try {
+    const sessions = await listSessionsWithCounts({ parliament: req.query.parliament });
+    res.json(paginateArray(req, sessions, parsePaging(req.query, { defaultLimit: 100 })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /api/sessions/parliaments
+ * Sessions grouped by parliament, newest first (query: limit, offset)
+ */
+router.get('/parliaments', cache.middleware(SESSION_LIST_TTL), async (req, res) => {
+  try {
+    const sessions = await listSessionsWithCounts();
+    res.json(paginateArray(req, groupByParliament(sessions), parsePaging(req.query, { defaultLimit: 100 })));
+  } catch (error) {
+    console.error('Error fetching parliaments:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * Build the response for a single session
+ * @param {Object} session - Session
+ * @returns {Promise<Object>}
+ */
+async function describeSession(session) {
+  const [current, billCount, voteCount] = await Promise.all([
+    getCurrentSession(),
+    Bill.countDocuments({ session: session.id }),
+    Vote.countDocuments({ session: session.id })
+  ]);
+
+  return {
+    ...session,
+    current: session.id === current.id && !session.end,
+    bill_count: billCount,
+    vote_count: voteCount
+  };
+}
+
+/**
+ * GET /api/sessions/current
+ * The sitting session (or the most recent one between parliaments)
+ */
+router.get('/current', async (req, res) => {
+  try {
+    res.json(await describeSession(await getCurrentSession()));
+  } catch (error) {
+    console.error('Error fetching current session:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /api/sessions/:session
+ * A single session, e.g. /api/sessions/44-1
+ */
+router.get('/:session', async (req, res) => {
+  try {
+    const session = await requireSession(req.params.session);
+    res.json(await describeSession(session));
+  } catch (error) {
+    // Unknown sessions are a 404 here rather than a bad parameter
+    const statusCode = error.statusCode === 400 ? 404 : error.statusCode || 500;
+    res.status(statusCode).json({ error: errorMessage(error) });
+  }
+});
+
+module.exports = router;
@@ -2,50 +2,112 @@ const express = require('express');
 const router = express.Router();
 const Vote = require('../models/Vote');
 const { fetchFromAPI, getCacheExpiration } = require('../services/proxy');
+const { fetchCached } = require('../services/responseCache');
+const { parsePaging, findPage, pageResponse, upstreamPageResponse } = require('../services/pagination');
+const { saveVote } = require('../services/entityStore');
+const { computeVoteCohesion, buildVoteWindow } = require('../services/analytics');
+const { parseExportFormat, formatDate, streamExport, handleExport } = require('../services/exporter');
+const { resolveSession, validateSessionParam } = require('../middleware/session');
+const { validateRequest } = require('../middleware/validateRequest');
+const { localizeResponses } = require('../middleware/localize');
+const { message, errorMessage } = require('../services/i18n');
+
+// Answer in the requested language, then check parameters against the OpenAPI document
+router.use(localizeResponses());
+router.use(validateRequest());
+router.param('session', validateSessionParam);
 
 /**
  * GET /api/votes
- * Retrieve a list of votes with pagination and filtering
+ * Retrieve a list of votes, newest first, from the local database
+ *
+ * Query parameters: limit, offset or cursor, session (defaults to the current
+ * session; "all" for every session)
  */
-router.get('/', async (req, res) => {
+router.get('/', resolveSession({ defaultToCurrent: true }), async (req, res) => {
   try {
-    const { limit = 20, offset = 0, session } = req.query;
+    const { session } = req.query;
+    const { limit, offset, cursor } = parsePaging(req.query, { maxLimit: 500 });
+    const filter = session ? { session } : {};
     
-    // Build cache key
-    const cacheKey = `votes-${session || 'all'}-${limit}-${offset}`;
+    // Fall back to upstream (through the response cache) only when we hold no votes for the session
+    if (!await Vote.exists(filter)) {
+      const votesData = await fetchCached('/votes/', { limit, offset, session });
+      return res.json(upstreamPageResponse(req, votesData, { limit, offset }));
+    }
     
-    // Check database first
-    let votesData = await Vote.findOne({ 
-      url: cacheKey,
-      expires: { $gt: new Date() }
+    const page = await findPage(Vote, filter, {
+      sort: { date: -1, number: -1 },
+      projection: { data: 0, members_votes: 0, party_votes: 0, source_hash: 0, expires: 0, __v: 0 },
+      limit,
+      offset,
+      cursor
     });
     
-    // If not in database or expired, fetch from API
-    if (!votesData) {
-      const params = { limit, offset, session };
-      const apiData = await fetchFromAPI('/votes/', params);
-      
-      // Store in database
-      votesData = new Vote({
-        number: parseInt(offset), // Using offset as a unique identifier for list
-        session: session || 'all',
-        date: new Date(),
-        url: cacheKey,
-        data: apiData,
-        expires: getCacheExpiration('/votes/')
-      });
-      
-      await votesData.save();
-    }
-    
-    // Return data
-    res.json(votesData.data);
+    res.json(pageResponse(req, page, limit));
   } catch (error) {
     console.error('Error fetching votes:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
   }
 });
 
+// Columns of the votes export; ballot columns are empty for votes whose ballots aren't synced
+const VOTE_EXPORT_COLUMNS = [
+  'session', 'vote_number', 'date', 'description_en', 'description_fr', 'result',
+  'yea_total', 'nay_total', 'paired_total', 'bill_number', 'url'
+];
+const BALLOT_EXPORT_COLUMNS = ['politician_name', 'politician_url', 'party', 'ballot'];
+
+/**
+ * GET /api/votes/export
+ * Stream stored votes as CSV or NDJSON, one row per MP ballot
+ *
+ * Query parameters: format (csv, ndjson), session (defaults to the current
+ * session; "all" for every session), date_after, date_before,
+ * rows (ballots, or votes for one row per vote)
+ */
+router.get('/export', resolveSession({ defaultToCurrent: true }), (req, res) => handleExport(req, res, async () => {
+  const format = parseExportFormat(req.query.format);
+  const perVote = req.query.rows === 'votes';
+  const filter = buildVoteWindow(req.query);
+  
+  const voteRow = vote => ({
+    session: vote.session,
+    vote_number: vote.number,
+    date: formatDate(vote.date),
+    description_en: vote.description && vote.description.en,
+    description_fr: vote.description && vote.description.fr,
+    result: vote.result,
+    yea_total: vote.yea_total,
+    nay_total: vote.nay_total,
+    paired_total: vote.paired_total,
+    bill_number: vote.bill_number,
+    url: vote.url
+  });
+  
+  await streamExport(res, {
+    format,
+    filename: `votes-${req.query.session || 'all'}`,
+    columns: perVote ? VOTE_EXPORT_COLUMNS : [...VOTE_EXPORT_COLUMNS, ...BALLOT_EXPORT_COLUMNS],
+    cursor: Vote.find(filter, { data: 0, party_votes: 0, ...(perVote && { members_votes: 0 }) })
+      .sort({ date: 1, number: 1 })
+      .lean()
+      .cursor(),
+    toRows: vote => {
+      const row = voteRow(vote);
+      if (perVote || !vote.members_votes || vote.members_votes.length === 0) return [row];
+      
+      return vote.members_votes.map(memberVote => ({
+        ...row,
+        politician_name: memberVote.name,
+        politician_url: memberVote.politician_url,
+        party: memberVote.party,
+        ballot: memberVote.vote
+      }));
+    }
+  });
+}, 'votes'));
+
 /**
  * GET /api/votes/:voteUrl
  * Retrieve details for a specific vote
@@ -66,34 +128,54 @@ router.get('/:session/:voteNumber', async (req, res) => {
     if (!voteData) {
       const apiData = await fetchFromAPI(voteUrl);
       
-      // Store in database
-      voteData = new Vote({
-        number: parseInt(voteNumber),
-        session,
-        date: new Date(apiData.date),
-        result: apiData.result,
-        yea_total: apiData.yea_total,
-        nay_total: apiData.nay_total,
-        paired_total: apiData.paired_total,
-        description: apiData.description,
-        url: voteUrl,
-        bill_url: apiData.bill_url,
-        bill_number: apiData.bill_number,
-        party_votes: apiData.party_votes,
-        members_votes: apiData.party_vote_details,
-        data: apiData,
-        expires: getCacheExpiration(voteUrl)
-      });
-      
-      await voteData.save();
+      // Store in database (upsert, since an outdated copy may already exist)
+      voteData = await saveVote(
+        { ...apiData, number: parseInt(voteNumber), session, url: voteUrl },
+        apiData,
+        getCacheExpiration(voteUrl),
+        { source: 'request' }
+      );
     }
     
     // Return data
     res.json(voteData.data);
   } catch (error) {
     console.error('Error fetching vote details:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+  }
+});
+
+/**
+ * GET /api/votes/:session/:voteNumber/cohesion
+ * Party cohesion for a vote and the MPs who broke with their party
+ */
+router.get('/:session/:voteNumber/cohesion', async (req, res) => {
+  try {
+    const { session, voteNumber } = req.params;
+    const vote = await Vote.findOne(
+      { number: parseInt(voteNumber), session },
+      { data: 0 }
+    ).lean();
+    
+    if (!vote || !vote.members_votes || vote.members_votes.length === 0) {
+      return res.status(404).json({ error: message('ballots_not_synced') });
+    }
+    
+    res.json({
+      vote: {
+        session: vote.session,
+        number: vote.number,
+        date: vote.date,
+        description: vote.description,
+        result: vote.result,
+        bill_number: vote.bill_number || null
+      },
+      parties: computeVoteCohesion(vote)
+    });
+  } catch (error) {
+    console.error('Error computing vote cohesion:', error);
+    res.status(error.statusCode || 500).json({ error: errorMessage(error) });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { requireRole } = require('../middleware/adminAuth');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { parsePaging, findPage, buildPagination } = require('../services/pagination');
+const {
+  WEBHOOK_EVENTS,
+  createSubscription,
+  updateSubscription,
+  sendTestEvent,
+  redeliver
+} = require('../services/webhooks');
+
+// Mounted under /api/admin/webhooks, after the admin API key check
+
+// Reject malformed ids before they reach Mongo
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({ success: false, error: 'Not found' });
+  }
+  next();
+});
+
+// Route to list the events a subscription can filter on
+router.get('/events', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, events: WEBHOOK_EVENTS });
+});
+
+// Route to list subscriptions
+router.get('/', requireRole('viewer'), async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 }).lean();
+    res.json({ success: true, subscriptions });
+  } catch (error) {
+    console.error('Error listing webhooks:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to register a subscription (body: url, events, optional bills, members, description)
+router.post('/', requireRole('operator'), async (req, res) => {
+  try {
+    const subscription = await createSubscription(req.body, req.admin.keyId);
+    res.status(201).json({
+      success: true,
+      message: 'Store the secret now; it is not shown again',
+      subscription
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to get one subscription
+router.get('/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id).lean();
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to change a subscription's URL, filters, description or active flag
+router.patch('/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const subscription = await updateSubscription(req.params.id, req.body);
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Error updating webhook:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to delete a subscription and its delivery log
+router.delete('/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findByIdAndDelete(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    }
+    await WebhookDelivery.deleteMany({ subscription: subscription._id });
+    res.json({ success: true, message: 'Webhook subscription deleted' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to send a test "ping" delivery
+router.post('/:id/test', requireRole('operator'), async (req, res) => {
+  try {
+    const delivery = await sendTestEvent(req.params.id);
+    res.json({ success: delivery.status === 'succeeded', delivery });
+  } catch (error) {
+    console.error('Error sending test webhook:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to read a subscription's delivery log, newest first (query: status, limit, offset or cursor)
+router.get('/:id/deliveries', requireRole('viewer'), async (req, res) => {
+  try {
+    const { limit, offset, cursor } = parsePaging(req.query);
+    const filter = { subscription: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const page = await findPage(WebhookDelivery, filter, {
+      sort: { createdAt: -1, _id: -1 },
+      limit,
+      offset,
+      cursor
+    });
+
+    res.json({
+      success: true,
+      deliveries: page.objects,
+      pagination: buildPagination(req, { limit, ...page })
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Route to send a delivery again
+router.post('/deliveries/:id/redeliver', requireRole('operator'), async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.id);
+    res.json({ success: delivery.status === 'succeeded', delivery });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error.message);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+/**
+ * Import a riding dataset for the find-my-MP lookup
+ *
+ * Usage: npm run import:ridings -- <file.json|file.csv> [...more files]
+ *
+ * JSON: an array of { riding_id, name: { en, fr }, province, aliases: [], fsas: [] }
+ * CSV: a header row with riding_id (or fed_num) and any of fsa, name, name_fr,
+ * province and aliases (separated by ";"); rows for the same riding are merged,
+ * so a postal code to riding correspondence file (fed_num,fsa) imports as is.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const { importRidings } = require('../services/ridings');
+
+// Minimal CSV parsing: quoted fields with "" escapes, no embedded newlines
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+function parseCsv(text) {
+  const [headerLine, ...lines] = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+  const header = parseCsvLine(headerLine).map(column => column.toLowerCase());
+  const ridings = new Map();
+
+  for (const line of lines) {
+    const row = {};
+    parseCsvLine(line).forEach((value, index) => {
+      row[header[index]] = value;
+    });
+
+    const ridingId = row.riding_id || row.fed_num;
+    if (!ridingId) continue;
+
+    const riding = ridings.get(ridingId) || { riding_id: ridingId, aliases: [], fsas: [] };
+    if (row.name) riding.name = row.name;
+    if (row.name_fr) riding.name_fr = row.name_fr;
+    if (row.province) riding.province = row.province;
+    if (row.aliases) riding.aliases.push(...row.aliases.split(';').map(alias => alias.trim()).filter(Boolean));
+    if (row.fsa) riding.fsas.push(row.fsa);
+    ridings.set(ridingId, riding);
+  }
+
+  return [...ridings.values()];
+}
+
+async function readRecords(file) {
+  const text = await fs.readFile(file, 'utf8');
+  return path.extname(file).toLowerCase() === '.csv' ? parseCsv(text) : JSON.parse(text);
+}
+
+async function main(files) {
+  if (files.length === 0) {
+    console.error('Usage: npm run import:ridings -- <file.json|file.csv> [...more files]');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/parliament-watch');
+
+  try {
+    for (const file of files) {
+      const { imported, skipped, invalid_fsas: invalidFsas } = await importRidings(await readRecords(file));
+      console.log(`${file}: ${imported} ridings imported, ${skipped} skipped, ${invalidFsas} invalid FSAs ignored`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error('Riding import failed:', error.message);
+  process.exitCode = 1;
+});
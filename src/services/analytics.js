@@ -0,0 +1,556 @@
+const Vote = require('../models/Vote');
+const Ballot = require('../models/Ballot');
+const { buildBallotFilter } = require('./ballotQuery');
+const { parseDateParam, escapeRegex } = require('./billQuery');
+const { stageForVote } = require('./billStages');
+
+/**
+ * Tally one party's ballots and work out its majority position
+ * @param {Object} counts - { Yes, No, Paired, "Didn't vote" }
+ * @returns {Object} - { yea, nay, paired, absent, majority, cohesion, rice_index }
+ */
+function summarizePosition(counts) {
+  const yea = counts.Yes || 0;
+  const nay = counts.No || 0;
+  const voting = yea + nay;
+
+  let majority = null;
+  if (yea > nay) majority = 'Yes';
+  if (nay > yea) majority = 'No';
+
+  return {
+    yea,
+    nay,
+    paired: counts.Paired || 0,
+    absent: counts["Didn't vote"] || 0,
+    majority,
+    // Share of voting members who sided with the majority (1 = unanimous)
+    cohesion: voting ? Math.max(yea, nay) / voting : null,
+    // Rice index: |yea - nay| / (yea + nay), 0 = evenly split, 1 = unanimous
+    rice_index: voting ? Math.abs(yea - nay) / voting : null
+  };
+}
+
+/**
+ * Party cohesion for a single vote, with the MPs who broke with their party
+ * @param {Object} vote - Vote document with members_votes
+ * @returns {Array<Object>} - One entry per party, largest first
+ */
+function computeVoteCohesion(vote) {
+  const parties = new Map();
+
+  for (const memberVote of vote.members_votes || []) {
+    const party = memberVote.party || 'Unknown';
+    if (!parties.has(party)) parties.set(party, { counts: {}, members: [] });
+
+    const entry = parties.get(party);
+    entry.counts[memberVote.vote] = (entry.counts[memberVote.vote] || 0) + 1;
+    entry.members.push(memberVote);
+  }
+
+  return [...parties.entries()]
+    .map(([party, { counts, members }]) => {
+      const position = summarizePosition(counts);
+      const dissenters = position.majority
+        ? members
+          .filter(member => ['Yes', 'No'].includes(member.vote) && member.vote !== position.majority)
+          .map(member => ({ name: member.name, politician_url: member.politician_url, vote: member.vote }))
+        : [];
+
+      return { party, ...position, dissenters };
+    })
+    .sort((a, b) => (b.yea + b.nay + b.paired + b.absent) - (a.yea + a.nay + a.paired + a.absent));
+}
+
+/**
+ * Dissent rate for a member: how often they voted against their caucus majority
+ * @param {string} politicianUrl - Politician URL (e.g. /politicians/jane-doe/)
+ * @param {Object} query - Ballot filters (session, date_after, date_before)
+ * @returns {Promise<Object>} - Dissent summary with the list of dissenting votes
+ */
+async function computeMemberDissent(politicianUrl, query = {}) {
+  const filter = buildBallotFilter(
+    { session: query.session, date_after: query.date_after, date_before: query.date_before },
+    { politician_url: politicianUrl, ballot: { $in: ['Yes', 'No'] }, party: { $ne: null } }
+  );
+  const ballots = await Ballot.find(filter, { vote_url: 1, ballot: 1, party: 1, session: 1, vote_number: 1, date: 1 })
+    .sort({ date: -1 })
+    .lean();
+
+  // Tally every party's ballots in the same votes, then find each caucus majority
+  const tallies = await Ballot.aggregate([
+    { $match: { vote_url: { $in: ballots.map(ballot => ballot.vote_url) } } },
+    { $group: { _id: { vote_url: '$vote_url', party: '$party', ballot: '$ballot' }, count: { $sum: 1 } } }
+  ]);
+
+  const positions = new Map();
+  for (const { _id, count } of tallies) {
+    const key = `${_id.vote_url}|${_id.party}`;
+    if (!positions.has(key)) positions.set(key, {});
+    positions.get(key)[_id.ballot] = count;
+  }
+
+  const dissents = [];
+  let considered = 0;
+
+  for (const ballot of ballots) {
+    const { majority } = summarizePosition(positions.get(`${ballot.vote_url}|${ballot.party}`) || {});
+    if (!majority) continue; // Party split evenly: no line to break
+
+    considered++;
+    if (ballot.ballot !== majority) {
+      dissents.push({
+        vote_url: ballot.vote_url,
+        session: ballot.session,
+        number: ballot.vote_number,
+        date: ballot.date,
+        party: ballot.party,
+        member_vote: ballot.ballot,
+        party_majority: majority
+      });
+    }
+  }
+
+  // Add descriptions and results for the dissenting votes
+  const votes = await Vote.find(
+    { url: { $in: dissents.map(dissent => dissent.vote_url) } },
+    { url: 1, description: 1, result: 1, bill_number: 1 }
+  ).lean();
+  const votesByUrl = new Map(votes.map(vote => [vote.url, vote]));
+  dissents.forEach(dissent => {
+    const vote = votesByUrl.get(dissent.vote_url) || {};
+    dissent.description = vote.description;
+    dissent.result = vote.result;
+    dissent.bill_number = vote.bill_number || null;
+  });
+
+  return {
+    votes_considered: considered,
+    dissent_count: dissents.length,
+    dissent_rate: considered ? dissents.length / considered : null,
+    dissents
+  };
+}
+
+/**
+ * Participation figures from ballot counts
+ * @param {Object} counts - { Yes, No, Paired, "Didn't vote" }
+ * @returns {Object} - { total_votes, cast, yea, nay, paired, missed, participation_rate }
+ */
+function summarizeParticipation(counts) {
+  const yea = counts.Yes || 0;
+  const nay = counts.No || 0;
+  const paired = counts.Paired || 0;
+  const missed = counts["Didn't vote"] || 0;
+  const total = yea + nay + paired + missed;
+
+  return {
+    total_votes: total,
+    cast: yea + nay,
+    yea,
+    nay,
+    paired,
+    missed,
+    participation_rate: total ? (yea + nay) / total : null
+  };
+}
+
+/**
+ * Participation report for a member, overall, by session and by month
+ * @param {string} politicianUrl - Politician URL (e.g. /politicians/jane-doe/)
+ * @param {Object} query - Ballot filters (session, date_after, date_before)
+ * @returns {Promise<Object>} - { overall, by_session, by_month }
+ */
+async function computeMemberParticipation(politicianUrl, query = {}) {
+  const filter = buildBallotFilter(
+    { session: query.session, date_after: query.date_after, date_before: query.date_before },
+    { politician_url: politicianUrl }
+  );
+
+  const rows = await Ballot.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          session: '$session',
+          month: { $dateToString: { format: '%Y-%m', date: '$date' } },
+          ballot: '$ballot'
+        },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const overall = {};
+  const bySession = {};
+  const byMonth = {};
+  const add = (target, key, ballot, count) => {
+    target[key] = target[key] || {};
+    target[key][ballot] = (target[key][ballot] || 0) + count;
+  };
+
+  for (const { _id, count } of rows) {
+    overall[_id.ballot] = (overall[_id.ballot] || 0) + count;
+    add(bySession, _id.session, _id.ballot, count);
+    if (_id.month) add(byMonth, _id.month, _id.ballot, count);
+  }
+
+  return {
+    overall: summarizeParticipation(overall),
+    by_session: Object.keys(bySession).sort().map(session => ({ session, ...summarizeParticipation(bySession[session]) })),
+    by_month: Object.keys(byMonth).sort().map(month => ({ month, ...summarizeParticipation(byMonth[month]) }))
+  };
+}
+
+/**
+ * House-wide participation ranking
+ * @param {Object} query - Ballot filters (session, date_after, date_before)
+ * @param {Object} options
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Page offset
+ * @param {number} options.minVotes - Leave out members with fewer recorded votes
+ * @param {string} options.order - "desc" (most present first) or "asc"
+ * @returns {Promise<{members: Array, total: number}>}
+ */
+async function rankParticipation(query = {}, { limit = 20, offset = 0, minVotes = 1, order = 'desc' } = {}) {
+  const filter = buildBallotFilter({ session: query.session, date_after: query.date_after, date_before: query.date_before });
+  const countOf = (values) => ({ $sum: { $cond: [{ $in: ['$ballot', values] }, 1, 0] } });
+  const direction = order === 'asc' ? 1 : -1;
+
+  const [result] = await Ballot.aggregate([
+    { $match: filter },
+    { $sort: { date: -1 } }, // So $first picks the most recent name and party
+    {
+      $group: {
+        _id: '$politician_url',
+        name: { $first: '$politician_name' },
+        party: { $first: '$party' },
+        total_votes: { $sum: 1 },
+        cast: countOf(['Yes', 'No']),
+        paired: countOf(['Paired']),
+        missed: countOf(["Didn't vote"])
+      }
+    },
+    { $match: { total_votes: { $gte: minVotes } } },
+    { $addFields: { participation_rate: { $divide: ['$cast', '$total_votes'] } } },
+    { $sort: { participation_rate: direction, total_votes: -1, _id: 1 } },
+    {
+      $facet: {
+        members: [{ $skip: offset }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    members: result.members.map(({ _id, ...member }, index) => ({
+      rank: offset + index + 1,
+      politician_url: _id,
+      ...member
+    })),
+    total: result.total.length ? result.total[0].count : 0
+  };
+}
+
+/**
+ * Per-party yea/nay/paired/absent counts for a vote, from synced ballots or,
+ * before ballots are synced, the upstream party_votes
+ * @param {Object} vote - Vote with members_votes and/or party_votes
+ * @returns {Array<Object>} - One entry per party, largest first
+ */
+function partyBreakdown(vote) {
+  if (vote.members_votes && vote.members_votes.length > 0) {
+    return computeVoteCohesion(vote).map(({ dissenters, ...position }) => ({
+      ...position,
+      dissent_count: dissenters.length
+    }));
+  }
+
+  return (vote.party_votes || []).map(partyVote => ({
+    party: partyVote.party && partyVote.party.short_name ? partyVote.party.short_name.en : null,
+    majority: partyVote.vote === 'Y' ? 'Yes' : partyVote.vote === 'N' ? 'No' : null,
+    disagreement: partyVote.disagreement
+  }));
+}
+
+/**
+ * Every stored division on a bill, oldest first, with party breakdowns
+ * @param {string} billUrl - Bill URL (e.g. /bills/44-1/C-56/)
+ * @returns {Promise<Array<Object>>}
+ */
+async function listBillVotes(billUrl) {
+  const votes = await Vote.find({ bill_url: billUrl }, { data: 0 })
+    .sort({ date: 1, number: 1 })
+    .lean();
+
+  return votes.map(vote => ({
+    session: vote.session,
+    number: vote.number,
+    date: vote.date,
+    description: vote.description,
+    result: vote.result,
+    yea_total: vote.yea_total,
+    nay_total: vote.nay_total,
+    paired_total: vote.paired_total,
+    stage: stageForVote(vote),
+    url: vote.url,
+    parties: partyBreakdown(vote)
+  }));
+}
+
+/**
+ * Short summary of the divisions on a bill for embedding in bill responses
+ * @param {string} billUrl - Bill URL
+ * @returns {Promise<Object>} - { total, passed, defeated, first_date, last_date, latest }
+ */
+async function summarizeBillVotes(billUrl) {
+  const votes = await Vote.find(
+    { bill_url: billUrl },
+    { session: 1, number: 1, date: 1, description: 1, result: 1, yea_total: 1, nay_total: 1 }
+  ).sort({ date: 1, number: 1 }).lean();
+
+  const passed = votes.filter(vote => /passed|agreed/i.test(vote.result || '')).length;
+  const latest = votes[votes.length - 1];
+
+  return {
+    total: votes.length,
+    passed,
+    defeated: votes.length - passed,
+    first_date: votes.length > 0 ? votes[0].date : null,
+    last_date: latest ? latest.date : null,
+    latest: latest
+      ? {
+        session: latest.session,
+        number: latest.number,
+        date: latest.date,
+        description: latest.description,
+        result: latest.result,
+        yea_total: latest.yea_total,
+        nay_total: latest.nay_total
+      }
+      : null
+  };
+}
+
+/**
+ * Build a Vote filter for an analysis window (session, date_after, date_before)
+ * @param {Object} query - Request query parameters
+ * @returns {Object} - Mongo filter
+ */
+function buildVoteWindow(query = {}) {
+  const filter = {};
+
+  if (query.session) {
+    filter.session = query.session;
+  }
+
+  if (query.date_after || query.date_before) {
+    filter.date = {};
+    if (query.date_after) filter.date.$gte = parseDateParam(query.date_after, 'date_after');
+    if (query.date_before) filter.date.$lte = parseDateParam(query.date_before, 'date_before');
+  }
+
+  return filter;
+}
+
+/**
+ * Map of politician URL -> Yes/No for members who cast a vote
+ * @param {Object} vote - Vote with members_votes
+ * @returns {Map<string, string>}
+ */
+function castVotes(vote) {
+  const cast = new Map();
+  for (const memberVote of vote.members_votes || []) {
+    if (memberVote.vote === 'Yes' || memberVote.vote === 'No') {
+      cast.set(memberVote.politician_url, memberVote.vote);
+    }
+  }
+  return cast;
+}
+
+function agreementSummary(shared, agreed) {
+  return {
+    shared_votes: shared,
+    agreed,
+    disagreed: shared - agreed,
+    agreement_rate: shared ? agreed / shared : null
+  };
+}
+
+function voteReference(vote) {
+  return { session: vote.session, number: vote.number, date: vote.date, description: vote.description };
+}
+
+/**
+ * How often two members voted the same way on votes they both cast
+ * @param {string} urlA - Politician URL
+ * @param {string} urlB - Politician URL
+ * @param {Object} query - Window (session, date_after, date_before)
+ * @returns {Promise<Object>} - Agreement summary with the votes where they differed
+ */
+async function compareMembers(urlA, urlB, query = {}) {
+  const votes = await Vote.find(
+    { ...buildVoteWindow(query), 'members_votes.politician_url': { $all: [urlA, urlB] } },
+    { session: 1, number: 1, date: 1, description: 1, members_votes: 1 }
+  ).sort({ date: -1 }).lean();
+
+  let shared = 0;
+  let agreed = 0;
+  const disagreements = [];
+
+  for (const vote of votes) {
+    const cast = castVotes(vote);
+    if (!cast.has(urlA) || !cast.has(urlB)) continue;
+
+    shared++;
+    if (cast.get(urlA) === cast.get(urlB)) {
+      agreed++;
+    } else {
+      disagreements.push({ ...voteReference(vote), votes: { [urlA]: cast.get(urlA), [urlB]: cast.get(urlB) } });
+    }
+  }
+
+  return { ...agreementSummary(shared, agreed), disagreements };
+}
+
+/**
+ * How often a member voted with a party's majority
+ * @param {string} url - Politician URL
+ * @param {string} party - Party name as stored on ballots (case-insensitive)
+ * @param {Object} query - Window (session, date_after, date_before)
+ * @returns {Promise<Object>} - Agreement summary with the votes where they differed
+ */
+async function compareMemberToParty(url, party, query = {}) {
+  const partyPattern = new RegExp(`^${escapeRegex(party)}$`, 'i');
+  const votes = await Vote.find(
+    { ...buildVoteWindow(query), 'members_votes.politician_url': url },
+    { session: 1, number: 1, date: 1, description: 1, members_votes: 1 }
+  ).sort({ date: -1 }).lean();
+
+  let shared = 0;
+  let agreed = 0;
+  const disagreements = [];
+
+  for (const vote of votes) {
+    const memberVote = castVotes(vote).get(url);
+    if (!memberVote) continue;
+
+    const counts = {};
+    for (const other of vote.members_votes) {
+      if (other.party && partyPattern.test(other.party)) {
+        counts[other.vote] = (counts[other.vote] || 0) + 1;
+      }
+    }
+
+    const { majority } = summarizePosition(counts);
+    if (!majority) continue; // Party absent or evenly split
+
+    shared++;
+    if (memberVote === majority) {
+      agreed++;
+    } else {
+      disagreements.push({ ...voteReference(vote), member_vote: memberVote, party_majority: majority });
+    }
+  }
+
+  return { ...agreementSummary(shared, agreed), disagreements };
+}
+
+/**
+ * Rank every other member by how often they voted like the given member
+ * @param {string} url - Politician URL
+ * @param {Object} query - Window (session, date_after, date_before)
+ * @param {number} minShared - Leave out members with fewer shared votes
+ * @returns {Promise<Array<Object>>} - Members, most similar first
+ */
+async function rankAgreement(url, query = {}, minShared = 1) {
+  const votes = await Vote.find(
+    { ...buildVoteWindow(query), 'members_votes.politician_url': url },
+    { members_votes: 1 }
+  ).lean();
+
+  const tallies = new Map();
+
+  for (const vote of votes) {
+    const cast = castVotes(vote);
+    const memberVote = cast.get(url);
+    if (!memberVote) continue;
+
+    for (const other of vote.members_votes) {
+      if (other.politician_url === url || !cast.has(other.politician_url)) continue;
+
+      const tally = tallies.get(other.politician_url) || { name: other.name, party: other.party, shared: 0, agreed: 0 };
+      tally.shared++;
+      if (other.vote === memberVote) tally.agreed++;
+      tallies.set(other.politician_url, tally);
+    }
+  }
+
+  return [...tallies.entries()]
+    .filter(([, tally]) => tally.shared >= minShared)
+    .map(([politicianUrl, tally]) => ({
+      politician_url: politicianUrl,
+      name: tally.name,
+      party: tally.party,
+      ...agreementSummary(tally.shared, tally.agreed)
+    }))
+    .sort((a, b) => b.agreement_rate - a.agreement_rate || b.shared_votes - a.shared_votes);
+}
+
+/**
+ * Pairwise agreement between a set of members
+ * @param {string[]} urls - Politician URLs
+ * @param {Object} query - Window (session, date_after, date_before)
+ * @returns {Promise<Object>} - { members, agreement_rate[][], shared_votes[][] } indexed like members
+ */
+async function buildAgreementMatrix(urls, query = {}) {
+  const index = new Map(urls.map((url, i) => [url, i]));
+  const names = new Array(urls.length).fill(null);
+  const shared = urls.map(() => new Array(urls.length).fill(0));
+  const agreed = urls.map(() => new Array(urls.length).fill(0));
+
+  const votes = await Vote.find(
+    { ...buildVoteWindow(query), 'members_votes.politician_url': { $in: urls } },
+    { members_votes: 1 }
+  ).lean();
+
+  for (const vote of votes) {
+    const present = [];
+    for (const memberVote of vote.members_votes) {
+      const i = index.get(memberVote.politician_url);
+      if (i === undefined) continue;
+      names[i] = names[i] || memberVote.name;
+      if (memberVote.vote === 'Yes' || memberVote.vote === 'No') present.push([i, memberVote.vote]);
+    }
+
+    for (const [i, voteI] of present) {
+      for (const [j, voteJ] of present) {
+        shared[i][j]++;
+        if (voteI === voteJ) agreed[i][j]++;
+      }
+    }
+  }
+
+  return {
+    members: urls.map((url, i) => ({ politician_url: url, name: names[i] })),
+    agreement_rate: shared.map((row, i) => row.map((count, j) => (count ? agreed[i][j] / count : null))),
+    shared_votes: shared
+  };
+}
+
+module.exports = {
+  summarizePosition,
+  computeVoteCohesion,
+  computeMemberDissent,
+  summarizeParticipation,
+  computeMemberParticipation,
+  rankParticipation,
+  buildVoteWindow,
+  compareMembers,
+  compareMemberToParty,
+  rankAgreement,
+  buildAgreementMatrix,
+  partyBreakdown,
+  listBillVotes,
+  summarizeBillVotes
+};
@@ -0,0 +1,76 @@
+// Where entry links point: OpenParliament's site uses the same paths as its API
+const FEED_LINK_BASE = process.env.FEED_LINK_BASE || 'https://openparliament.ca';
+
+/**
+ * Escape text for XML element content and attribute values
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function isoDate(date) {
+  return (date ? new Date(date) : new Date(0)).toISOString();
+}
+
+/**
+ * Absolute link to an entity's page
+ * @param {string} path - Entity URL path (e.g. /votes/44-1/12/)
+ * @returns {string}
+ */
+function entityLink(path) {
+  return `${FEED_LINK_BASE}${path}`;
+}
+
+/**
+ * Render an Atom 1.0 feed
+ * @param {Object} feed
+ * @param {string} feed.id - Feed URL
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.lang - en or fr
+ * @param {string} [feed.link] - Alternate (HTML) link
+ * @param {Array<Object>} feed.entries - [{ id, title, link, updated, summary }]
+ * @returns {string} - XML
+ */
+function buildAtomFeed({ id, title, lang, link, entries }) {
+  // An empty feed still needs an <updated>; use the epoch rather than "now" so it stays stable
+  const updated = entries.length > 0
+    ? entries.reduce((latest, entry) => (new Date(entry.updated) > new Date(latest) ? entry.updated : latest), entries[0].updated)
+    : null;
+
+  const entryXml = entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    entry.link ? `    <link rel="alternate" href="${escapeXml(entry.link)}"/>` : null,
+    `    <updated>${isoDate(entry.updated)}</updated>`,
+    entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(lang)}">`,
+    `  <id>${escapeXml(id)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(id)}"/>`,
+    link ? `  <link rel="alternate" href="${escapeXml(link)}"/>` : null,
+    `  <updated>${isoDate(updated)}</updated>`,
+    '  <author><name>Parliament Watch</name></author>',
+    ...entryXml,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+module.exports = {
+  escapeXml,
+  entityLink,
+  buildAtomFeed
+};
@@ -0,0 +1,373 @@
+const { fetchFromAPI } = require('./proxy');
+const { saveVote, saveBill, updateBillTimeline, updateVoteBallots, daysFromNow } = require('./entityStore');
+const Vote = require('../models/Vote');
+const crypto = require('crypto');
+const os = require('os');
+const BackfillRun = require('../models/BackfillRun');
+const { getSessions } = require('./sessions');
+
+// Ballots come last in each session since they are fetched per stored vote
+const BACKFILL_ENTITIES = ['bills', 'votes', 'ballots'];
+const PAGE_SIZE = 50;
+
+// How long a worker's claim on a run lasts without being renewed (renewed every page)
+const LEASE_MS = 10 * 60 * 1000;
+
+// Identifies this process as a lease owner across instances
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Id of the run this process is working on (one at a time)
+let activeRunId = null;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Start a new backfill run
+ * @param {Object} options
+ * @param {string[]} options.sessions - Sessions to backfill (defaults to every known session)
+ * @param {string[]} options.entities - Entity types to backfill (defaults to all)
+ * @returns {Promise<Object>} - Run document
+ */
+async function startBackfill({ sessions, entities = BACKFILL_ENTITIES } = {}) {
+  if (sessions !== undefined && !isNonEmptyStringArray(sessions)) {
+    throw httpError('sessions must be a non-empty array of session ids', 400);
+  }
+  if (!isNonEmptyStringArray(entities)) {
+    throw httpError(`entities must be a non-empty array of: ${BACKFILL_ENTITIES.join(', ')}`, 400);
+  }
+
+  // Oldest first
+  const knownSessions = (await getSessions()).map(session => session.id).reverse();
+  sessions = sessions ? [...new Set(sessions)] : knownSessions;
+
+  const invalidSession = sessions.find(session => !knownSessions.includes(session));
+  if (invalidSession) {
+    throw httpError(`Unknown session: ${invalidSession}`, 400);
+  }
+
+  const invalidEntity = entities.find(entity => !BACKFILL_ENTITIES.includes(entity));
+  if (invalidEntity) {
+    throw httpError(`Invalid entity: ${invalidEntity}. Allowed: ${BACKFILL_ENTITIES.join(', ')}`, 400);
+  }
+
+  const active = await BackfillRun.findOne({ status: { $in: ['running', 'paused'] } });
+  if (active) {
+    throw httpError(`A backfill is already ${active.status} (${active._id})`, 409);
+  }
+
+  // Keep the canonical entity order so ballots follow their votes
+  const orderedEntities = BACKFILL_ENTITIES.filter(entity => entities.includes(entity));
+  const run = await BackfillRun.create({
+    sessions,
+    entities: orderedEntities,
+    checkpoints: sessions.flatMap(session => orderedEntities.map(entity => ({ session, entity }))),
+    ...leaseFields()
+  });
+
+  launch(run._id);
+  return run;
+}
+
+/**
+ * Pause the running backfill; the worker stops after its current page
+ * @returns {Promise<Object>} - Run document
+ */
+async function pauseBackfill() {
+  const run = await BackfillRun.findOneAndUpdate(
+    { status: 'running' },
+    { status: 'paused', paused_at: new Date() },
+    { new: true, sort: { createdAt: -1 } }
+  );
+
+  if (!run) {
+    throw httpError('No running backfill to pause', 404);
+  }
+  return run;
+}
+
+/**
+ * Resume the most recent paused or failed backfill from its checkpoints
+ * @returns {Promise<Object>} - Run document
+ */
+async function resumeBackfill() {
+  const run = await BackfillRun.findOneAndUpdate(
+    { status: { $in: ['paused', 'failed'] } },
+    { status: 'running', paused_at: null, finished_at: null, last_error: null, ...leaseFields() },
+    { new: true, sort: { createdAt: -1 } }
+  );
+
+  if (!run) {
+    throw httpError('No paused or failed backfill to resume', 404);
+  }
+
+  launch(run._id);
+  return run;
+}
+
+/**
+ * Pick up a run left "running" by a crash or deploy once its lease has lapsed
+ * (called at startup and every minute). The claim is atomic, so only one
+ * instance resumes it.
+ * @returns {Promise<void>}
+ */
+async function resumeInterruptedBackfill() {
+  if (activeRunId) return;
+
+  const run = await BackfillRun.findOneAndUpdate(
+    { status: 'running', $or: [{ lease_expires_at: null }, { lease_expires_at: { $lte: new Date() } }] },
+    leaseFields(),
+    { new: true, sort: { createdAt: -1 } }
+  );
+  if (run) {
+    console.log(`Resuming interrupted backfill ${run._id}`);
+    launch(run._id);
+  }
+}
+
+/**
+ * Get progress for a backfill run
+ * @param {string} [runId] - Run id (defaults to the most recent run)
+ * @returns {Promise<Object|null>} - Progress summary
+ */
+async function getBackfillStatus(runId) {
+  const run = runId
+    ? await BackfillRun.findById(runId).lean()
+    : await BackfillRun.findOne().sort({ createdAt: -1 }).lean();
+
+  return run ? summarizeRun(run) : null;
+}
+
+/**
+ * Summarize a run's checkpoints by session and entity type
+ * @param {Object} run - Run document
+ * @returns {Object} - Progress summary
+ */
+function summarizeRun(run) {
+  const progress = {};
+
+  for (const checkpoint of run.checkpoints) {
+    progress[checkpoint.session] = progress[checkpoint.session] || {};
+    progress[checkpoint.session][checkpoint.entity] = {
+      status: checkpoint.status,
+      processed: checkpoint.processed,
+      failed: checkpoint.failed,
+      total: checkpoint.total,
+      last_error: checkpoint.last_error
+    };
+  }
+
+  return {
+    id: run._id,
+    status: run.status,
+    active_in_this_process: activeRunId === String(run._id),
+    started_at: run.started_at,
+    paused_at: run.paused_at,
+    finished_at: run.finished_at,
+    last_error: run.last_error,
+    checkpoints_completed: run.checkpoints.filter(checkpoint => checkpoint.status === 'completed').length,
+    checkpoints_total: run.checkpoints.length,
+    progress
+  };
+}
+
+function isNonEmptyStringArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string');
+}
+
+// Claim (or renew) a run's lease for this process
+function leaseFields() {
+  return { lease_owner: WORKER_ID, lease_expires_at: new Date(Date.now() + LEASE_MS) };
+}
+
+// Start the worker for a run this process holds the lease on, unless it is already running one
+function launch(runId) {
+  if (activeRunId) return false;
+
+  activeRunId = String(runId);
+  runBackfill(runId)
+    .catch(error => console.error(`Backfill ${runId} crashed:`, error))
+    .finally(() => {
+      activeRunId = null;
+    });
+
+  return true;
+}
+
+/**
+ * Renew this process's lease before the next page
+ * @param {string} runId - Run id
+ * @returns {Promise<boolean>} - False when the run was paused or claimed by another instance
+ */
+async function renewLease(runId) {
+  const run = await BackfillRun.findOneAndUpdate(
+    { _id: runId, status: 'running', lease_owner: WORKER_ID },
+    leaseFields(),
+    { projection: { _id: 1 } }
+  );
+  return Boolean(run);
+}
+
+async function updateCheckpoint(runId, checkpointId, fields) {
+  const update = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    update[`checkpoints.$.${key}`] = value;
+  });
+
+  await BackfillRun.updateOne({ _id: runId, 'checkpoints._id': checkpointId }, { $set: update });
+}
+
+/**
+ * Work through a run's checkpoints in order until done, paused or failed
+ * @param {string} runId - Run id
+ * @returns {Promise<void>}
+ */
+async function runBackfill(runId) {
+  const run = await BackfillRun.findById(runId);
+  if (!run) return;
+
+  // Membership -> party lookups are shared across the whole run
+  const partyCache = new Map();
+
+  for (const checkpoint of run.checkpoints) {
+    if (checkpoint.status === 'completed') continue;
+    if (!await renewLease(runId)) return;
+
+    try {
+      const finished = await processCheckpoint(runId, checkpoint, partyCache);
+      if (!finished) return;
+    } catch (error) {
+      console.error(`Backfill of ${checkpoint.entity} for ${checkpoint.session} failed:`, error.message);
+      await updateCheckpoint(runId, checkpoint._id, { status: 'failed', last_error: error.message });
+      await BackfillRun.updateOne(
+        { _id: runId, lease_owner: WORKER_ID },
+        { status: 'failed', last_error: `${checkpoint.session} ${checkpoint.entity}: ${error.message}`, finished_at: new Date() }
+      );
+      return;
+    }
+  }
+
+  await BackfillRun.updateOne(
+    { _id: runId, status: 'running', lease_owner: WORKER_ID },
+    { status: 'completed', finished_at: new Date(), lease_expires_at: null }
+  );
+  console.log(`Backfill ${runId} completed`);
+}
+
+/**
+ * Process one session/entity checkpoint page by page from its saved offset
+ * @param {string} runId - Run id
+ * @param {Object} checkpoint - Checkpoint subdocument
+ * @param {Map} partyCache - Membership URL -> party
+ * @returns {Promise<boolean>} - True when finished, false when paused or the lease was lost
+ */
+async function processCheckpoint(runId, checkpoint, partyCache) {
+  const { session, entity } = checkpoint;
+  let { offset, processed, failed } = checkpoint;
+
+  await updateCheckpoint(runId, checkpoint._id, {
+    status: 'running',
+    started_at: checkpoint.started_at || new Date(),
+    last_error: null
+  });
+
+  while (true) {
+    if (!await renewLease(runId)) return false;
+
+    const page = entity === 'ballots'
+      ? await processBallotsPage(session, offset, partyCache)
+      : await processListPage(entity, session, offset);
+
+    offset += page.count;
+    processed += page.processed;
+    failed += page.failed;
+
+    const fields = { offset, processed, failed };
+    if (page.total !== undefined) fields.total = page.total;
+    if (page.done) {
+      fields.status = 'completed';
+      fields.total = page.total !== undefined ? page.total : offset;
+      fields.completed_at = new Date();
+    }
+
+    await updateCheckpoint(runId, checkpoint._id, fields);
+    console.log(`Backfill ${session} ${entity}: ${processed} processed, ${failed} failed`);
+
+    if (page.done) return true;
+  }
+}
+
+/**
+ * Fetch and store one page of bills or votes (with details) for a session
+ * @returns {Promise<Object>} - { count, processed, failed, done }
+ */
+async function processListPage(entity, session, offset) {
+  const listData = await fetchFromAPI(`/${entity}/`, { session, limit: PAGE_SIZE, offset });
+  let processed = 0;
+  let failed = 0;
+  const billUrls = new Set();
+
+  for (const item of listData.objects) {
+    try {
+      const detail = await fetchFromAPI(item.url);
+      if (entity === 'bills') {
+        await saveBill(item, detail, daysFromNow(3), { source: 'backfill' });
+      } else {
+        await saveVote(item, detail, daysFromNow(2), { source: 'backfill' });
+        if (item.bill_url) billUrls.add(item.bill_url);
+      }
+      processed++;
+    } catch (error) {
+      console.error(`Backfill failed for ${item.url}:`, error.message);
+      failed++;
+    }
+  }
+
+  // Bills are backfilled before their votes, so re-derive the timelines of bills these votes
+  // belong to. As a backfill source, stages only take dates from the votes themselves;
+  // stages completed without a dated vote stay undated rather than being stamped today
+  for (const billUrl of billUrls) {
+    await updateBillTimeline(billUrl, { source: 'backfill' });
+  }
+
+  const count = listData.objects.length;
+  const done = count < PAGE_SIZE || !(listData.pagination && listData.pagination.next_url);
+  return { count, processed, failed, done };
+}
+
+/**
+ * Store ballots for one page of a session's stored votes
+ * @returns {Promise<Object>} - { count, processed, failed, done, total }
+ */
+async function processBallotsPage(session, offset, partyCache) {
+  const [votes, total] = await Promise.all([
+    Vote.find({ session }).sort({ number: 1 }).skip(offset).limit(PAGE_SIZE),
+    Vote.countDocuments({ session })
+  ]);
+  let processed = 0;
+  let failed = 0;
+
+  for (const vote of votes) {
+    try {
+      await updateVoteBallots(vote, partyCache);
+      processed++;
+    } catch (error) {
+      console.error(`Backfill failed for ballots of ${vote.url}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { count: votes.length, processed, failed, total, done: offset + votes.length >= total };
+}
+
+module.exports = {
+  startBackfill,
+  pauseBackfill,
+  resumeBackfill,
+  resumeInterruptedBackfill,
+  getBackfillStatus,
+  BACKFILL_ENTITIES
+};
@@ -0,0 +1,59 @@
+const { parseDateParam } = require('./billQuery');
+const { messageError } = require('./i18n');
+
+// Accept the labels our responses use as well as OpenParliament's
+const BALLOT_ALIASES = {
+  yes: 'Yes',
+  yea: 'Yes',
+  no: 'No',
+  nay: 'No',
+  paired: 'Paired',
+  absent: "Didn't vote",
+  "didn't vote": "Didn't vote",
+  'didnt vote': "Didn't vote"
+};
+
+/**
+ * Normalize a ballot value filter (e.g. "yea" -> "Yes")
+ * @param {string} value - Raw ballot value
+ * @returns {string} - OpenParliament ballot value
+ */
+function normalizeBallotValue(value) {
+  const normalized = BALLOT_ALIASES[String(value).toLowerCase()];
+  if (!normalized) {
+    throw messageError('invalid_ballot_value', { value, allowed: 'yes, no, paired, absent' }, 400);
+  }
+  return normalized;
+}
+
+/**
+ * Build a Mongo filter for the Ballot collection from list query parameters
+ * @param {Object} query - Request query parameters (session, ballot, date_after, date_before)
+ * @param {Object} base - Fields every result must match (e.g. politician_url)
+ * @returns {Object} - Mongo filter
+ */
+function buildBallotFilter(query = {}, base = {}) {
+  const { session, ballot, date_after, date_before } = query;
+  const filter = { ...base };
+
+  if (session) {
+    filter.session = session;
+  }
+
+  if (ballot) {
+    filter.ballot = normalizeBallotValue(ballot);
+  }
+
+  if (date_after || date_before) {
+    filter.date = {};
+    if (date_after) filter.date.$gte = parseDateParam(date_after, 'date_after');
+    if (date_before) filter.date.$lte = parseDateParam(date_before, 'date_before');
+  }
+
+  return filter;
+}
+
+module.exports = {
+  buildBallotFilter,
+  normalizeBallotValue
+};
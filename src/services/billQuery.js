@@ -0,0 +1,168 @@
+const { messageError } = require('./i18n');
+
+const SORT_FIELDS = ['introduced', 'session', 'status', 'last_updated', 'progress', 'last_event_date'];
+const DEFAULT_SORT = '-introduced';
+
+/**
+ * Escape a user-supplied string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a date query parameter, throwing a 400 error when invalid
+ * @param {string} value - Date string
+ * @param {string} name - Parameter name (for the error message)
+ * @returns {Date} - Parsed date
+ */
+function parseDateParam(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw messageError('invalid_date', { name, value }, 400);
+  }
+  return date;
+}
+
+/**
+ * Parse a boolean query parameter ("true"/"false", "1"/"0", "yes"/"no")
+ * @param {string} value - Raw value
+ * @returns {boolean|undefined} - Parsed value or undefined if not recognised
+ */
+function parseBooleanParam(value) {
+  if (value === undefined) return undefined;
+  const normalized = String(value).toLowerCase();
+  if (['true', '1', 'yes'].includes(normalized)) return true;
+  if (['false', '0', 'no'].includes(normalized)) return false;
+  return undefined;
+}
+
+/**
+ * Build a Mongo filter for the Bill collection from list query parameters
+ * @param {Object} query - Request query parameters
+ * @returns {Object} - Mongo filter
+ */
+function buildBillFilter(query = {}) {
+  const {
+    session,
+    status,
+    sponsor,
+    chamber,
+    law,
+    stage,
+    q,
+    introduced_after,
+    introduced_before
+  } = query;
+  const filter = {};
+
+  if (session) {
+    filter.session = session;
+  }
+
+  if (status) {
+    filter.status = new RegExp(escapeRegex(status), 'i');
+  }
+
+  if (sponsor) {
+    // Accept either a politician slug or a full politician URL
+    const slug = String(sponsor).split('/').filter(Boolean).pop();
+    filter.sponsor = `/politicians/${slug}/`;
+  }
+
+  if (chamber) {
+    const prefix = String(chamber).toLowerCase().startsWith('s') ? 'S' : 'C';
+    filter.number = new RegExp(`^${prefix}-`, 'i');
+  }
+
+  if (stage) {
+    // Accept a full stage key (house_committee) or a stage in any chamber (committee)
+    filter.stage = new RegExp(`(^|_)${escapeRegex(String(stage).toLowerCase())}$`);
+  }
+
+  const hasBecomeLaw = parseBooleanParam(law);
+  if (hasBecomeLaw === true) {
+    filter.law = true;
+  } else if (hasBecomeLaw === false) {
+    filter.law = { $ne: true };
+  }
+
+  if (introduced_after || introduced_before) {
+    filter.introduced = {};
+    if (introduced_after) filter.introduced.$gte = parseDateParam(introduced_after, 'introduced_after');
+    if (introduced_before) filter.introduced.$lte = parseDateParam(introduced_before, 'introduced_before');
+  }
+
+  if (q) {
+    const keyword = new RegExp(escapeRegex(q), 'i');
+    filter.$or = [
+      { 'name.en': keyword },
+      { 'name.fr': keyword },
+      { summary: keyword }
+    ];
+  }
+
+  return filter;
+}
+
+/**
+ * Build a Mongo sort from the `sort` query parameter (e.g. "-introduced")
+ * @param {string} sort - Sort parameter
+ * @returns {Object} - Mongo sort specification
+ */
+function buildBillSort(sort = DEFAULT_SORT) {
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+
+  if (!SORT_FIELDS.includes(field)) {
+    throw messageError('invalid_sort_field', { field, allowed: SORT_FIELDS.join(', ') }, 400);
+  }
+
+  // Tie-break on number so paging is stable
+  return { [field]: descending ? -1 : 1, number: 1 };
+}
+
+// List parameters the upstream fallback can't apply (OpenParliament has no such filters)
+const LOCAL_ONLY_PARAMS = ['status', 'sponsor', 'chamber', 'q', 'stage'];
+
+/**
+ * Whether toUpstreamParams can express every filter and the sort of a list query
+ * @param {Object} query - Request query parameters
+ * @returns {boolean}
+ */
+function canQueryUpstream(query = {}) {
+  const sorted = query.sort !== undefined && query.sort !== DEFAULT_SORT;
+  return !sorted && LOCAL_ONLY_PARAMS.every(name => query[name] === undefined || query[name] === '');
+}
+
+/**
+ * Map list query parameters to OpenParliament's /bills/ filters, for upstream fallback
+ * @param {Object} query - Request query parameters
+ * @returns {Object} - Upstream query parameters
+ */
+function toUpstreamParams(query = {}) {
+  const { limit, offset, session, introduced_after, introduced_before } = query;
+  const hasBecomeLaw = parseBooleanParam(query.law);
+
+  return {
+    limit,
+    offset,
+    session,
+    introduced__gte: introduced_after,
+    introduced__lte: introduced_before,
+    law: hasBecomeLaw === undefined ? undefined : (hasBecomeLaw ? 'True' : 'False')
+  };
+}
+
+module.exports = {
+  buildBillFilter,
+  buildBillSort,
+  toUpstreamParams,
+  canQueryUpstream,
+  parseBooleanParam,
+  parseDateParam,
+  escapeRegex,
+  SORT_FIELDS
+};
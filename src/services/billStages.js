@@ -0,0 +1,269 @@
+// Legislative stages in each chamber, in order
+const CHAMBER_STAGES = [
+  {
+    key: 'first_reading',
+    label: { en: 'First reading', fr: 'Première lecture' },
+    done: { en: 'Passed first reading', fr: 'Adopté en première lecture' }
+  },
+  {
+    key: 'second_reading',
+    label: { en: 'Second reading', fr: 'Deuxième lecture' },
+    done: { en: 'Passed second reading', fr: 'Adopté en deuxième lecture' }
+  },
+  {
+    key: 'committee',
+    label: { en: 'Committee', fr: 'Comité' },
+    done: { en: 'Reported from committee', fr: 'Rapport du comité présenté' }
+  },
+  {
+    key: 'report',
+    label: { en: 'Report stage', fr: 'Étape du rapport' },
+    done: { en: 'Passed report stage', fr: 'Adopté à l\'étape du rapport' }
+  },
+  {
+    key: 'third_reading',
+    label: { en: 'Third reading', fr: 'Troisième lecture' },
+    done: { en: 'Passed third reading', fr: 'Adopté en troisième lecture' }
+  }
+];
+
+const CHAMBER_NAMES = { house: 'House', senate: 'Senate' };
+
+// How each chamber is named in a stage label and in "passed ... in the <chamber>"
+const CHAMBER_WORDING = {
+  en: { house: { name: 'House', in: 'in the House' }, senate: { name: 'Senate', in: 'in the Senate' } },
+  fr: { house: { name: 'Chambre des communes', in: 'à la Chambre des communes' }, senate: { name: 'Sénat', in: 'au Sénat' } }
+};
+
+// After both third readings, when one chamber amended the bill the other must agree
+const AMENDMENTS = {
+  label: { en: 'Consideration of amendments', fr: 'Étude des amendements' },
+  done: { en: 'Amendments agreed by both chambers', fr: 'Amendements acceptés par les deux chambres' }
+};
+
+const ROYAL_ASSENT = {
+  label: { en: 'Royal assent', fr: 'Sanction royale' },
+  done: { en: 'Received royal assent', fr: 'A reçu la sanction royale' }
+};
+
+/**
+ * Ordered stages for a bill, starting in its home chamber
+ * (C- bills start in the House of Commons, S- bills in the Senate)
+ * @param {string} homeChamber - house or senate
+ * @param {string} [lang] - Language of the labels (en or fr)
+ * @returns {Array<Object>} - [{ key, label, done, institution }]
+ */
+function stagesFor(homeChamber, lang = 'en') {
+  const chambers = homeChamber === 'senate' ? ['senate', 'house'] : ['house', 'senate'];
+  const wording = CHAMBER_WORDING[lang] || CHAMBER_WORDING.en;
+  const text = field => field[lang] || field.en;
+
+  return [
+    ...chambers.flatMap(chamber => CHAMBER_STAGES.map(stage => ({
+      key: `${chamber}_${stage.key}`,
+      label: `${text(stage.label)} (${wording[chamber].name})`,
+      done: `${text(stage.done)} ${wording[chamber].in}`,
+      institution: CHAMBER_NAMES[chamber]
+    }))),
+    // The home chamber considers the other chamber's amendments
+    { key: 'amendments', label: text(AMENDMENTS.label), done: text(AMENDMENTS.done), institution: CHAMBER_NAMES[chambers[0]] },
+    { key: 'royal_assent', label: text(ROYAL_ASSENT.label), done: text(ROYAL_ASSENT.done), institution: 'Senate' }
+  ];
+}
+
+/**
+ * Work out which chamber a bill started in
+ * @param {Object} billData - Bill detail from OpenParliament
+ * @returns {string} - house or senate
+ */
+function homeChamberOf(billData) {
+  if (billData.home_chamber) {
+    return /senate/i.test(billData.home_chamber) ? 'senate' : 'house';
+  }
+  return /^S-/i.test(billData.number || '') ? 'senate' : 'house';
+}
+
+/**
+ * Map an upstream status (LEGISinfo status code or English status text)
+ * to a normalized stage
+ * @param {Object} billData - Bill detail from OpenParliament
+ * @param {string} homeChamber - house or senate
+ * @returns {{stage: string|null, active: boolean}}
+ */
+function parseStatus(billData, homeChamber) {
+  const status = billData.status && typeof billData.status === 'object' ? billData.status.en : billData.status;
+  const text = `${billData.status_code || ''} ${status || ''}`.toLowerCase();
+
+  if (billData.law || /royal\s*assent/.test(text)) {
+    return { stage: 'royal_assent', active: false };
+  }
+
+  const active = !/notactive|not active|defeated|not be proceeded|notproceeded|outside.*order/.test(text);
+
+  // Consideration of the other chamber's amendments happens after both third readings
+  // (report stage and committee statuses can mention amendments too, so match the wording;
+  // status codes run the words together, e.g. HouseConsiderationOfSenateAmendments)
+  if (/(senate|house|commons) ?amendments|consideration ?of ?amendments|amendments? (made )?by the (senate|house)/.test(text)) {
+    return { stage: 'amendments', active };
+  }
+
+  let chamber = null;
+  if (/senate/.test(text)) chamber = 'senate';
+  else if (/house|commons/.test(text)) chamber = 'house';
+
+  let stage = null;
+  if (/3rd|third/.test(text)) stage = 'third_reading';
+  else if (/report/.test(text)) stage = 'report';
+  else if (/committee/.test(text)) stage = 'committee';
+  else if (/2nd|second/.test(text)) stage = 'second_reading';
+  else if (/1st|first|introduc/.test(text)) stage = 'first_reading';
+
+  if (!stage) return { stage: null, active };
+  return { stage: `${chamber || homeChamber}_${stage}`, active };
+}
+
+/**
+ * Match a House division to the stage it completed, if it was a stage motion
+ * @param {Object} vote - Vote with description and result
+ * @returns {string|null} - Stage key within the House (e.g. house_second_reading)
+ */
+function stageForVote(vote) {
+  const description = ((vote.description && vote.description.en) || '').toLowerCase();
+
+  // Amendments and reasoned amendments don't move the bill forward
+  if (!/passed|agreed/i.test(vote.result || '') || /amendment|subamendment/.test(description)) {
+    return null;
+  }
+
+  if (/3rd reading|third reading/.test(description)) return 'house_third_reading';
+  if (/report stage/.test(description)) return 'house_report';
+  if (/2nd reading|second reading/.test(description)) return 'house_second_reading';
+  if (/referral to (a )?committee|referred to (a )?committee/.test(description)) return 'house_committee';
+  return null;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : null;
+}
+
+// The most recent dated event, or the latest stage when none are dated
+function lastEventOf(events) {
+  const dated = events.filter(event => event.date);
+  return dated.length > 0
+    ? dated.reduce((latest, event) => (event.date >= latest.date ? event : latest))
+    : events[events.length - 1];
+}
+
+function describeEvent(event) {
+  if (!event) return null;
+  return event.date ? `${event.text} (${formatDate(event.date)})` : event.text;
+}
+
+/**
+ * Derive a normalized lifecycle timeline for a bill
+ *
+ * Stages before the current one count as completed. First reading in the
+ * home chamber is dated from `introduced` and House stages from their
+ * recorded divisions. Other stages (the Senate has no divisions to go by)
+ * keep the date from the previous timeline, or are dated when a sync first
+ * sees them completed; stages completed before we stored the bill keep
+ * `date: null`. A bill is only law when upstream says so or its status is
+ * royal assent.
+ * @param {Object} billData - Bill detail from OpenParliament
+ * @param {Array<Object>} votes - Stored votes on the bill
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.previousEvents] - Stored events (omit for a bill stored for the first time)
+ * @param {Date} [options.observedAt] - When newly completed stages were seen (omit for historical data)
+ * @returns {Object} - { events, stage, stage_label, progress, active, last_event, last_event_date }
+ */
+function buildBillTimeline(billData, votes = [], { previousEvents, observedAt } = {}) {
+  const homeChamber = homeChamberOf(billData);
+  const stages = stagesFor(homeChamber);
+  const { stage, active } = parseStatus(billData, homeChamber);
+
+  const dates = {};
+  dates[`${homeChamber}_first_reading`] = billData.introduced ? new Date(billData.introduced) : null;
+
+  for (const vote of votes) {
+    const key = stageForVote(vote);
+    if (key && (!dates[key] || new Date(vote.date) > dates[key])) {
+      dates[key] = new Date(vote.date);
+    }
+  }
+
+  // A passed second reading in the House also sends the bill to committee
+  if (dates.house_second_reading && !dates.house_committee) {
+    dates.house_committee = dates.house_second_reading;
+  }
+
+  let currentIndex = stages.findIndex(entry => entry.key === stage);
+
+  // Without a usable status, assume the bill is just past its latest dated stage
+  if (currentIndex === -1) {
+    const lastDated = stages.map(entry => entry.key).filter(key => dates[key]).pop();
+    currentIndex = lastDated ? Math.min(stages.findIndex(entry => entry.key === lastDated) + 1, stages.length - 1) : 0;
+  }
+
+  const law = Boolean(billData.law) || stage === 'royal_assent';
+  const completedCount = law ? stages.length : currentIndex;
+  const current = stages[currentIndex];
+
+  const previousDates = new Map((previousEvents || []).map(event => [event.stage, event.date || null]));
+  const dateOf = (key) => {
+    if (dates[key]) return dates[key];
+    if (previousDates.get(key)) return new Date(previousDates.get(key));
+    if (previousEvents && observedAt && !previousDates.has(key)) return observedAt;
+    return null;
+  };
+
+  const events = stages.slice(0, completedCount).map(entry => ({
+    stage: entry.key,
+    date: dateOf(entry.key),
+    text: entry.done,
+    institution: entry.institution
+  }));
+
+  const lastEvent = lastEventOf(events);
+
+  return {
+    events,
+    stage: law ? 'royal_assent' : current.key,
+    stage_label: law ? 'Royal assent' : current.label,
+    progress: Math.round((completedCount / stages.length) * 100),
+    active: law ? false : active,
+    last_event: describeEvent(lastEvent),
+    last_event_date: lastEvent ? lastEvent.date : null
+  };
+}
+
+/**
+ * A stored bill with its stage label, event texts and last event in another
+ * language (timelines are stored in English)
+ * @param {Object} bill - Stored bill with stage and events
+ * @param {string} lang - en or fr
+ * @returns {Object} - The bill with stage_label, events and last_event replaced
+ */
+function localizeTimeline(bill, lang) {
+  if (lang === 'en' || !bill.stage) return bill;
+
+  // Every stage key appears once whichever chamber a bill starts in
+  const stages = new Map(stagesFor('house', lang).map(entry => [entry.key, entry]));
+  const events = (bill.events || []).map(event => (
+    stages.has(event.stage) ? { ...event, text: stages.get(event.stage).done } : event
+  ));
+
+  return {
+    ...bill,
+    stage_label: stages.has(bill.stage) ? stages.get(bill.stage).label : bill.stage_label,
+    events,
+    last_event: events.length > 0 ? describeEvent(lastEventOf(events)) : bill.last_event
+  };
+}
+
+module.exports = {
+  buildBillTimeline,
+  localizeTimeline,
+  stagesFor,
+  parseStatus,
+  stageForVote
+};
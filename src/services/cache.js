@@ -1,49 +1,218 @@
-import NodeCache from 'node-cache';
+const LruStore = require('./stores/lruStore');
+const MongoStore = require('./stores/mongoStore');
 
+/**
+ * Cache with pluggable stores, per-key TTLs and stale-while-revalidate
+ *
+ * TTLs are in seconds. An entry is fresh for `ttl` seconds and may then be
+ * served stale for a further `staleTtl` seconds while it is refreshed in
+ * the background.
+ */
 class CacheService {
-  constructor(ttlSeconds = 300) { // Default 5 minute cache
-    this.cache = new NodeCache({
-      stdTTL: ttlSeconds,
-      checkperiod: ttlSeconds * 0.2,
-      useClones: false
-    });
+  /**
+   * @param {Object} options
+   * @param {Object} options.store - Store implementing get/set/delete/flush
+   * @param {number} options.ttl - Default TTL in seconds
+   * @param {number} options.staleTtl - Default stale window in seconds
+   */
+  constructor({ store = new LruStore(), ttl = 300, staleTtl = 0 } = {}) {
+    this.store = store;
+    this.ttl = ttl;
+    this.staleTtl = staleTtl;
+    this.inflight = new Map();
   }
 
-  get(key) {
-    return this.cache.get(key);
+  /**
+   * Get a cached entry with its freshness
+   * @param {string} key - Cache key
+   * @returns {Promise<{value: *, stale: boolean}|undefined>}
+   */
+  async getEntry(key) {
+    try {
+      const entry = await this.store.get(key);
+      if (!entry) return undefined;
+      return { value: entry.value, stale: entry.expires <= Date.now() };
+    } catch (error) {
+      // A broken cache should degrade to a miss, not fail the request
+      console.error(`Cache read failed for ${key}:`, error.message);
+      return undefined;
+    }
   }
 
-  set(key, value) {
-    return this.cache.set(key, value);
+  /**
+   * Get a cached value (fresh or stale)
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Value or undefined
+   */
+  async get(key) {
+    const entry = await this.getEntry(key);
+    return entry ? entry.value : undefined;
   }
 
-  delete(key) {
-    return this.cache.del(key);
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} [ttl] - TTL in seconds (defaults to the service TTL)
+   * @param {Object} [options]
+   * @param {number} [options.staleTtl] - Stale window in seconds
+   * @param {Object} [options.meta] - Extra fields for stores that keep metadata
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl = this.ttl, { staleTtl = this.staleTtl, meta } = {}) {
+    const expires = Date.now() + ttl * 1000;
+
+    try {
+      await this.store.set(key, { value, expires, staleUntil: expires + staleTtl * 1000 }, meta);
+    } catch (error) {
+      console.error(`Cache write failed for ${key}:`, error.message);
+    }
+  }
+
+  async delete(key) {
+    return this.store.delete(key);
+  }
+
+  async flush() {
+    return this.store.flush();
+  }
+
+  /**
+   * Remove the entries stored with matching metadata (see `meta` in set)
+   * @param {Object} fields - Metadata fields to match; {} removes everything
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async deleteWhere(fields) {
+    return this.store.deleteWhere(fields);
+  }
+
+  /**
+   * Return the cached value for a key, calling `fetcher` to fill it on a miss.
+   * Stale values are returned immediately and refreshed in the background.
+   * Concurrent misses for the same key share one fetch.
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Async function producing the value
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - TTL in seconds
+   * @param {number} [options.staleTtl] - Stale window in seconds
+   * @param {Object} [options.meta] - Extra fields for stores that keep metadata
+   * @returns {Promise<*>}
+   */
+  async wrap(key, fetcher, { ttl = this.ttl, staleTtl = this.staleTtl, meta } = {}) {
+    const entry = await this.getEntry(key);
+
+    if (entry && !entry.stale) {
+      return entry.value;
+    }
+
+    const refresh = this.refresh(key, fetcher, ttl, { staleTtl, meta });
+
+    if (entry) {
+      refresh.catch(error => console.error(`Background refresh failed for ${key}:`, error.message));
+      return entry.value;
+    }
+
+    return refresh;
   }
 
-  flush() {
-    return this.cache.flushAll();
+  // Fetch and store a value, de-duplicating concurrent refreshes of one key
+  refresh(key, fetcher, ttl, options) {
+    if (this.inflight.has(key)) {
+      return this.inflight.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then(async value => {
+        await this.set(key, value, ttl, options);
+        return value;
+      })
+      .finally(() => this.inflight.delete(key));
+
+    this.inflight.set(key, promise);
+    return promise;
   }
 
-  // Add cache middleware for Express
-  middleware(duration) {
-    return (req, res, next) => {
-      const key = req.originalUrl || req.url;
-      const cachedResponse = this.get(key);
+  /**
+   * Express middleware caching successful (2xx) JSON responses to GET
+   * requests for `duration` seconds, keyed by URL and response language.
+   * Responses sent any other way (CSV, feeds, errors) are never cached.
+   *
+   * Within the stale window one request passes through to refresh an expired
+   * entry while requests arriving meanwhile are served the stale copy.
+   * Mount it after localizeResponses so the key follows the negotiated language.
+   * @param {number} [duration] - TTL in seconds
+   * @param {Object} [options]
+   * @param {number} [options.staleTtl] - Stale window in seconds
+   * @returns {Function} - Express middleware
+   */
+  middleware(duration = this.ttl, { staleTtl = this.staleTtl } = {}) {
+    const revalidating = new Set();
+
+    return async (req, res, next) => {
+      if (req.method !== 'GET') return next();
+
+      const lang = req.lang || req.get('Accept-Language') || '';
+      const key = `response:${lang}:${req.originalUrl || req.url}`;
+      const entry = await this.getEntry(key);
 
-      if (cachedResponse) {
-        res.send(cachedResponse);
-        return;
+      if (entry && (!entry.stale || revalidating.has(key))) {
+        res.set('X-Cache', entry.stale ? 'STALE' : 'HIT');
+        return res.json(entry.value);
       }
 
-      res.sendResponse = res.send;
-      res.send = (body) => {
-        this.set(key, body, duration);
-        res.sendResponse(body);
+      if (entry) revalidating.add(key);
+      const done = () => revalidating.delete(key);
+      res.on('finish', done);
+      res.on('close', done);
+
+      const sendJson = res.json.bind(res);
+      res.json = (body) => {
+        if (body !== undefined && res.statusCode >= 200 && res.statusCode < 300) {
+          // Store what would be sent, so a hit serializes the same way
+          this.set(key, JSON.parse(JSON.stringify(body)), duration, { staleTtl });
+        }
+        res.set('X-Cache', 'MISS');
+        return sendJson(body);
       };
+
       next();
     };
   }
+
+  stats() {
+    return {
+      ttl: this.ttl,
+      staleTtl: this.staleTtl,
+      inflight: this.inflight.size,
+      store: this.store.stats ? this.store.stats() : undefined
+    };
+  }
+}
+
+/**
+ * Create the store selected by CACHE_STORE ("memory" or "mongo")
+ * @param {string} namespace - Namespace for the Mongo store
+ * @param {string} [fallback] - Store to use when CACHE_STORE is unset
+ * @returns {Object} - Cache store
+ */
+function createStore(namespace = 'default', fallback = 'memory') {
+  if ((process.env.CACHE_STORE || fallback) === 'mongo') {
+    return new MongoStore({ namespace });
+  }
+
+  return new LruStore({
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+    maxSize: parseInt(process.env.CACHE_MAX_BYTES) || 50 * 1024 * 1024
+  });
 }
 
-export default new CacheService();
+module.exports = new CacheService({
+  store: createStore(),
+  ttl: 300, // Default 5 minute cache
+  staleTtl: parseInt(process.env.CACHE_STALE_TTL) || 0
+});
+module.exports.CacheService = CacheService;
+module.exports.LruStore = LruStore;
+module.exports.MongoStore = MongoStore;
+module.exports.createStore = createStore;
@@ -0,0 +1,140 @@
+const ChangeLog = require('../models/ChangeLog');
+const { findPage } = require('./pagination');
+
+// Fields whose changes are recorded for each entity type
+const TRACKED_FIELDS = {
+  bill: ['name', 'status', 'stage', 'progress', 'law', 'sponsor', 'last_event', 'text_url', 'law_url'],
+  vote: ['description', 'result', 'yea_total', 'nay_total', 'paired_total', 'bill_url'],
+  member: ['name', 'party', 'constituency', 'province', 'email', 'phone', 'roles']
+};
+
+// Comparable form of a value: dates as ISO strings, object keys sorted, empty as null
+function canonical(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(canonical);
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .filter(key => key !== '_id')
+      .sort()
+      .reduce((result, key) => {
+        result[key] = canonical(value[key]);
+        return result;
+      }, {});
+  }
+  return value;
+}
+
+/**
+ * List the tracked fields that differ between two versions of an entity
+ * @param {string} entityType - bill, vote or member
+ * @param {Object|null} before - Stored version (null when new)
+ * @param {Object} after - New version
+ * @returns {Array<Object>} - [{ field, from, to }]
+ */
+function diffEntity(entityType, before, after) {
+  return TRACKED_FIELDS[entityType]
+    .filter(field => field in after)
+    .map(field => ({
+      field,
+      from: canonical(before ? before[field] : null),
+      to: canonical(after[field])
+    }))
+    .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+}
+
+/**
+ * Tracked fields of an entity's stored version, to diff against before saving
+ * @param {Object} model - Mongoose model
+ * @param {string} entityType - bill, vote or member
+ * @param {Object} filter - Filter matching the entity
+ * @returns {Promise<Object|null>}
+ */
+async function loadTracked(model, entityType, filter) {
+  const projection = TRACKED_FIELDS[entityType].reduce((result, field) => ({ ...result, [field]: 1 }), {});
+  return model.findOne(filter, projection).lean();
+}
+
+/**
+ * Record a change log entry when an entity is created or its tracked fields change.
+ * Failures are logged rather than thrown so they never block a sync.
+ * @param {string} entityType - bill, vote or member
+ * @param {Object} entity - { url, session }
+ * @param {Object|null} before - Stored version before the write (null when new)
+ * @param {Object} after - Fields written
+ * @param {Object} [options]
+ * @param {string} [options.source] - sync, backfill or request (see models/ChangeLog)
+ * @returns {Promise<Object|null>} - ChangeLog entry, or null when nothing changed
+ */
+async function recordChanges(entityType, { url, session }, before, after, { source = 'sync' } = {}) {
+  const changes = diffEntity(entityType, before, after);
+  if (before && changes.length === 0) return null;
+
+  try {
+    return await ChangeLog.create({
+      entity_type: entityType,
+      entity_url: url,
+      session,
+      change_type: before ? 'updated' : 'created',
+      changes,
+      source
+    });
+  } catch (error) {
+    console.error(`Failed to record ${entityType} change for ${url}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Change history for one entity, newest first
+ * @param {string} entityType - bill, vote or member
+ * @param {string} url - Entity URL
+ * @param {Object} paging - { limit, offset, cursor }
+ * @returns {Promise<Object>} - Page (see pagination.findPage)
+ */
+async function getEntityHistory(entityType, url, { limit, offset, cursor }) {
+  return findPage(ChangeLog, { entity_type: entityType, entity_url: url }, {
+    sort: { recorded_at: -1, _id: -1 },
+    projection: { __v: 0 },
+    limit,
+    offset,
+    cursor
+  });
+}
+
+/**
+ * Changes recorded after a timestamp, oldest first so a consumer can page forward
+ * @param {Date} since - Exclusive lower bound
+ * @param {Object} options
+ * @param {string} [options.entityType] - Limit to bill, vote or member
+ * @param {string} [options.session] - Limit to a session
+ * @param {string} [options.field] - Limit to changes touching a field (e.g. status)
+ * @param {number} options.limit
+ * @param {number} [options.offset]
+ * @param {string} [options.cursor]
+ * @returns {Promise<Object>} - Page (see pagination.findPage)
+ */
+async function getChangesSince(since, { entityType, session, field, limit, offset, cursor }) {
+  const filter = { recorded_at: { $gt: since } };
+  if (entityType) filter.entity_type = entityType;
+  if (session) filter.session = session;
+  if (field) filter['changes.field'] = field;
+
+  return findPage(ChangeLog, filter, {
+    sort: { recorded_at: 1, _id: 1 },
+    projection: { __v: 0 },
+    limit,
+    offset,
+    cursor
+  });
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffEntity,
+  loadTracked,
+  recordChanges,
+  getEntityHistory,
+  getChangesSince
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const { fetchAllPages } = require('./proxy');
+const { fetchCached } = require('./responseCache');
+const Bill = require('../models/Bill');
+const Vote = require('../models/Vote');
+const Member = require('../models/Member');
+const Ballot = require('../models/Ballot');
+const { buildBillTimeline } = require('./billStages');
+const { loadTracked, recordChanges } = require('./changeLog');
+
+/**
+ * Date a number of days from now (used for entity refresh times)
+ * @param {number} days - Days to add
+ * @returns {Date}
+ */
+function daysFromNow(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+// Vote list fields that identify a change worth refetching the detail for
+const VOTE_HASH_FIELDS = ['url', 'number', 'session', 'date', 'result', 'yea_total', 'nay_total', 'paired_total', 'description', 'bill_url'];
+
+// Member list fields that identify a change worth refetching the detail for
+const MEMBER_HASH_FIELDS = ['url', 'name', 'current_party', 'current_riding', 'image'];
+
+/**
+ * Stable hash of an object (keys sorted), optionally limited to some fields
+ * @param {Object} value - Object to hash
+ * @param {string[]} [fields] - Fields to include (defaults to all)
+ * @returns {string} - Hex digest
+ */
+function hashObject(value, fields) {
+  const stable = (input) => {
+    if (Array.isArray(input)) return input.map(stable);
+    if (input && typeof input === 'object') {
+      return Object.keys(input).sort().reduce((result, key) => {
+        result[key] = stable(input[key]);
+        return result;
+      }, {});
+    }
+    return input;
+  };
+
+  const picked = fields
+    ? fields.reduce((result, field) => ({ ...result, [field]: value[field] }), {})
+    : value;
+
+  return crypto.createHash('sha1').update(JSON.stringify(stable(picked))).digest('hex');
+}
+
+/**
+ * Update or create a vote from OpenParliament data
+ * @param {Object} voteItem - Vote from the /votes/ list (or the detail itself)
+ * @param {Object} voteData - Vote detail
+ * @param {Date} expires - When the stored detail should be refreshed
+ * @param {Object} [options] - { source } for the change log (sync, backfill or request)
+ * @returns {Promise<Object>} - Vote document
+ */
+async function saveVote(voteItem, voteData, expires, options) {
+  const filter = { number: voteItem.number, session: voteItem.session };
+  const before = await loadTracked(Vote, 'vote', filter);
+  const update = {
+    number: voteItem.number,
+    session: voteItem.session,
+    date: new Date(voteItem.date),
+    result: voteItem.result,
+    yea_total: voteItem.yea_total,
+    nay_total: voteItem.nay_total,
+    paired_total: voteItem.paired_total,
+    description: voteItem.description,
+    url: voteItem.url,
+    bill_url: voteItem.bill_url,
+    bill_number: voteData.bill_number,
+    party_votes: voteData.party_votes,
+    data: voteData,
+    source_hash: hashObject(voteItem, VOTE_HASH_FIELDS),
+    expires,
+    last_updated: new Date()
+  };
+  
+  const vote = await Vote.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  await recordChanges('vote', vote, before, update, options);
+  return vote;
+}
+
+// Stages a backfill finds completed happened in the past, so only live saves date them "now"
+function timelineOptions(storedBill, { source = 'sync' } = {}) {
+  return {
+    previousEvents: storedBill ? storedBill.events || [] : undefined,
+    observedAt: source === 'backfill' ? undefined : new Date()
+  };
+}
+
+/**
+ * Update or create a bill from OpenParliament data
+ * @param {Object} billItem - Bill from the /bills/ list (or the detail itself)
+ * @param {Object} billData - Bill detail
+ * @param {Date} expires - When the stored detail should be refreshed
+ * @param {Object} [options] - { source } for the change log (sync, backfill or request)
+ * @returns {Promise<Object>} - Bill document
+ */
+async function saveBill(billItem, billData, expires, options) {
+  const votes = await Vote.find({ bill_url: billItem.url }, { date: 1, result: 1, description: 1 }).lean();
+  const filter = { number: billItem.number, session: billItem.session };
+  const before = await loadTracked(Bill, 'bill', filter);
+  const previous = before && await Bill.findOne(filter, { events: 1 }).lean();
+  const update = {
+    number: billItem.number,
+    session: billItem.session,
+    url: billItem.url,
+    introduced: new Date(billItem.introduced),
+    name: billItem.name,
+    legisinfo_id: billItem.legisinfo_id,
+    // Fix the status field to handle objects
+    status: billData.status && typeof billData.status === 'object' ? 
+      (billData.status.en || JSON.stringify(billData.status)) : 
+      billData.status,
+    sponsor: billData.sponsor_politician_url,
+    text_url: billData.text_url,
+    law_url: billData.law_url,
+    law: Boolean(billData.law),
+    summary: billData.summary_html,
+    ...buildBillTimeline(
+      { ...billData, number: billItem.number, introduced: billItem.introduced },
+      votes,
+      timelineOptions(previous, options)
+    ),
+    data: billData,
+    source_hash: hashObject(billData),
+    expires,
+    last_updated: new Date()
+  };
+  
+  const bill = await Bill.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  await recordChanges('bill', bill, before, update, options);
+  return bill;
+}
+
+/**
+ * Re-derive a stored bill's timeline, e.g. after new divisions on it were stored
+ * @param {string} billUrl - Bill URL
+ * @param {Object} [options] - { source } for the change log (sync, backfill or request)
+ * @returns {Promise<Object|null>} - Bill document
+ */
+async function updateBillTimeline(billUrl, options) {
+  const bill = await Bill.findOne({ url: billUrl }, { number: 1, session: 1, url: 1, introduced: 1, data: 1, stage: 1, progress: 1, last_event: 1, events: 1 }).lean();
+  if (!bill) return null;
+  
+  const votes = await Vote.find({ bill_url: billUrl }, { date: 1, result: 1, description: 1 }).lean();
+  const timeline = buildBillTimeline(
+    { ...bill.data, number: bill.number, introduced: bill.introduced },
+    votes,
+    timelineOptions(bill, options)
+  );
+  
+  await recordChanges('bill', bill, bill, timeline, options);
+  return Bill.findOneAndUpdate({ _id: bill._id }, timeline, { new: true });
+}
+
+/**
+ * Update or create a member from OpenParliament data
+ * @param {Object} memberItem - Member from the /politicians/ list (or the detail itself)
+ * @param {Object} memberData - Member detail
+ * @param {Date} expires - When the stored detail should be refreshed
+ * @param {Object} [options] - { source } for the change log (sync, backfill or request)
+ * @returns {Promise<Object>} - Member document
+ */
+async function saveMember(memberItem, memberData, expires, options) {
+  const filter = { url: memberItem.url };
+  const before = await loadTracked(Member, 'member', filter);
+  const update = {
+    name: memberData.name,
+    url: memberItem.url,
+    party: memberData.party,
+    constituency: memberData.constituency,
+    province: memberData.province,
+    photo_url: memberData.image,
+    email: memberData.email,
+    phone: memberData.phone,
+    roles: memberData.roles,
+    offices: memberData.offices,
+    data: memberData,
+    source_hash: hashObject(memberItem, MEMBER_HASH_FIELDS),
+    expires,
+    last_updated: new Date()
+  };
+  
+  const member = await Member.findOneAndUpdate(filter, update, { upsert: true, new: true });
+  await recordChanges('member', member, before, update, options);
+  return member;
+}
+
+/**
+ * Look up a member's party from their membership record
+ * @param {string} membershipUrl - Politician membership URL
+ * @param {Map} partyCache - Membership URL -> party, shared across a sync run
+ * @returns {Promise<string|null>} - Party short name
+ */
+async function resolveMembershipParty(membershipUrl, partyCache) {
+  if (!membershipUrl) return null;
+  
+  if (!partyCache.has(membershipUrl)) {
+    try {
+      const membership = await fetchCached(membershipUrl);
+      const party = membership.party || {};
+      partyCache.set(membershipUrl, (party.short_name && party.short_name.en) || (party.name && party.name.en) || null);
+    } catch (error) {
+      console.error(`Error fetching membership ${membershipUrl}:`, error.message);
+      partyCache.set(membershipUrl, null);
+    }
+  }
+  
+  return partyCache.get(membershipUrl);
+}
+
+/**
+ * Store every member's ballot for a vote and refresh the vote's members_votes
+ * @param {Object} vote - Vote document
+ * @param {Map} partyCache - Membership URL -> party, shared across a sync run
+ * @returns {Promise<number>} - Number of ballots stored
+ */
+async function updateVoteBallots(vote, partyCache = new Map()) {
+  const ballots = await fetchAllPages('/votes/ballots/', { vote: vote.url });
+  
+  // Resolve member names from our own collection
+  const members = await Member.find(
+    { url: { $in: ballots.map(ballot => ballot.politician_url) } },
+    { name: 1, url: 1 }
+  ).lean();
+  const names = new Map(members.map(member => [member.url, member.name]));
+  
+  const operations = [];
+  const membersVotes = [];
+  
+  for (const ballot of ballots) {
+    const party = await resolveMembershipParty(ballot.politician_membership_url, partyCache);
+    const name = names.get(ballot.politician_url);
+    
+    operations.push({
+      updateOne: {
+        filter: { vote_url: vote.url, politician_url: ballot.politician_url },
+        update: {
+          $set: {
+            politician_url: ballot.politician_url,
+            politician_membership_url: ballot.politician_membership_url,
+            politician_name: name,
+            vote_url: vote.url,
+            ballot: ballot.ballot,
+            party,
+            session: vote.session,
+            vote_number: vote.number,
+            date: vote.date,
+            data: ballot,
+            last_updated: new Date()
+          }
+        },
+        upsert: true
+      }
+    });
+    
+    membersVotes.push({
+      name,
+      politician_url: ballot.politician_url,
+      vote: ballot.ballot,
+      party
+    });
+  }
+  
+  if (operations.length > 0) {
+    await Ballot.bulkWrite(operations, { ordered: false });
+  }
+  
+  await Vote.updateOne({ _id: vote._id }, { members_votes: membersVotes });
+  
+  return ballots.length;
+}
+
+module.exports = {
+  daysFromNow,
+  hashObject,
+  saveVote,
+  saveBill,
+  updateBillTimeline,
+  saveMember,
+  updateVoteBallots,
+  VOTE_HASH_FIELDS,
+  MEMBER_HASH_FIELDS
+};
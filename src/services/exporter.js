@@ -0,0 +1,126 @@
+const { errorMessage, messageError } = require('./i18n');
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+/**
+ * Read and check the ?format= parameter (defaults to csv)
+ * @param {string} format - Requested format
+ * @returns {string} - csv or ndjson
+ */
+function parseExportFormat(format = 'csv') {
+  if (!EXPORT_FORMATS[format]) {
+    throw messageError('invalid_format', { format, allowed: Object.keys(EXPORT_FORMATS).join(', ') }, 400);
+  }
+  return format;
+}
+
+/**
+ * Quote a value for CSV when it contains a delimiter, quote or newline
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toISOString().slice(0, 10) : null;
+}
+
+/**
+ * Stream documents from a Mongo cursor as CSV or NDJSON, one or more flat
+ * rows per document, pausing whenever the client falls behind
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - csv or ndjson
+ * @param {string} options.filename - Download name without extension
+ * @param {string[]} options.columns - Row fields, in CSV column order
+ * @param {Object} options.cursor - Mongoose query cursor
+ * @param {Function} options.toRows - Document -> array of flat rows
+ * @returns {Promise<number>} - Rows written
+ */
+async function streamExport(res, { format, filename, columns, cursor, toRows }) {
+  // The response closes before it has finished only when the client goes away
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableFinished;
+  });
+
+  res.status(200);
+  res.set('Content-Type', EXPORT_FORMATS[format]);
+  res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  // Wait for the client to catch up (or disconnect) when the socket buffer is full
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !aborted) {
+      await new Promise(resolve => {
+        const resume = () => {
+          res.off('drain', resume);
+          res.off('close', resume);
+          resolve();
+        };
+        res.on('drain', resume);
+        res.on('close', resume);
+      });
+    }
+  };
+
+  if (format === 'csv') {
+    await write(`${columns.join(',')}\n`);
+  }
+
+  let count = 0;
+  try {
+    for await (const doc of cursor) {
+      if (aborted) break;
+
+      for (const row of toRows(doc)) {
+        await write(format === 'csv'
+          ? `${columns.map(column => csvCell(row[column])).join(',')}\n`
+          : `${JSON.stringify(row)}\n`);
+        count++;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+  return count;
+}
+
+/**
+ * Run an export, turning failures before the first byte into JSON errors
+ * and failures mid-stream into a truncated response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} run - Async function performing the export
+ * @param {string} label - What is being exported (for the log)
+ */
+async function handleExport(req, res, run, label) {
+  try {
+    await run();
+  } catch (error) {
+    console.error(`Error exporting ${label}:`, error);
+    if (res.headersSent) {
+      // Cut the download short so it can't be mistaken for a complete file
+      res.destroy(error);
+    } else {
+      res.status(error.statusCode || 500).json({ error: errorMessage(error) });
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFormat,
+  csvCell,
+  formatDate,
+  streamExport,
+  handleExport
+};
@@ -0,0 +1,120 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// live: network only; record: network, saving each response; replay: fixtures only, no network
+const UPSTREAM_MODES = ['live', 'record', 'replay'];
+const UPSTREAM_MODE = UPSTREAM_MODES.includes(process.env.UPSTREAM_MODE) ? process.env.UPSTREAM_MODE : 'live';
+const FIXTURES_DIR = process.env.FIXTURES_DIR || path.join(__dirname, '../../fixtures');
+
+// Query parameters added to every request that don't distinguish responses
+const IGNORED_PARAMS = ['format', 'version'];
+
+/**
+ * Normalize an upstream URL into a fixture key (path + sorted query, host-independent)
+ * @param {string} url - Absolute upstream URL
+ * @returns {string} - Fixture key
+ */
+function fixtureKey(url) {
+  const parsed = new URL(url);
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !IGNORED_PARAMS.includes(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = new URLSearchParams(params).toString();
+  return query ? `${parsed.pathname}?${query}` : parsed.pathname;
+}
+
+/**
+ * Get the fixture file path for an upstream URL
+ * @param {string} url - Absolute upstream URL
+ * @returns {string} - File path
+ */
+function fixturePath(url) {
+  const key = fixtureKey(url);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+  const readable = key.split('?')[0].split('/').filter(Boolean).join('_') || 'root';
+
+  return path.join(FIXTURES_DIR, `${readable}__${hash}.json`);
+}
+
+/**
+ * Save an upstream response as a fixture
+ * @param {string} url - Absolute upstream URL
+ * @param {Object} response - Axios response
+ * @returns {Promise<void>}
+ */
+async function saveFixture(url, response) {
+  let { data } = response;
+
+  // Store JSON bodies parsed so they replay the same way for every caller
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      // Keep non-JSON bodies as text
+    }
+  }
+
+  const fixture = {
+    key: fixtureKey(url),
+    recorded_at: new Date().toISOString(),
+    status: response.status,
+    headers: { 'content-type': response.headers['content-type'] },
+    data
+  };
+
+  try {
+    await fs.mkdir(FIXTURES_DIR, { recursive: true });
+    await fs.writeFile(fixturePath(url), JSON.stringify(fixture, null, 2));
+  } catch (error) {
+    console.error(`Failed to record fixture for ${url}:`, error.message);
+  }
+}
+
+/**
+ * Build an axios-like response from a recorded fixture
+ * @param {string} url - Absolute upstream URL
+ * @param {Object} options - Axios options the caller passed (responseType, validateStatus)
+ * @returns {Promise<Object>} - Axios-like response
+ * @throws {Error} - Axios-like error when no fixture exists or the status is rejected
+ */
+async function replayFixture(url, options = {}) {
+  let fixture;
+
+  try {
+    fixture = JSON.parse(await fs.readFile(fixturePath(url), 'utf8'));
+  } catch (error) {
+    fixture = {
+      status: 404,
+      headers: { 'content-type': 'application/json' },
+      data: { error: `No fixture recorded for ${fixtureKey(url)}` }
+    };
+  }
+
+  const response = {
+    status: fixture.status,
+    headers: fixture.headers || {},
+    data: options.responseType === 'text' && typeof fixture.data !== 'string'
+      ? JSON.stringify(fixture.data)
+      : fixture.data
+  };
+
+  const validateStatus = options.validateStatus || (status => status >= 200 && status < 300);
+  if (!validateStatus(response.status)) {
+    const error = new Error(`Request failed with status code ${response.status} (replayed fixture)`);
+    error.response = response;
+    throw error;
+  }
+
+  return response;
+}
+
+module.exports = {
+  UPSTREAM_MODE,
+  FIXTURES_DIR,
+  fixtureKey,
+  fixturePath,
+  saveFixture,
+  replayFixture
+};
@@ -0,0 +1,379 @@
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLScalarType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLBoolean,
+  Kind
+} = require('graphql');
+const Member = require('../models/Member');
+const Bill = require('../models/Bill');
+const Vote = require('../models/Vote');
+const { parsePaging, DEFAULT_LIMIT, MAX_LIMIT } = require('./pagination');
+const { buildBillFilter, buildBillSort, escapeRegex } = require('./billQuery');
+const { buildVoteWindow } = require('./analytics');
+const { getSessions, getCurrentSession, requireSession } = require('./sessions');
+const { localized } = require('./i18n');
+const { localizeTimeline } = require('./billStages');
+
+// Largest page for nested member ballots (matches /api/members/:memberName/ballots)
+const MAX_BALLOT_LIMIT = 500;
+
+// Most divisions returned for one bill, and ballots for one vote (the House has 343 seats)
+const MAX_BILL_VOTES = 200;
+const MAX_VOTE_BALLOTS = 400;
+
+/*
+ * List fields declare how many items they can return in extensions.listSize:
+ * { defaultSize, maxSize } for fields with a limit argument, { maxSize } for
+ * fixed lists. routes/graphql multiplies these out to reject queries whose
+ * result could be too large before running them.
+ */
+const listSize = (defaultSize, maxSize = defaultSize) => ({ listSize: { defaultSize, maxSize } });
+
+const list = type => new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(type)));
+
+// Accept either a politician slug or a full politician URL
+function politicianUrl(value) {
+  const slug = String(value).split('/').filter(Boolean).pop();
+  return `/politicians/${slug}/`;
+}
+
+/**
+ * Session argument for top-level lists: defaults to the current session,
+ * "all" lifts the restriction, unknown sessions are rejected
+ * @param {string} [session] - Session argument
+ * @returns {Promise<string|undefined>} - Session id to filter on
+ */
+async function listSession(session) {
+  if (session === 'all') return undefined;
+  return session ? (await requireSession(session)).id : (await getCurrentSession()).id;
+}
+
+// Seed a loader with documents fetched by a list query so nested fields reuse them
+function prime(loader, docs) {
+  for (const doc of docs) loader.prime(doc.url, doc);
+  return docs;
+}
+
+const DateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'ISO 8601 timestamp',
+  serialize: value => new Date(value).toISOString(),
+  parseValue: value => new Date(value),
+  parseLiteral: ast => (ast.kind === Kind.STRING ? new Date(ast.value) : null)
+});
+
+const LocalizedText = new GraphQLObjectType({
+  name: 'LocalizedText',
+  fields: {
+    en: { type: GraphQLString },
+    fr: { type: GraphQLString },
+    text: {
+      type: GraphQLString,
+      description: 'The text in the request\'s language (?lang= or Accept-Language), falling back to the other one',
+      resolve: (field, args, { lang }) => localized(field, lang) || null
+    }
+  }
+});
+
+const SessionType = new GraphQLObjectType({
+  name: 'Session',
+  fields: {
+    id: { type: new GraphQLNonNull(GraphQLString) },
+    parliament: { type: GraphQLInt },
+    number: { type: GraphQLInt },
+    start: { type: DateTime },
+    end: { type: DateTime }
+  }
+});
+
+const pagingArgs = {
+  limit: { type: GraphQLInt },
+  offset: { type: GraphQLInt }
+};
+
+const MemberType = new GraphQLObjectType({
+  name: 'Member',
+  fields: () => ({
+    name: { type: GraphQLString },
+    url: { type: new GraphQLNonNull(GraphQLString) },
+    party: { type: GraphQLString },
+    constituency: { type: GraphQLString },
+    province: { type: GraphQLString },
+    photo_url: { type: GraphQLString },
+    email: { type: GraphQLString },
+    phone: { type: GraphQLString },
+    roles: { type: new GraphQLList(GraphQLString), extensions: listSize(10) },
+    ballots: {
+      type: list(BallotType),
+      description: 'Ballots cast, newest first',
+      extensions: listSize(DEFAULT_LIMIT, MAX_BALLOT_LIMIT),
+      args: {
+        session: { type: GraphQLString },
+        ballot: { type: GraphQLString, description: 'Yes, No, Paired or "Didn\'t vote"' },
+        date_after: { type: GraphQLString },
+        date_before: { type: GraphQLString },
+        ...pagingArgs
+      },
+      resolve: async (member, args, { loaders }) => {
+        if (args.session) await requireSession(args.session);
+        const { limit, offset } = parsePaging(args, { maxLimit: MAX_BALLOT_LIMIT });
+        const { session, ballot, date_after, date_before } = args;
+        return loaders.memberBallots.load({
+          key: member.url,
+          options: { session, ballot, date_after, date_before, limit, offset }
+        });
+      }
+    },
+    sponsored_bills: {
+      type: list(BillType),
+      description: 'Bills this member sponsored, most recently introduced first',
+      extensions: listSize(DEFAULT_LIMIT, MAX_LIMIT),
+      args: {
+        session: { type: GraphQLString },
+        ...pagingArgs
+      },
+      resolve: async (member, args, { loaders }) => {
+        if (args.session) await requireSession(args.session);
+        const { limit, offset } = parsePaging(args);
+        return loaders.sponsoredBills.load({
+          key: member.url,
+          options: { session: args.session, limit, offset }
+        });
+      }
+    }
+  })
+});
+
+const BallotType = new GraphQLObjectType({
+  name: 'Ballot',
+  fields: () => ({
+    ballot: { type: GraphQLString },
+    party: { type: GraphQLString, description: 'Party at the time of the vote' },
+    politician_name: { type: GraphQLString },
+    politician_url: { type: new GraphQLNonNull(GraphQLString) },
+    vote_url: { type: new GraphQLNonNull(GraphQLString) },
+    session: { type: GraphQLString },
+    vote_number: { type: GraphQLInt },
+    date: { type: DateTime },
+    member: {
+      type: new GraphQLNonNull(MemberType),
+      resolve: async (ballot, args, { loaders }) => {
+        // Former members may be neither stored nor sitting; fall back to what the ballot knows
+        const member = await loaders.member.load(ballot.politician_url);
+        return member || { url: ballot.politician_url, name: ballot.politician_name, party: ballot.party };
+      }
+    },
+    vote: {
+      type: VoteType,
+      resolve: (ballot, args, { loaders }) => loaders.vote.load(ballot.vote_url)
+    }
+  })
+});
+
+const BillEventType = new GraphQLObjectType({
+  name: 'BillEvent',
+  fields: {
+    stage: { type: GraphQLString },
+    date: { type: DateTime },
+    text: { type: GraphQLString },
+    institution: { type: GraphQLString }
+  }
+});
+
+const BillType = new GraphQLObjectType({
+  name: 'Bill',
+  fields: () => ({
+    number: { type: new GraphQLNonNull(GraphQLString) },
+    session: { type: new GraphQLNonNull(GraphQLString) },
+    url: { type: new GraphQLNonNull(GraphQLString) },
+    name: { type: LocalizedText },
+    introduced: { type: DateTime },
+    status: { type: GraphQLString },
+    summary: { type: GraphQLString },
+    law: { type: GraphQLBoolean },
+    text_url: { type: GraphQLString },
+    law_url: { type: GraphQLString },
+    stage: { type: GraphQLString },
+    stage_label: { type: GraphQLString, resolve: (bill, args, { lang }) => localizeTimeline(bill, lang).stage_label },
+    progress: { type: GraphQLFloat },
+    active: { type: GraphQLBoolean },
+    last_event: { type: GraphQLString, resolve: (bill, args, { lang }) => localizeTimeline(bill, lang).last_event },
+    last_event_date: { type: DateTime },
+    events: {
+      type: list(BillEventType),
+      extensions: listSize(11),
+      resolve: (bill, args, { lang }) => localizeTimeline(bill, lang).events || []
+    },
+    sponsor_url: { type: GraphQLString, resolve: bill => bill.sponsor || null },
+    sponsor: {
+      type: MemberType,
+      resolve: (bill, args, { loaders }) => (bill.sponsor ? loaders.member.load(bill.sponsor) : null)
+    },
+    votes: {
+      type: list(VoteType),
+      description: `Divisions held on the bill, oldest first (all of them, up to ${MAX_BILL_VOTES}, unless limited)`,
+      args: pagingArgs,
+      extensions: listSize(MAX_BILL_VOTES),
+      resolve: async (bill, args, { loaders }) => {
+        const { limit, offset } = parsePaging(args, { defaultLimit: MAX_BILL_VOTES, maxLimit: MAX_BILL_VOTES });
+        return (await loaders.billVotes.load(bill.url)).slice(offset, offset + limit);
+      }
+    }
+  })
+});
+
+const VoteType = new GraphQLObjectType({
+  name: 'Vote',
+  fields: () => ({
+    number: { type: new GraphQLNonNull(GraphQLInt) },
+    session: { type: new GraphQLNonNull(GraphQLString) },
+    url: { type: new GraphQLNonNull(GraphQLString) },
+    date: { type: DateTime },
+    result: { type: GraphQLString },
+    yea_total: { type: GraphQLInt },
+    nay_total: { type: GraphQLInt },
+    paired_total: { type: GraphQLInt },
+    description: { type: LocalizedText },
+    bill_url: { type: GraphQLString },
+    bill_number: { type: GraphQLString },
+    bill: {
+      type: BillType,
+      resolve: (vote, args, { loaders }) => (vote.bill_url ? loaders.bill.load(vote.bill_url) : null)
+    },
+    ballots: {
+      type: list(BallotType),
+      description: `Every member's ballot on this vote (up to ${MAX_VOTE_BALLOTS} unless limited)`,
+      args: pagingArgs,
+      extensions: listSize(MAX_VOTE_BALLOTS),
+      resolve: async (vote, args, { loaders }) => {
+        const { limit, offset } = parsePaging(args, { defaultLimit: MAX_VOTE_BALLOTS, maxLimit: MAX_VOTE_BALLOTS });
+        return (await loaders.voteBallots.load(vote.url)).slice(offset, offset + limit);
+      }
+    }
+  })
+});
+
+const QueryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    member: {
+      type: MemberType,
+      description: 'A member by politician slug (e.g. "justin-trudeau") or URL',
+      args: { name: { type: new GraphQLNonNull(GraphQLString) } },
+      resolve: (root, { name }, { loaders }) => loaders.member.load(politicianUrl(name))
+    },
+    members: {
+      type: list(MemberType),
+      description: 'Stored members, by name',
+      extensions: listSize(DEFAULT_LIMIT, MAX_LIMIT),
+      args: {
+        party: { type: GraphQLString },
+        province: { type: GraphQLString },
+        search: { type: GraphQLString, description: 'Name or constituency' },
+        ...pagingArgs
+      },
+      resolve: async (root, args, { loaders }) => {
+        const { limit, offset } = parsePaging(args);
+        const filter = {};
+        if (args.province) filter.province = new RegExp(`^${escapeRegex(args.province)}$`, 'i');
+        if (args.party) filter.party = new RegExp(escapeRegex(args.party), 'i');
+        if (args.search) {
+          const pattern = new RegExp(escapeRegex(args.search), 'i');
+          filter.$or = [{ name: pattern }, { constituency: pattern }];
+        }
+
+        const members = await Member.find(filter, { data: 0, offices: 0 }).sort({ name: 1 }).skip(offset).limit(limit).lean();
+        return prime(loaders.member, members);
+      }
+    },
+    bill: {
+      type: BillType,
+      args: {
+        session: { type: new GraphQLNonNull(GraphQLString) },
+        number: { type: new GraphQLNonNull(GraphQLString) }
+      },
+      resolve: (root, { session, number }, { loaders }) => loaders.bill.load(`/bills/${session}/${number}/`)
+    },
+    bills: {
+      type: list(BillType),
+      description: 'Stored bills; session defaults to the current one ("all" for every session)',
+      extensions: listSize(DEFAULT_LIMIT, MAX_LIMIT),
+      args: {
+        session: { type: GraphQLString },
+        status: { type: GraphQLString },
+        stage: { type: GraphQLString },
+        sponsor: { type: GraphQLString },
+        chamber: { type: GraphQLString },
+        law: { type: GraphQLBoolean },
+        q: { type: GraphQLString },
+        introduced_after: { type: GraphQLString },
+        introduced_before: { type: GraphQLString },
+        sort: { type: GraphQLString },
+        ...pagingArgs
+      },
+      resolve: async (root, args, { loaders }) => {
+        const { limit, offset } = parsePaging(args);
+        const filter = buildBillFilter({ ...args, session: await listSession(args.session) });
+
+        const bills = await Bill.find(filter, { data: 0 })
+          .sort(buildBillSort(args.sort))
+          .skip(offset)
+          .limit(limit)
+          .lean();
+        return prime(loaders.bill, bills);
+      }
+    },
+    vote: {
+      type: VoteType,
+      args: {
+        session: { type: new GraphQLNonNull(GraphQLString) },
+        number: { type: new GraphQLNonNull(GraphQLInt) }
+      },
+      resolve: (root, { session, number }, { loaders }) => loaders.vote.load(`/votes/${session}/${number}/`)
+    },
+    votes: {
+      type: list(VoteType),
+      description: 'Stored votes, newest first; session defaults to the current one ("all" for every session)',
+      extensions: listSize(DEFAULT_LIMIT, MAX_LIMIT),
+      args: {
+        session: { type: GraphQLString },
+        bill: { type: GraphQLString, description: 'Bill number (e.g. C-69)' },
+        result: { type: GraphQLString },
+        date_after: { type: GraphQLString },
+        date_before: { type: GraphQLString },
+        ...pagingArgs
+      },
+      resolve: async (root, args, { loaders }) => {
+        const { limit, offset } = parsePaging(args);
+        const filter = buildVoteWindow({ ...args, session: await listSession(args.session) });
+        if (args.bill) filter.bill_number = new RegExp(`^${escapeRegex(args.bill)}$`, 'i');
+        if (args.result) filter.result = new RegExp(`^${escapeRegex(args.result)}$`, 'i');
+
+        const votes = await Vote.find(filter, { data: 0, members_votes: 0 })
+          .sort({ date: -1, number: -1 })
+          .skip(offset)
+          .limit(limit)
+          .lean();
+        return prime(loaders.vote, votes);
+      }
+    },
+    sessions: {
+      type: list(SessionType),
+      description: 'Parliamentary sessions, newest first',
+      extensions: listSize(100),
+      resolve: () => getSessions()
+    }
+  }
+});
+
+const schema = new GraphQLSchema({ query: QueryType });
+
+module.exports = {
+  schema
+};
@@ -0,0 +1,260 @@
+// Languages responses can be given in; the first is the default
+const LANGUAGES = ['en', 'fr'];
+const DEFAULT_LANGUAGE = LANGUAGES[0];
+
+// Display labels for vote results and ballots
+const RESULT_LABELS = {
+  en: { Passed: 'Passed', Failed: 'Failed', Tie: 'Tie' },
+  fr: { Passed: 'Adoptée', Failed: 'Rejetée', Tie: 'Égalité' }
+};
+const BALLOT_LABELS = {
+  en: { Yes: 'Yea', No: 'Nay', Paired: 'Paired', "Didn't vote": "Didn't vote" },
+  fr: { Yes: 'Pour', No: 'Contre', Paired: 'Pairé', "Didn't vote": "N'a pas voté" }
+};
+
+const PARAMETER_LOCATIONS_FR = { query: 'de requête', path: 'de chemin' };
+
+function describeRangeFr({ minimum, maximum }) {
+  if (minimum !== undefined && maximum !== undefined) return ` entre ${minimum} et ${maximum}`;
+  if (minimum !== undefined) return ` d'au moins ${minimum}`;
+  if (maximum !== undefined) return ` d'au plus ${maximum}`;
+  return '';
+}
+
+function describeRangeEn({ minimum, maximum }) {
+  if (minimum !== undefined && maximum !== undefined) return ` between ${minimum} and ${maximum}`;
+  if (minimum !== undefined) return ` of at least ${minimum}`;
+  if (maximum !== undefined) return ` of at most ${maximum}`;
+  return '';
+}
+
+// Messages the public routes respond with, by key: text for each language
+// from the message's params. Every key needs an entry in every language.
+const MESSAGES = {
+  en: {
+    bill_not_found: () => 'Bill not found',
+    ballots_not_synced: () => 'Ballots for this vote have not been synced yet',
+    no_voting_history: () => 'No voting history found for this member',
+    no_voting_history_for: ({ member }) => `No voting history found for ${member}`,
+    voting_history_failed: () => 'Failed to retrieve voting history',
+    voting_history_error: () => 'Error fetching voting history',
+    agreement_member_count: ({ maximum }) => `members must list between 2 and ${maximum} member names`,
+    unknown_session: ({ session }) => `Unknown session: ${session}`,
+    invalid_postal_code: ({ postal_code }) => `Invalid postal code: ${postal_code}`,
+    riding_name_required: () => 'Riding name is required',
+    lookup_query_required: () => 'Provide postal_code or riding',
+    no_riding_for_postal_code: ({ postal_code }) => `No riding found for postal code ${postal_code}`,
+    no_riding_matching: ({ riding }) => `No riding found matching "${riding}"`,
+    postal_lookup_unavailable: () => 'Postal code lookup is unavailable until a riding dataset is imported',
+    invalid_date: ({ name, value }) => `Invalid ${name} date: ${value}`,
+    invalid_sort_field: ({ field, allowed }) => `Invalid sort field: ${field}. Allowed: ${allowed}`,
+    invalid_ballot_value: ({ value, allowed }) => `Invalid ballot value: ${value}. Allowed: ${allowed}`,
+    invalid_format: ({ format, allowed }) => `Invalid format: ${format}. Allowed: ${allowed}`,
+    invalid_cursor: () => 'Invalid cursor',
+    cursor_sort_mismatch: () => 'Invalid cursor (it may belong to a different sort order)',
+    parameter_missing: ({ location, name }) => `Missing required ${location} parameter ${name}`,
+    parameter_invalid: ({ location, name, problem }) => `Invalid ${location} parameter ${name}: ${problem}`,
+    parameter_repeated: () => 'must be given once',
+    parameter_malformed: () => 'malformed URL encoding',
+    parameter_not_number: ({ type, ...range }) => `must be ${type === 'integer' ? 'an integer' : 'a number'}${describeRangeEn(range)}`,
+    parameter_not_boolean: () => 'must be true or false',
+    parameter_not_enum: ({ values }) => `must be one of ${values}`,
+    parameter_not_like: ({ example }) => `must look like ${example}`,
+    parameter_not_matching: ({ pattern }) => `must match ${pattern}`,
+    parameter_not_date: () => 'must be a date (YYYY-MM-DD)',
+    parameter_not_timestamp: () => 'must be an ISO 8601 date or timestamp',
+    graphql_missing_query: () => 'Missing query',
+    graphql_invalid_variables: () => 'Variables must be a JSON object',
+    graphql_method_not_allowed: () => 'GraphQL only supports GET and POST',
+    graphql_too_deep: ({ depth }) => `Query is nested too deeply (maximum depth is ${depth})`,
+    graphql_too_costly: ({ cost }) => `Query could return too many results (maximum cost is ${cost}); lower its limits`,
+    upstream_failed: ({ reason }) => `API request failed: ${reason}`
+  },
+  fr: {
+    bill_not_found: () => 'Projet de loi introuvable',
+    ballots_not_synced: () => 'Les votes individuels de ce scrutin n\'ont pas encore été synchronisés',
+    no_voting_history: () => 'Aucun historique de vote trouvé pour ce député',
+    no_voting_history_for: ({ member }) => `Aucun historique de vote trouvé pour ${member}`,
+    voting_history_failed: () => 'Impossible de récupérer l\'historique de vote',
+    voting_history_error: () => 'Erreur lors de la récupération de l\'historique de vote',
+    agreement_member_count: ({ maximum }) => `members doit contenir entre 2 et ${maximum} noms de députés`,
+    unknown_session: ({ session }) => `Session inconnue : ${session}`,
+    invalid_postal_code: ({ postal_code }) => `Code postal invalide : ${postal_code}`,
+    riding_name_required: () => 'Le nom de la circonscription est requis',
+    lookup_query_required: () => 'Indiquez postal_code ou riding',
+    no_riding_for_postal_code: ({ postal_code }) => `Aucune circonscription trouvée pour le code postal ${postal_code}`,
+    no_riding_matching: ({ riding }) => `Aucune circonscription ne correspond à « ${riding} »`,
+    postal_lookup_unavailable: () => 'La recherche par code postal est indisponible tant qu\'aucun jeu de données des circonscriptions n\'a été importé',
+    invalid_date: ({ name, value }) => `Date ${name} invalide : ${value}`,
+    invalid_sort_field: ({ field, allowed }) => `Champ de tri invalide : ${field}. Valeurs permises : ${allowed}`,
+    invalid_ballot_value: ({ value, allowed }) => `Vote invalide : ${value}. Valeurs permises : ${allowed}`,
+    invalid_format: ({ format, allowed }) => `Format invalide : ${format}. Valeurs permises : ${allowed}`,
+    invalid_cursor: () => 'Curseur invalide',
+    cursor_sort_mismatch: () => 'Curseur invalide (il appartient peut-être à un autre ordre de tri)',
+    parameter_missing: ({ location, name }) => `Paramètre ${PARAMETER_LOCATIONS_FR[location]} requis manquant : ${name}`,
+    parameter_invalid: ({ location, name, problem }) => `Paramètre ${PARAMETER_LOCATIONS_FR[location]} ${name} invalide : ${problem}`,
+    parameter_repeated: () => 'doit être donné une seule fois',
+    parameter_malformed: () => 'encodage d\'URL malformé',
+    parameter_not_number: ({ type, ...range }) => `doit être ${type === 'integer' ? 'un entier' : 'un nombre'}${describeRangeFr(range)}`,
+    parameter_not_boolean: () => 'doit être true ou false',
+    parameter_not_enum: ({ values }) => `doit être l'une des valeurs suivantes : ${values}`,
+    parameter_not_like: ({ example }) => `doit ressembler à ${example}`,
+    parameter_not_matching: ({ pattern }) => `doit correspondre à ${pattern}`,
+    parameter_not_date: () => 'doit être une date (AAAA-MM-JJ)',
+    parameter_not_timestamp: () => 'doit être une date ou un horodatage ISO 8601',
+    graphql_missing_query: () => 'Requête manquante',
+    graphql_invalid_variables: () => 'Les variables doivent être un objet JSON',
+    graphql_method_not_allowed: () => 'GraphQL ne prend en charge que GET et POST',
+    graphql_too_deep: ({ depth }) => `Requête trop imbriquée (profondeur maximale : ${depth})`,
+    graphql_too_costly: ({ cost }) => `La requête pourrait renvoyer trop de résultats (coût maximal : ${cost}) ; réduisez ses limites`,
+    upstream_failed: ({ reason }) => `Échec de la requête à OpenParliament : ${reason}`
+  }
+};
+
+/**
+ * A message identified by key, rendered in the response's language when sent.
+ * Serializes to English wherever it isn't localized (logs, admin routes).
+ */
+class Message {
+  /**
+   * @param {string} key - Key in MESSAGES
+   * @param {Object} [params] - Values the text is built from (nested Messages are rendered too)
+   */
+  constructor(key, params = {}) {
+    if (!MESSAGES[DEFAULT_LANGUAGE][key]) {
+      throw new Error(`Unknown message: ${key}`);
+    }
+    this.key = key;
+    this.params = params;
+  }
+
+  /**
+   * @param {string} lang - en or fr
+   * @returns {string}
+   */
+  format(lang) {
+    const render = (MESSAGES[lang] || {})[this.key] || MESSAGES[DEFAULT_LANGUAGE][this.key];
+    const params = Object.fromEntries(Object.entries(this.params).map(([name, value]) => (
+      [name, value instanceof Message ? value.format(lang) : value]
+    )));
+    return render(params);
+  }
+
+  toString() {
+    return this.format(DEFAULT_LANGUAGE);
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * @param {string} key - Key in MESSAGES
+ * @param {Object} [params] - Values for the message text
+ * @returns {Message}
+ */
+function message(key, params) {
+  return new Message(key, params);
+}
+
+/**
+ * An error whose message can be translated: its `message` is the English
+ * text and `localizedMessage` the keyed Message
+ * @param {string} key - Key in MESSAGES
+ * @param {Object} params - Values for the message text
+ * @param {number} statusCode - HTTP status to respond with
+ * @returns {Error}
+ */
+function messageError(key, params, statusCode) {
+  const localizedMessage = message(key, params);
+  const error = new Error(localizedMessage.toString());
+  error.localizedMessage = localizedMessage;
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * What to put in a response for an error: its keyed Message when it has one,
+ * otherwise its (untranslated) message
+ * @param {Error} error
+ * @returns {Message|string}
+ */
+function errorMessage(error) {
+  return error.localizedMessage || error.message;
+}
+
+/**
+ * Render a message in a language. Keyed Messages are translated; plain
+ * strings are returned unchanged.
+ * @param {Message|string} value - Message
+ * @param {string} lang - en or fr
+ * @returns {string}
+ */
+function translateMessage(value, lang) {
+  return value instanceof Message ? value.format(lang) : value;
+}
+
+/**
+ * Pick the response language: ?lang= when it names a supported language,
+ * then the best match for Accept-Language, then English
+ * @param {Object} req - Express request
+ * @returns {string} - en or fr
+ */
+function negotiateLanguage(req) {
+  if (LANGUAGES.includes(req.query.lang)) return req.query.lang;
+  return req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Pick one language from a bilingual { en, fr } field, falling back to the other
+ * @param {Object|string} field - Localized field
+ * @param {string} lang - en or fr
+ * @returns {string}
+ */
+function localized(field, lang) {
+  if (!field || typeof field === 'string') return field || '';
+  return field[lang] || field.en || field.fr || '';
+}
+
+// { en, fr } (or just one of them) with text values, as stored and as served by OpenParliament
+function isLocalizedField(value) {
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => LANGUAGES.includes(key)
+    && (value[key] === null || value[key] === undefined || typeof value[key] === 'string'));
+}
+
+/**
+ * Replace every bilingual { en, fr } field in a response body with the text
+ * in one language (or the other, when it's missing)
+ * @param {*} value - Response body
+ * @param {string} lang - en or fr
+ * @returns {*} - A localized copy
+ */
+function collapseLocalized(value, lang) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => collapseLocalized(item, lang));
+  if (value instanceof Message) return value.format(lang);
+
+  // Dates, ObjectIds and documents serialize through toJSON anyway
+  if (typeof value.toJSON === 'function') return collapseLocalized(value.toJSON(), lang);
+
+  if (isLocalizedField(value)) return localized(value, lang) || null;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, collapseLocalized(item, lang)]));
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  RESULT_LABELS,
+  BALLOT_LABELS,
+  MESSAGES,
+  Message,
+  message,
+  messageError,
+  errorMessage,
+  negotiateLanguage,
+  translateMessage,
+  localized,
+  collapseLocalized
+};
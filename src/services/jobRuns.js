@@ -0,0 +1,179 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobRun = require('../models/JobRun');
+
+// Identifies this process on the runs it records
+const OWNER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// A running job refreshes its heartbeat this often; a run whose heartbeat is
+// older than STALE_RUN_MS belongs to a process that has gone away
+const HEARTBEAT_MS = 60 * 1000;
+const STALE_RUN_MS = 5 * 60 * 1000;
+
+// Search window for the next cron occurrence (our schedules are at most weekly)
+const NEXT_RUN_SEARCH_MINUTES = 366 * 24 * 60;
+
+// Fields of a five-field cron expression: name, lowest and highest value
+const CRON_FIELDS = [
+  ['minute', 0, 59],
+  ['hour', 0, 23],
+  ['day of month', 1, 31],
+  ['month', 1, 12],
+  ['day of week', 0, 7]
+];
+
+/**
+ * Run a job and persist a JobRun record of its outcome
+ * @param {string} job - Job name
+ * @param {string} trigger - cron, manual or startup
+ * @param {Function} task - Async function returning the job's counts
+ * @returns {Promise<Object>} - The job's counts
+ */
+async function runJob(job, trigger, task) {
+  let run = null;
+
+  try {
+    const startedAt = new Date();
+    run = await JobRun.create({ job, trigger, owner: OWNER_ID, started_at: startedAt, heartbeat_at: startedAt });
+  } catch (error) {
+    // Still run the job if the history can't be written
+    console.error(`Could not record start of ${job} job:`, error.message);
+  }
+
+  const startedAt = run ? run.started_at : new Date();
+  const heartbeat = run && setInterval(() => {
+    JobRun.updateOne({ _id: run._id, status: 'running' }, { heartbeat_at: new Date() }).catch(error => {
+      console.error(`Could not record heartbeat of ${job} job:`, error.message);
+    });
+  }, HEARTBEAT_MS);
+  if (heartbeat) heartbeat.unref();
+
+  const finish = async (fields) => {
+    if (!run) return;
+    clearInterval(heartbeat);
+    try {
+      const finishedAt = new Date();
+      await JobRun.updateOne(
+        { _id: run._id },
+        { ...fields, finished_at: finishedAt, duration_ms: finishedAt - startedAt }
+      );
+    } catch (error) {
+      console.error(`Could not record end of ${job} job:`, error.message);
+    }
+  };
+
+  try {
+    const counts = await task();
+    await finish({ status: 'succeeded', counts });
+    return counts;
+  } catch (error) {
+    await finish({ status: 'failed', error: { message: error.message, stack: error.stack } });
+    throw error;
+  }
+}
+
+/**
+ * Mark runs whose process stopped sending heartbeats as interrupted (called at
+ * startup). Runs other instances are still working on keep their status.
+ * @returns {Promise<number>} - Number of runs marked
+ */
+async function markInterruptedRuns() {
+  const cutoff = new Date(Date.now() - STALE_RUN_MS);
+  const result = await JobRun.updateMany(
+    {
+      status: 'running',
+      $or: [
+        { heartbeat_at: { $lt: cutoff } },
+        // Runs recorded before heartbeats existed
+        { heartbeat_at: { $exists: false }, started_at: { $lt: cutoff } }
+      ]
+    },
+    { status: 'interrupted', finished_at: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+// Values one cron field allows: *, numbers, ranges (a-b), steps (*/n, a-b/n) and lists of them
+function parseCronField(field, [name, low, high]) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Unsupported cron ${name}: ${field}`);
+
+    const [, any, first, last, step] = match;
+    const start = any ? low : parseInt(first);
+    const end = any || (step && last === undefined) ? high : parseInt(last ?? first);
+    const increment = step ? parseInt(step) : 1;
+    if (start < low || end > high || start > end || increment < 1) {
+      throw new Error(`Unsupported cron ${name}: ${field}`);
+    }
+
+    for (let value = start; value <= end; value += increment) values.add(value);
+  }
+
+  return values;
+}
+
+/**
+ * Next time a cron expression fires after a given date. Covers the five-field
+ * numeric syntax our schedules use; every field must match, as in node-cron.
+ * @param {string} expression - Cron expression
+ * @param {Date} [from] - Start time (defaults to now)
+ * @returns {Date|null} - Next occurrence, or null if none within a year
+ */
+function getNextRun(expression, from = new Date()) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) throw new Error(`Unsupported cron expression: ${expression}`);
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  const candidate = new Date(from);
+  candidate.setSeconds(0, 0);
+
+  for (let i = 0; i < NEXT_RUN_SEARCH_MINUTES; i++) {
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    if (minutes.has(candidate.getMinutes()) && hours.has(candidate.getHours())
+      && days.has(candidate.getDate()) && months.has(candidate.getMonth() + 1)
+      && weekdays.has(candidate.getDay())) {
+      return new Date(candidate);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * List recent runs
+ * @param {Object} filter
+ * @param {string} [filter.job] - Job name
+ * @param {string} [filter.status] - Run status
+ * @param {number} [limit] - Maximum runs to return
+ * @returns {Promise<Array>}
+ */
+async function listJobRuns({ job, status } = {}, limit = 20) {
+  const query = {};
+  if (job) query.job = job;
+  if (status) query.status = status;
+
+  return JobRun.find(query, { 'error.stack': 0 }).sort({ started_at: -1 }).limit(limit).lean();
+}
+
+/**
+ * Most recent run of a job, optionally with a given status
+ * @param {string} job - Job name
+ * @param {string} [status] - Run status
+ * @returns {Promise<Object|null>}
+ */
+async function getLastRun(job, status) {
+  return JobRun.findOne({ job, ...(status && { status }) }).sort({ started_at: -1 }).lean();
+}
+
+module.exports = {
+  runJob,
+  markInterruptedRuns,
+  getNextRun,
+  listJobRuns,
+  getLastRun
+};
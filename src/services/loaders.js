@@ -0,0 +1,181 @@
+const DataLoader = require('dataloader');
+const Member = require('../models/Member');
+const Bill = require('../models/Bill');
+const Vote = require('../models/Vote');
+const Ballot = require('../models/Ballot');
+const { fetchCached } = require('./responseCache');
+const { buildBallotFilter } = require('./ballotQuery');
+
+function indexBy(docs, field) {
+  return new Map(docs.map(doc => [doc[field], doc]));
+}
+
+function groupBy(docs, field) {
+  const groups = new Map();
+  for (const doc of docs) {
+    if (!groups.has(doc[field])) groups.set(doc[field], []);
+    groups.get(doc[field]).push(doc);
+  }
+  return groups;
+}
+
+/**
+ * Shape an upstream politician list item like a stored Member
+ * @param {Object} item - Item from /politicians/
+ * @returns {Object}
+ */
+function memberFromListItem(item) {
+  const party = item.current_party || {};
+  const riding = item.current_riding || {};
+  return {
+    name: item.name,
+    url: item.url,
+    party: (party.short_name && party.short_name.en) || null,
+    constituency: (riding.name && riding.name.en) || null,
+    province: riding.province || null,
+    photo_url: item.image || null
+  };
+}
+
+/**
+ * Members by politician URL. Stored members come from Mongo; the rest are
+ * looked up in the (cached) list of sitting members, so a batch costs at
+ * most one upstream call.
+ */
+async function loadMembers(urls) {
+  const stored = indexBy(
+    await Member.find({ url: { $in: urls } }, { data: 0, offices: 0 }).lean(),
+    'url'
+  );
+
+  if (urls.some(url => !stored.has(url))) {
+    const politicians = await fetchCached('/politicians/', { limit: 500 });
+    for (const item of politicians.objects || []) {
+      if (urls.includes(item.url) && !stored.has(item.url)) {
+        stored.set(item.url, memberFromListItem(item));
+      }
+    }
+  }
+
+  return urls.map(url => stored.get(url) || null);
+}
+
+/**
+ * A loader for one-to-many lookups that take list arguments (session, limit, ...).
+ * Keys are { key, options }; keys sharing the same options are fetched together.
+ * @param {Function} loadGroups - (keys, options) => Promise<Map of key -> array>
+ * @returns {DataLoader}
+ */
+function createGroupedLoader(loadGroups) {
+  return new DataLoader(async (requests) => {
+    const byOptions = new Map();
+    for (const { key, options } of requests) {
+      const signature = JSON.stringify(options);
+      if (!byOptions.has(signature)) byOptions.set(signature, { options, keys: [] });
+      byOptions.get(signature).keys.push(key);
+    }
+
+    const results = new Map();
+    await Promise.all([...byOptions].map(async ([signature, { options, keys }]) => {
+      results.set(signature, await loadGroups([...new Set(keys)], options));
+    }));
+
+    return requests.map(({ key, options }) => results.get(JSON.stringify(options)).get(key) || []);
+  }, { cacheKeyFn: ({ key, options }) => JSON.stringify([key, options]) });
+}
+
+/**
+ * Ballots for several members in one aggregate, newest first, paged per member
+ * @param {string[]} urls - Politician URLs
+ * @param {Object} options - Ballot filters (session, ballot, date_after, date_before) plus limit and offset
+ * @returns {Promise<Map>}
+ */
+async function loadMemberBallots(urls, { limit, offset, ...query }) {
+  const groups = await Ballot.aggregate([
+    { $match: buildBallotFilter(query, { politician_url: { $in: urls } }) },
+    { $project: { data: 0 } },
+    { $sort: { date: -1, vote_number: -1 } },
+    { $group: { _id: '$politician_url', ballots: { $push: '$$ROOT' } } },
+    { $project: { ballots: { $slice: ['$ballots', offset, limit] } } }
+  ]).allowDiskUse(true);
+
+  return new Map(groups.map(group => [group._id, group.ballots]));
+}
+
+/**
+ * Bills sponsored by several members, most recently introduced first
+ */
+async function loadSponsoredBills(urls, { limit, offset, session }) {
+  const filter = { sponsor: { $in: urls } };
+  if (session) filter.session = session;
+
+  const bills = await Bill.find(filter, { data: 0 }).sort({ introduced: -1 }).lean();
+  const groups = groupBy(bills, 'sponsor');
+  for (const [url, list] of groups) groups.set(url, list.slice(offset, offset + limit));
+  return groups;
+}
+
+/**
+ * Divisions held on several bills, oldest first
+ */
+async function loadBillVotes(urls) {
+  const votes = await Vote.find({ bill_url: { $in: urls } }, { data: 0, members_votes: 0 })
+    .sort({ date: 1, number: 1 })
+    .lean();
+  return groupBy(votes, 'bill_url');
+}
+
+/**
+ * Ballots recorded on several votes, read from the votes' members_votes
+ */
+async function loadVoteBallots(urls) {
+  const votes = await Vote.find(
+    { url: { $in: urls } },
+    { url: 1, session: 1, number: 1, date: 1, members_votes: 1 }
+  ).lean();
+
+  return new Map(votes.map(vote => [vote.url, (vote.members_votes || []).map(entry => ({
+    vote_url: vote.url,
+    politician_url: entry.politician_url,
+    politician_name: entry.name,
+    ballot: entry.vote,
+    party: entry.party,
+    session: vote.session,
+    vote_number: vote.number,
+    date: vote.date
+  }))]));
+}
+
+/**
+ * Create the per-request loaders. Each loader batches the lookups made while
+ * resolving one level of a query into a single Mongo query and caches the
+ * results for the rest of the request.
+ * @returns {Object} - Loaders by name
+ */
+function createLoaders() {
+  return {
+    member: new DataLoader(loadMembers),
+    bill: new DataLoader(async (urls) => {
+      const bills = indexBy(await Bill.find({ url: { $in: urls } }, { data: 0 }).lean(), 'url');
+      return urls.map(url => bills.get(url) || null);
+    }),
+    vote: new DataLoader(async (urls) => {
+      const votes = indexBy(await Vote.find({ url: { $in: urls } }, { data: 0, members_votes: 0 }).lean(), 'url');
+      return urls.map(url => votes.get(url) || null);
+    }),
+    memberBallots: createGroupedLoader(loadMemberBallots),
+    sponsoredBills: createGroupedLoader(loadSponsoredBills),
+    billVotes: new DataLoader(async (urls) => {
+      const groups = await loadBillVotes(urls);
+      return urls.map(url => groups.get(url) || []);
+    }),
+    voteBallots: new DataLoader(async (urls) => {
+      const groups = await loadVoteBallots(urls);
+      return urls.map(url => groups.get(url) || []);
+    })
+  };
+}
+
+module.exports = {
+  createLoaders
+};
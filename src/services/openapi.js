@@ -0,0 +1,396 @@
+const { SORT_FIELDS } = require('./billQuery');
+const { EXPORT_FORMATS } = require('./exporter');
+const { TRACKED_FIELDS } = require('./changeLog');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+const { MAX_LIMIT } = require('./pagination');
+const { LANGUAGES } = require('./i18n');
+
+// OpenParliament serves at most 500 items per page, so proxied lists can't ask for more
+const UPSTREAM_MAX_LIMIT = 500;
+
+/*
+ * Parameters. Query and path parameters are validated against these schemas
+ * (see middleware/validateRequest), so they double as the input contract.
+ */
+
+const query = (name, schema, description, required = false) => ({ name, in: 'query', required, description, schema });
+const path = (name, schema, description) => ({ name, in: 'path', required: true, description, schema });
+
+const limit = (maximum = MAX_LIMIT, byDefault = 20) => query('limit', { type: 'integer', minimum: 1, maximum, default: byDefault }, 'Page size');
+const offset = query('offset', { type: 'integer', minimum: 0, default: 0 }, 'Items to skip');
+const cursor = query('cursor', { type: 'string' }, 'next_cursor or previous_cursor from another page; takes the place of offset');
+const paging = (maximum, byDefault) => [limit(maximum, byDefault), offset];
+const cursorPaging = (maximum) => [...paging(maximum), cursor];
+
+const SESSION_PATTERN = '^\\d{1,3}-\\d{1,2}$';
+const session = path('session', { type: 'string', pattern: SESSION_PATTERN, example: '44-1' }, 'Parliamentary session');
+const sessionQuery = query('session', { type: 'string', pattern: SESSION_PATTERN, example: '44-1' }, 'Parliamentary session');
+const sessionOrAll = query(
+  'session',
+  { type: 'string', pattern: '^(\\d{1,3}-\\d{1,2}|all)$', example: '44-1' },
+  'Parliamentary session, or "all" for every session'
+);
+const billNumber = path('billNumber', { type: 'string', pattern: '^[A-Za-z]+-\\d+[A-Za-z]*$', example: 'C-69' }, 'Bill number');
+const voteNumber = path('voteNumber', { type: 'integer', minimum: 1, example: 42 }, 'Vote number within the session');
+const memberName = path('memberName', { type: 'string', pattern: '^[A-Za-z0-9-]+$', example: 'pierre-poilievre' }, 'Politician slug');
+const dateAfter = query('date_after', { type: 'string', format: 'date' }, 'Only votes on or after this date');
+const dateBefore = query('date_before', { type: 'string', format: 'date' }, 'Only votes on or before this date');
+const format = query('format', { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' }, 'Export format');
+const ballot = query('ballot', { type: 'string', example: 'yea' }, 'Ballot value: yes/yea, no/nay, paired or absent');
+
+const lang = query('lang', { type: 'string', enum: LANGUAGES }, 'Response language; overrides Accept-Language');
+
+const voteWindow = [sessionOrAll, dateAfter, dateBefore];
+const ballotFilters = [sessionOrAll, ballot, dateAfter, dateBefore];
+const memberFilters = [
+  query('province', { type: 'string', example: 'ON' }, 'Province code'),
+  query('party', { type: 'string' }, 'Party name (partial match)'),
+  query('search', { type: 'string' }, 'Name or constituency (partial match)')
+];
+const billFilters = [
+  sessionOrAll,
+  query('status', { type: 'string' }, 'Status (partial match)'),
+  query('sponsor', { type: 'string' }, 'Sponsor slug or politician URL'),
+  query('chamber', { type: 'string', pattern: '^([CcSs]|commons|senate)$', example: 'S' }, 'C for House bills, S for Senate bills'),
+  query('law', { type: 'boolean' }, 'Whether the bill has become law'),
+  query('stage', { type: 'string', example: 'committee' }, 'Stage key (house_committee) or stage in any chamber (committee)'),
+  query('q', { type: 'string' }, 'Keyword in the name or summary'),
+  query('introduced_after', { type: 'string', format: 'date' }),
+  query('introduced_before', { type: 'string', format: 'date' }),
+  query(
+    'sort',
+    { type: 'string', enum: SORT_FIELDS.flatMap(field => [field, `-${field}`]), default: '-introduced' },
+    `One of ${SORT_FIELDS.join(', ')}; prefix "-" for descending`
+  )
+];
+
+/*
+ * Responses
+ */
+
+const json = schema => ({ 'application/json': { schema } });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const ok = (description, schema = { type: 'object' }) => ({ description, content: json(schema) });
+const list = (item, description = 'A page of results') => ok(description, {
+  type: 'object',
+  properties: { objects: { type: 'array', items: item }, pagination: ref('Pagination') }
+});
+const download = {
+  description: 'CSV or NDJSON download',
+  content: {
+    'text/csv': { schema: { type: 'string' } },
+    'application/x-ndjson': { schema: { type: 'string' } }
+  }
+};
+const atom = { description: 'Atom 1.0 feed', content: { 'application/atom+xml': { schema: { type: 'string' } } } };
+
+const errors = {
+  400: { $ref: '#/components/responses/BadRequest' },
+  404: { $ref: '#/components/responses/NotFound' }
+};
+const adminErrors = {
+  400: { $ref: '#/components/responses/AdminError' },
+  401: { $ref: '#/components/responses/AdminError' },
+  403: { $ref: '#/components/responses/AdminError' }
+};
+
+// Tags whose responses follow ?lang= and Accept-Language (feeds take the language from their path)
+const LOCALIZED_TAGS = ['Bills', 'Votes', 'Members', 'Sessions', 'Changes', 'GraphQL'];
+
+const operation = (tag, summary, parameters, response, extra = {}) => ({
+  tags: [tag],
+  summary,
+  ...(LOCALIZED_TAGS.includes(tag) ? { parameters: [...parameters, lang] } : parameters.length > 0 && { parameters }),
+  responses: { 200: response, ...(tag === 'Admin' ? adminErrors : errors) },
+  ...(tag === 'Admin' && { security: [{ bearerAuth: [] }, { apiKeyHeader: [] }] }),
+  ...extra
+});
+
+const get = (...args) => ({ get: operation(...args) });
+
+/*
+ * Paths
+ */
+
+const paths = {
+  '/api/bills': get('Bills', 'List stored bills', [...cursorPaging(), ...billFilters], list(ref('Bill'))),
+  '/api/bills/export': get('Bills', 'Export bills as CSV or NDJSON', [format, ...billFilters], download),
+  '/api/bills/{session}/{billNumber}': get('Bills', 'Bill details with its lifecycle and vote summary', [session, billNumber], ok('Bill details')),
+  '/api/bills/{session}/{billNumber}/votes': get('Bills', 'Divisions held on a bill, oldest first', [session, billNumber, ...paging(500, 500)], list({ type: 'object' }, 'Divisions with party breakdowns')),
+  '/api/bills/{session}/{billNumber}/history': get('Bills', 'Recorded changes to a bill, newest first', [session, billNumber, ...cursorPaging()], list(ref('Change'))),
+
+  '/api/votes': get('Votes', 'List votes, newest first', [sessionOrAll, ...cursorPaging(500)], list({ type: 'object' }, 'A page of votes')),
+  '/api/votes/export': get('Votes', 'Export votes as CSV or NDJSON', [
+    format,
+    ...voteWindow,
+    query('rows', { type: 'string', enum: ['ballots', 'votes'], default: 'ballots' }, 'One row per ballot or one row per vote')
+  ], download),
+  '/api/votes/{session}/{voteNumber}': get('Votes', 'Vote details', [session, voteNumber], ok('Vote details (OpenParliament format)')),
+  '/api/votes/{session}/{voteNumber}/cohesion': get('Votes', 'Party cohesion and dissenters on a vote', [session, voteNumber], ok('Cohesion by party')),
+
+  '/api/members': get('Members', 'List members', [...paging(UPSTREAM_MAX_LIMIT), ...memberFilters], list({ type: 'object' }, 'A page of members (OpenParliament format)')),
+  '/api/members/export': get('Members', 'Export stored members as CSV or NDJSON', [format, ...memberFilters], download),
+  '/api/members/participation': get('Members', 'Members ranked by participation', [
+    ...voteWindow,
+    query('min_votes', { type: 'integer', minimum: 1, default: 1 }, 'Minimum votes held while a member'),
+    query('order', { type: 'string', enum: ['desc', 'asc'], default: 'desc' }),
+    ...paging(400)
+  ], list({ type: 'object' })),
+  '/api/members/lookup': get('Members', 'Find the member for a postal code or riding name', [
+    query('postal_code', { type: 'string', example: 'K1A 0A6' }, 'Postal code or forward sortation area'),
+    query('riding', { type: 'string' }, 'Riding name (fuzzy)')
+  ], ok('Matched riding and member')),
+  '/api/members/agreement': get('Members', 'Pairwise agreement between members', [
+    query('members', { type: 'string', example: 'justin-trudeau,pierre-poilievre' }, 'Comma-separated politician slugs (2-100)', true),
+    ...voteWindow
+  ], ok('Agreement matrix')),
+  '/api/members/{memberName}': get('Members', 'Member details', [memberName], ok('Member details (OpenParliament format)')),
+  '/api/members/{memberName}/ballots': get('Members', 'A member\'s stored ballots, newest first', [memberName, ...ballotFilters, ...cursorPaging(500)], list({ type: 'object' })),
+  '/api/members/{memberName}/ballots/export': get('Members', 'Export a member\'s ballots as CSV or NDJSON', [memberName, format, ...ballotFilters], download),
+  '/api/members/{memberName}/real-votes': get('Members', 'A member\'s ballots formatted for display', [memberName, ...ballotFilters, ...cursorPaging(500)], list({ type: 'object' })),
+  '/api/members/{memberName}/votes': get('Members', 'A member\'s votes from OpenParliament', [memberName, ...paging(UPSTREAM_MAX_LIMIT)], list({ type: 'object' }, 'A page of votes (OpenParliament format)')),
+  '/api/members/{memberName}/dissent': get('Members', 'How often a member voted against their party', [memberName, ...voteWindow], ok('Dissent summary')),
+  '/api/members/{memberName}/participation': get('Members', 'Votes cast, missed and paired by a member', [memberName, ...voteWindow], ok('Participation report')),
+  '/api/members/{memberName}/compare': get('Members', 'Members ranked by agreement with this member', [
+    memberName,
+    ...voteWindow,
+    query('min_shared', { type: 'integer', minimum: 1, default: 1 }, 'Minimum votes both members cast'),
+    ...paging(400)
+  ], list({ type: 'object' })),
+  '/api/members/{memberName}/compare/party/{party}': get('Members', 'How often a member voted with a party\'s majority', [
+    memberName,
+    path('party', { type: 'string', example: 'Liberal' }, 'Party name'),
+    ...voteWindow
+  ], ok('Agreement summary')),
+  '/api/members/{memberName}/compare/{otherName}': get('Members', 'How often two members voted the same way', [
+    memberName,
+    path('otherName', memberName.schema, 'Other politician slug'),
+    ...voteWindow
+  ], ok('Agreement summary')),
+
+  '/api/sessions': get('Sessions', 'Sessions with bill and vote counts, newest first', [
+    query('parliament', { type: 'integer', minimum: 1, example: 44 }),
+    ...paging(MAX_LIMIT, 100)
+  ], list(ref('Session'), 'Sessions')),
+  '/api/sessions/parliaments': get('Sessions', 'Sessions grouped by parliament', paging(MAX_LIMIT, 100), list({ type: 'object' }, 'Parliaments')),
+  '/api/sessions/current': get('Sessions', 'The current session', [], ok('Session', ref('Session'))),
+  '/api/sessions/{session}': get('Sessions', 'A single session', [session], ok('Session', ref('Session'))),
+
+  '/api/changes': get('Changes', 'Changes to bills, votes and members since a timestamp, oldest first', [
+    query('since', { type: 'string', format: 'date-time' }, 'ISO 8601 date or timestamp', true),
+    query('type', { type: 'string', enum: Object.keys(TRACKED_FIELDS) }),
+    sessionOrAll,
+    query('field', { type: 'string', example: 'status' }, 'Only changes to this field'),
+    ...cursorPaging(500)
+  ], list(ref('Change'))),
+
+  '/api/graphql': {
+    get: operation('GraphQL', 'Run a GraphQL query', [
+      query('query', { type: 'string' }, 'GraphQL query'),
+      query('variables', { type: 'string' }, 'Variables as JSON'),
+      query('operationName', { type: 'string' })
+    ], ok('GraphQL result')),
+    post: operation('GraphQL', 'Run a GraphQL query', [], ok('GraphQL result'), {
+      requestBody: {
+        required: true,
+        content: json({
+          type: 'object',
+          required: ['query'],
+          properties: {
+            query: { type: 'string' },
+            variables: { type: 'object' },
+            operationName: { type: 'string' }
+          }
+        })
+      }
+    })
+  },
+
+  '/api/health': get('Status', 'Health check', [], ok('Server status')),
+  '/api/db-test': get('Status', 'Database connection status', [], ok('Connection details')),
+  '/api/openapi.json': get('Status', 'This document', [], ok('OpenAPI 3 document'))
+};
+
+// Feeds are served in English and, under /feeds/fr, in French
+const feeds = {
+  '/votes.atom': get('Feeds', 'Latest votes', [sessionQuery], atom),
+  '/bills.atom': get('Feeds', 'Bills in the current session (or ?session=)', [sessionQuery], atom),
+  '/bills/{session}/{billNumber}.atom': get('Feeds', 'Divisions and stages of a bill', [session, billNumber], atom),
+  '/members/{memberName}.atom': get('Feeds', 'A member\'s recent ballots', [memberName], atom)
+};
+for (const [feedPath, item] of Object.entries(feeds)) {
+  paths[`/feeds${feedPath}`] = item;
+  paths[`/feeds/fr${feedPath}`] = { get: { ...item.get, summary: `${item.get.summary} (French)` } };
+}
+
+const adminPost = (summary, parameters = [], requestBody) => ({
+  post: operation('Admin', summary, parameters, ok('Result', ref('AdminResult')), requestBody ? { requestBody } : {})
+});
+const adminGet = (summary, parameters = []) => get('Admin', summary, parameters, ok('Result', ref('AdminResult')));
+const webhookId = path('id', { type: 'string', example: '665f1c2e9b1e8a0012345678' }, 'Id');
+const subscriptionBody = required => ({
+  required: true,
+  content: json({
+    type: 'object',
+    ...(required && { required: ['url', 'events'] }),
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      bills: { type: 'array', items: { type: 'string' }, description: 'Bill URLs (or session/number paths) to limit bill events to' },
+      members: { type: 'array', items: { type: 'string' }, description: 'Politician slugs or URLs to limit member events to' },
+      description: { type: 'string' },
+      active: { type: 'boolean' }
+    }
+  })
+});
+
+Object.assign(paths, {
+  '/api/admin/refresh/members': adminPost('Run the member sync now'),
+  '/api/admin/refresh/bills': adminPost('Run the bill sync now'),
+  '/api/admin/refresh/votes': adminPost('Run the vote sync now'),
+  '/api/admin/backfill': {
+    ...adminPost('Start a historical backfill', [], {
+      content: json({
+        type: 'object',
+        properties: {
+          sessions: { type: 'array', items: { type: 'string' } },
+          entities: { type: 'array', items: { type: 'string', enum: ['bills', 'votes', 'ballots'] } }
+        }
+      })
+    }),
+    ...adminGet('Backfill progress', [query('id', { type: 'string' }, 'Backfill run id (defaults to the latest)')])
+  },
+  '/api/admin/backfill/pause': adminPost('Pause the running backfill'),
+  '/api/admin/backfill/resume': adminPost('Resume a paused or failed backfill'),
+  '/api/admin/jobs': adminGet('Scheduled jobs with their latest outcome'),
+  '/api/admin/jobs/runs': adminGet('Recent job runs', [
+    query('job', { type: 'string', example: 'votes' }),
+    query('status', { type: 'string', enum: ['running', 'succeeded', 'failed', 'interrupted'] }),
+    limit()
+  ]),
+  '/api/admin/jobs/{job}/last-failure': adminGet('A job\'s most recent failure', [path('job', { type: 'string', example: 'votes' }, 'Job name')]),
+  '/api/admin/refresh-data': adminPost('Wipe stored data and reload recent votes and bills (admin role)', [
+    query('confirm', { type: 'string', enum: ['wipe-all-data'] }, 'Must be wipe-all-data (or send it as body.confirm)')
+  ]),
+  '/api/admin/webhooks': {
+    ...adminGet('List webhook subscriptions'),
+    ...adminPost('Register a webhook subscription', [], subscriptionBody(true))
+  },
+  '/api/admin/webhooks/events': adminGet('Events a subscription can filter on'),
+  '/api/admin/webhooks/{id}': {
+    ...adminGet('A webhook subscription', [webhookId]),
+    patch: operation('Admin', 'Update a webhook subscription', [webhookId], ok('Result', ref('AdminResult')), {
+      requestBody: subscriptionBody(false)
+    }),
+    delete: operation('Admin', 'Delete a webhook subscription and its delivery log', [webhookId], ok('Result', ref('AdminResult')))
+  },
+  '/api/admin/webhooks/{id}/test': adminPost('Send a test ping', [webhookId]),
+  '/api/admin/webhooks/{id}/deliveries': adminGet('A subscription\'s delivery log, newest first', [
+    webhookId,
+    query('status', { type: 'string', enum: ['pending', 'succeeded', 'failed'] }),
+    ...cursorPaging()
+  ]),
+  '/api/admin/webhooks/deliveries/{id}/redeliver': adminPost('Send a delivery again', [webhookId])
+});
+
+/*
+ * Document
+ */
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Parliament Watch API',
+    version: require('../../package.json').version,
+    description: 'Bills, votes and members of the Parliament of Canada, synced from OpenParliament. '
+      + 'Query and path parameters are checked against this document; invalid input is rejected with a 400 and { "error": "..." }. '
+      + 'Lists share one envelope, { objects, pagination }, whose next_url and previous_url point back at this API. '
+      + 'Lists of stored data also return next_cursor and previous_cursor: pass one as ?cursor= to page without items shifting '
+      + 'when new ones arrive. '
+      + 'Responses are in English or French, chosen by ?lang= or Accept-Language: bilingual fields such as bill names '
+      + 'and vote descriptions become one string (falling back to the other language), and stage labels and error messages are translated.'
+  },
+  tags: ['Bills', 'Votes', 'Members', 'Sessions', 'Changes', 'GraphQL', 'Feeds', 'Status', 'Admin'].map(name => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'Admin API key (ADMIN_API_KEYS)' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    schemas: {
+      Error: { type: 'object', properties: { error: { type: 'string' } }, required: ['error'] },
+      AdminResult: {
+        type: 'object',
+        properties: { success: { type: 'boolean' }, error: { type: 'string' }, message: { type: 'string' } },
+        required: ['success']
+      },
+      Pagination: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer' },
+          offset: { type: 'integer', nullable: true, description: 'Null for a page read by cursor' },
+          count: { type: 'integer', nullable: true, description: 'Total matching items (null when unknown)' },
+          next_url: { type: 'string', nullable: true },
+          previous_url: { type: 'string', nullable: true },
+          next_cursor: { type: 'string', nullable: true },
+          previous_cursor: { type: 'string', nullable: true }
+        }
+      },
+      LocalizedText: { type: 'object', properties: { en: { type: 'string' }, fr: { type: 'string' } } },
+      Bill: {
+        type: 'object',
+        properties: {
+          number: { type: 'string' },
+          session: { type: 'string' },
+          url: { type: 'string' },
+          name: ref('LocalizedText'),
+          introduced: { type: 'string', format: 'date-time' },
+          status: { type: 'string' },
+          sponsor: { type: 'string', description: 'Politician URL' },
+          law: { type: 'boolean' },
+          stage: { type: 'string' },
+          stage_label: { type: 'string' },
+          progress: { type: 'number' },
+          active: { type: 'boolean' },
+          last_event: { type: 'string' },
+          last_event_date: { type: 'string', format: 'date-time' }
+        }
+      },
+      Change: {
+        type: 'object',
+        properties: {
+          entity_type: { type: 'string', enum: Object.keys(TRACKED_FIELDS) },
+          entity_url: { type: 'string' },
+          session: { type: 'string' },
+          change_type: { type: 'string', enum: ['created', 'updated'] },
+          source: { type: 'string', enum: ['sync', 'backfill', 'request'], description: 'Scheduled sync, historical backfill, or fetched on request' },
+          changes: {
+            type: 'array',
+            items: { type: 'object', properties: { field: { type: 'string' }, from: {}, to: {} } }
+          },
+          recorded_at: { type: 'string', format: 'date-time' }
+        }
+      },
+      Session: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', example: '44-1' },
+          parliament: { type: 'integer' },
+          number: { type: 'integer' },
+          start: { type: 'string', format: 'date-time' },
+          end: { type: 'string', format: 'date-time', nullable: true }
+        }
+      }
+    },
+    responses: {
+      BadRequest: { description: 'Invalid parameters', content: json(ref('Error')) },
+      NotFound: { description: 'Not found', content: json(ref('Error')) },
+      AdminError: { description: 'Invalid request, missing key or insufficient role', content: json(ref('AdminResult')) }
+    }
+  }
+};
+
+module.exports = {
+  openApiDocument
+};
@@ -0,0 +1,263 @@
+const mongoose = require('mongoose');
+const { messageError } = require('./i18n');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Read limit/offset/cursor from query parameters, clamping limit to a maximum
+ * @param {Object} query - Request query parameters
+ * @param {Object} [options]
+ * @param {number} [options.defaultLimit] - Limit when none is given
+ * @param {number} [options.maxLimit] - Largest allowed limit
+ * @returns {{limit: number, offset: number, cursor: string|undefined}}
+ */
+function parsePaging(query = {}, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  const limit = Math.min(parseInt(query.limit) || defaultLimit, maxLimit);
+  const offset = Math.max(parseInt(query.offset) || 0, 0);
+  return { limit, offset, cursor: query.cursor || undefined };
+}
+
+/*
+ * Cursors mark a page boundary by the sort values of the item next to it, so
+ * a page read by cursor doesn't shift when new items are inserted before it.
+ * They are base64url JSON; clients should treat them as opaque.
+ */
+
+function sortSignature(sort) {
+  return Object.entries(sort).map(([field, order]) => (order < 0 ? `-${field}` : field)).join(',');
+}
+
+function toCursorValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return { $oid: value.toHexString() };
+  return value;
+}
+
+function fromCursorValue(value) {
+  if (value && typeof value === 'object') {
+    if (value.$date) return new Date(value.$date);
+    if (value.$oid) return new mongoose.Types.ObjectId(value.$oid);
+  }
+  return value;
+}
+
+function encodeCursor(doc, sort, direction) {
+  const values = Object.keys(sort).map(field => toCursorValue(doc[field]));
+  return Buffer.from(JSON.stringify({ s: sortSignature(sort), d: direction, v: values })).toString('base64url');
+}
+
+/**
+ * Decode a cursor, checking it was issued for the same sort order
+ * @param {string} cursor - Cursor from next_cursor/previous_cursor
+ * @param {Object} sort - Mongo sort specification
+ * @returns {{direction: string, values: Array}}
+ * @throws {Error} - 400 for a malformed or mismatched cursor
+ */
+function decodeCursor(cursor, sort) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw messageError('invalid_cursor', {}, 400);
+  }
+
+  const valid = position
+    && position.s === sortSignature(sort)
+    && ['next', 'previous'].includes(position.d)
+    && Array.isArray(position.v)
+    && position.v.length === Object.keys(sort).length;
+  if (!valid) {
+    throw messageError('cursor_sort_mismatch', {}, 400);
+  }
+
+  return { direction: position.d, values: position.v.map(fromCursorValue) };
+}
+
+/**
+ * Filter matching the items strictly beyond a cursor position in a sort order.
+ * Mongo sorts null and missing values before everything else.
+ * @param {Object} sort - Mongo sort specification (ending in a unique field)
+ * @param {Array} values - Sort values at the cursor
+ * @param {string} direction - next (after the cursor) or previous (before it)
+ * @returns {Object} - Mongo filter
+ */
+function keysetFilter(sort, values, direction) {
+  const fields = Object.entries(sort);
+
+  const clauses = fields.map(([field, order], index) => {
+    const value = values[index];
+    const ascending = (order > 0) === (direction === 'next');
+    let beyond;
+    if (ascending) {
+      beyond = value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+    } else if (value !== null) {
+      beyond = { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    } else {
+      return null; // Nothing sorts before null
+    }
+
+    const equal = fields.slice(0, index).map(([previousField], previousIndex) => ({ [previousField]: values[previousIndex] }));
+    return { $and: [...equal, beyond] };
+  }).filter(Boolean);
+
+  return clauses.length > 0 ? { $or: clauses } : { _id: null };
+}
+
+function reverseSort(sort) {
+  return Object.fromEntries(Object.entries(sort).map(([field, order]) => [field, -order]));
+}
+
+/**
+ * Read one page of a collection, by offset or (when given) by cursor.
+ * _id is appended to the sort so every position is unique.
+ * @param {Object} model - Mongoose model
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options
+ * @param {Object} options.sort - Mongo sort specification
+ * @param {Object|string} [options.projection] - Fields to return (must keep the sort fields)
+ * @param {number} options.limit - Page size
+ * @param {number} [options.offset] - Items to skip (ignored with a cursor)
+ * @param {string} [options.cursor] - Cursor from a previous page
+ * @returns {Promise<Object>} - { objects, total, offset, nextCursor, previousCursor }
+ */
+async function findPage(model, filter, { sort, projection, limit, offset = 0, cursor }) {
+  const fullSort = { ...sort, _id: sort._id || 1 };
+  const position = cursor ? decodeCursor(cursor, fullSort) : null;
+  const direction = position ? position.direction : 'next';
+
+  let query = model.find(
+    position ? { $and: [filter, keysetFilter(fullSort, position.values, direction)] } : filter,
+    projection
+  ).sort(direction === 'next' ? fullSort : reverseSort(fullSort));
+  if (!position) query = query.skip(offset);
+
+  // One extra item tells whether there is another page in the reading direction
+  const [docs, total] = await Promise.all([
+    query.limit(limit + 1).lean(),
+    model.countDocuments(filter)
+  ]);
+
+  const more = docs.length > limit;
+  const objects = docs.slice(0, limit);
+  if (direction === 'previous') objects.reverse();
+
+  const hasNext = direction === 'next' ? more : Boolean(position);
+  const hasPrevious = direction === 'next' ? Boolean(position) || offset > 0 : more;
+
+  return {
+    objects,
+    total,
+    offset: position ? null : offset,
+    nextCursor: hasNext && objects.length > 0 ? encodeCursor(objects[objects.length - 1], fullSort, 'next') : null,
+    previousCursor: hasPrevious && objects.length > 0 ? encodeCursor(objects[0], fullSort, 'previous') : null
+  };
+}
+
+/**
+ * Build a pagination block with links pointing back at the current endpoint.
+ * Pages read with findPage link by cursor; other lists link by offset.
+ * @param {Object} req - Express request
+ * @param {Object} page
+ * @param {number} page.limit - Page size
+ * @param {number|null} page.offset - Page offset (null for a page read by cursor)
+ * @param {number|null} page.total - Total matching items (null when unknown)
+ * @param {boolean} [page.hasMore] - Whether a next page exists, when total is unknown
+ * @param {string|null} [page.nextCursor] - Cursor for the next page
+ * @param {string|null} [page.previousCursor] - Cursor for the previous page
+ * @returns {Object} - Pagination block
+ */
+function buildPagination(req, { limit, offset = null, total = null, hasMore, nextCursor, previousCursor }) {
+  const pageUrl = (position) => {
+    const { cursor, offset: currentOffset, ...query } = req.query;
+    const params = new URLSearchParams({ ...query, limit, ...position });
+    return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+  };
+
+  let nextUrl = null;
+  let previousUrl = null;
+  if (nextCursor !== undefined || previousCursor !== undefined) {
+    if (nextCursor) nextUrl = pageUrl({ cursor: nextCursor });
+    if (previousCursor) previousUrl = pageUrl({ cursor: previousCursor });
+  } else {
+    if (hasMore !== undefined ? hasMore : offset + limit < total) nextUrl = pageUrl({ offset: offset + limit });
+    if (offset > 0) previousUrl = pageUrl({ offset: Math.max(offset - limit, 0) });
+  }
+
+  return {
+    limit,
+    offset,
+    count: total,
+    next_url: nextUrl,
+    previous_url: previousUrl,
+    next_cursor: nextCursor || null,
+    previous_cursor: previousCursor || null
+  };
+}
+
+/**
+ * Response body for a page read with findPage
+ * @param {Object} req - Express request
+ * @param {Object} page - Result of findPage
+ * @param {number} limit - Page size
+ * @returns {{objects: Array, pagination: Object}}
+ */
+function pageResponse(req, page, limit) {
+  return {
+    objects: page.objects,
+    pagination: buildPagination(req, { limit, ...page })
+  };
+}
+
+/**
+ * Response body for one page of an in-memory list (rankings, sessions, ...)
+ * @param {Object} req - Express request
+ * @param {Array} items - Every item
+ * @param {{limit: number, offset: number}} paging
+ * @returns {{objects: Array, pagination: Object}}
+ */
+function paginateArray(req, items, { limit, offset }) {
+  return {
+    objects: items.slice(offset, offset + limit),
+    pagination: buildPagination(req, { limit, offset, total: items.length })
+  };
+}
+
+/**
+ * Response body for a page proxied from OpenParliament. Its links are
+ * replaced with ours; upstream doesn't report totals, so the count is only
+ * known on the last page.
+ * @param {Object} req - Express request
+ * @param {Object} data - Upstream list response
+ * @param {{limit: number, offset: number}} paging
+ * @returns {{objects: Array, pagination: Object}}
+ */
+function upstreamPageResponse(req, data, { limit, offset }) {
+  const objects = data.objects || [];
+  const hasMore = Boolean(data.pagination && data.pagination.next_url);
+
+  return {
+    objects,
+    pagination: buildPagination(req, {
+      limit,
+      offset,
+      total: hasMore ? null : offset + objects.length,
+      hasMore
+    })
+  };
+}
+
+module.exports = {
+  parsePaging,
+  buildPagination,
+  findPage,
+  pageResponse,
+  paginateArray,
+  upstreamPageResponse,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
@@ -1,6 +1,7 @@
 const axios = require('axios');
-const mongoose = require('mongoose');
-const { URLSearchParams } = require('url');
+const { createLimiter } = require('./rateLimiter');
+const { UPSTREAM_MODE, saveFixture, replayFixture } = require('./fixtures');
+const { messageError } = require('./i18n');
 
 const API_BASE_URL = 'https://api.openparliament.ca';
 
@@ -11,6 +12,134 @@ const CACHE_TTL = {
   MEMBER_VOTES: 10 * 60 * 1000 // 10 minutes for member votes
 };
 
+const envNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Upstream client settings (overridable via environment)
+const UPSTREAM_CONFIG = {
+  timeout: envNumber('UPSTREAM_TIMEOUT_MS', 10000),
+  maxRetries: envNumber('UPSTREAM_MAX_RETRIES', 3),
+  retryBaseDelay: envNumber('UPSTREAM_RETRY_BASE_MS', 500),
+  maxRetryDelay: envNumber('UPSTREAM_MAX_RETRY_MS', 60 * 1000),
+  maxConcurrency: envNumber('UPSTREAM_MAX_CONCURRENCY', 4),
+  requestsPerSecond: envNumber('UPSTREAM_RPS', 5)
+};
+
+const UPSTREAM_HEADERS = {
+  'Accept': 'application/json',
+  'User-Agent': 'Parliament-Watch/1.0 (jrfchambers@gmail.com)',
+  'API-Version': 'v1',
+};
+
+// Shared by every caller so the whole process stays within one budget
+const limiter = createLimiter({
+  maxConcurrency: UPSTREAM_CONFIG.maxConcurrency,
+  requestsPerSecond: UPSTREAM_CONFIG.requestsPerSecond
+});
+
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request is worth retrying (429, 5xx or a network error)
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.response) {
+    const { status } = error.response;
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string} header - Retry-After header value
+ * @returns {number|null} - Delay in milliseconds or null if absent/invalid
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(header);
+  return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Delay before the next attempt: Retry-After when given, otherwise
+ * exponential backoff with jitter
+ * @param {Error} error - Axios error from the failed attempt
+ * @param {number} attempt - Zero-based attempt number
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.response && parseRetryAfter(error.response.headers['retry-after']);
+  const backoff = UPSTREAM_CONFIG.retryBaseDelay * Math.pow(2, attempt);
+  const delay = retryAfter !== null && retryAfter !== undefined
+    ? retryAfter
+    : backoff + Math.random() * UPSTREAM_CONFIG.retryBaseDelay;
+
+  return Math.min(delay, UPSTREAM_CONFIG.maxRetryDelay);
+}
+
+/**
+ * Perform a GET against the OpenParliament API through the shared limiter,
+ * retrying 429/5xx/network failures with backoff. Honors UPSTREAM_MODE
+ * (record responses to fixtures, or replay them offline).
+ * @param {string} url - Absolute URL
+ * @param {Object} options - Extra axios options (e.g. validateStatus)
+ * @returns {Promise<Object>} - Axios response
+ */
+async function requestUpstream(url, options = {}) {
+  // Offline mode: answer from recorded fixtures without touching the network
+  if (UPSTREAM_MODE === 'replay') {
+    return replayFixture(url, options);
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await limiter.schedule(() => axios.get(url, {
+        headers: UPSTREAM_HEADERS,
+        timeout: UPSTREAM_CONFIG.timeout,
+        ...options
+      }));
+
+      if (UPSTREAM_MODE === 'record') {
+        await saveFixture(url, response);
+      }
+
+      return response;
+    } catch (error) {
+      if (attempt >= UPSTREAM_CONFIG.maxRetries || !isRetryable(error)) {
+        // Record final error responses too (e.g. 404s) so replay matches live behaviour
+        if (UPSTREAM_MODE === 'record' && error.response) {
+          await saveFixture(url, error.response);
+        }
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt);
+      const status = error.response ? error.response.status : error.code;
+      console.warn(`Upstream request to ${url} failed (${status}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${UPSTREAM_CONFIG.maxRetries})`);
+
+      // Rate limited: hold back every queued request, not just this one
+      if (error.response && error.response.status === 429) {
+        limiter.pauseUntil(Date.now() + delay);
+      }
+
+      await sleep(delay);
+    }
+  }
+}
+
 /**
  * Makes requests to the OpenParliament API with proper headers
  * @param {string} endpoint - API endpoint to request
@@ -37,15 +166,7 @@ async function fetchFromAPI(endpoint, params = {}) {
   console.log(`Fetching from OpenParliament API: ${url.toString()}`);
 
   try {
-    // Add proper headers including User-Agent with contact email
-    const headers = {
-      'Accept': 'application/json',
-      'User-Agent': 'Parliament-Watch/1.0 (jrfchambers@gmail.com)',
-      'API-Version': 'v1',
-    };
-    
-    // Make the API request
-    const response = await axios.get(url.toString(), { headers });
+    const response = await requestUpstream(url.toString());
     console.log(`Successfully fetched data from ${endpoint}`);
     return response.data;
   } catch (error) {
@@ -56,16 +177,42 @@ async function fetchFromAPI(endpoint, params = {}) {
       console.error(`API response data:`, error.response.data);
     }
     
-    throw new Error(`API request failed: ${error.message}`);
+    const statusCode = error.response ? (error.response.status === 404 ? 404 : 502) : 504;
+    const apiError = messageError('upstream_failed', { reason: error.message }, statusCode);
+    if (error.response) apiError.upstreamStatus = error.response.status;
+    throw apiError;
   }
 }
 
 /**
- * Get cache expiration time based on endpoint type
+ * Fetch every page of a list endpoint
+ * @param {string} endpoint - API list endpoint
+ * @param {Object} params - Query parameters
+ * @param {number} pageSize - Items per request
+ * @returns {Promise<Array>} - All objects across pages
+ */
+async function fetchAllPages(endpoint, params = {}, pageSize = 500) {
+  const objects = [];
+  let offset = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const page = await fetchFromAPI(endpoint, { ...params, limit: pageSize, offset });
+    objects.push(...page.objects);
+
+    offset += pageSize;
+    hasMore = page.objects.length === pageSize && Boolean(page.pagination && page.pagination.next_url);
+  }
+
+  return objects;
+}
+
+/**
+ * Get cache TTL based on endpoint type
  * @param {string} endpoint - API endpoint
- * @returns {Date} - Expiration date
+ * @returns {number} - TTL in milliseconds
  */
-function getCacheExpiration(endpoint) {
+function getCacheTtl(endpoint) {
   let ttl = CACHE_TTL.LIST; // Default to list TTL
   
   if (endpoint.includes('/votes/') && !endpoint.endsWith('/votes/')) {
@@ -78,11 +225,27 @@ function getCacheExpiration(endpoint) {
     ttl = CACHE_TTL.DETAIL;
   }
   
-  return new Date(Date.now() + ttl);
+  return ttl;
+}
+
+/**
+ * Get cache expiration time based on endpoint type
+ * @param {string} endpoint - API endpoint
+ * @returns {Date} - Expiration date
+ */
+function getCacheExpiration(endpoint) {
+  return new Date(Date.now() + getCacheTtl(endpoint));
 }
 
 module.exports = {
   fetchFromAPI,
+  fetchAllPages,
+  requestUpstream,
+  parseRetryAfter,
+  getRetryDelay,
+  API_BASE_URL,
+  UPSTREAM_CONFIG,
   getCacheExpiration,
+  getCacheTtl,
   CACHE_TTL
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Create a limiter that caps concurrent tasks and spaces task starts to a
+ * requests-per-second budget
+ * @param {Object} options
+ * @param {number} options.maxConcurrency - Maximum tasks running at once
+ * @param {number} options.requestsPerSecond - Maximum task starts per second (0 = unlimited)
+ * @returns {Object} - Limiter with schedule(), pauseUntil() and stats()
+ */
+function createLimiter({ maxConcurrency = 4, requestsPerSecond = 0 } = {}) {
+  const queue = [];
+  const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  let active = 0;
+  let nextStart = 0;
+  let timer = null;
+
+  function drain() {
+    if (timer) return;
+
+    while (queue.length > 0 && active < maxConcurrency) {
+      const wait = nextStart - Date.now();
+      if (wait > 0) {
+        timer = setTimeout(() => {
+          timer = null;
+          drain();
+        }, wait);
+        return;
+      }
+
+      nextStart = Date.now() + interval;
+      const { task, resolve, reject } = queue.shift();
+      active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+  }
+
+  /**
+   * Queue a task; resolves with the task's result once it has run
+   * @param {Function} task - Function returning a promise
+   * @returns {Promise<*>}
+   */
+  function schedule(task) {
+    return new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      drain();
+    });
+  }
+
+  /**
+   * Hold back every queued task until the given time (e.g. after a 429)
+   * @param {number} timestamp - Epoch milliseconds
+   */
+  function pauseUntil(timestamp) {
+    if (timestamp <= nextStart) return;
+    nextStart = timestamp;
+
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    drain();
+  }
+
+  function stats() {
+    return { active, queued: queue.length, maxConcurrency, requestsPerSecond };
+  }
+
+  return { schedule, pauseUntil, stats };
+}
+
+module.exports = {
+  createLimiter
+};
@@ -0,0 +1,75 @@
+const { CacheService, createStore } = require('./cache');
+const { fetchFromAPI, getCacheTtl } = require('./proxy');
+
+// Upstream responses default to the CacheEntry collection so every instance shares
+// them; CACHE_STORE=memory keeps them in the size-bounded in-process LRU instead
+const RESPONSE_NAMESPACE = 'upstream';
+const responseCache = new CacheService({
+  store: createStore(RESPONSE_NAMESPACE, 'mongo'),
+  staleTtl: parseInt(process.env.RESPONSE_CACHE_STALE_TTL) || 60 * 60 // Serve stale for up to an hour
+});
+
+/**
+ * Normalize query parameters so equivalent requests share a cache entry
+ * (drops empty values, stringifies values and sorts keys)
+ * @param {Object} params - Query parameters
+ * @returns {Object} - Normalized parameters
+ */
+function normalizeParams(params = {}) {
+  const normalized = {};
+
+  Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .forEach(key => {
+      normalized[key] = String(params[key]);
+    });
+
+  return normalized;
+}
+
+/**
+ * Build the cache key for an endpoint and its parameters
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @returns {string} - Cache key
+ */
+function buildCacheKey(endpoint, params = {}) {
+  const query = new URLSearchParams(normalizeParams(params)).toString();
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+/**
+ * Fetch from the OpenParliament API through the response cache.
+ * Expired responses are served stale while a refresh runs in the background.
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} - Response data
+ */
+async function fetchCached(endpoint, params = {}) {
+  return responseCache.wrap(
+    buildCacheKey(endpoint, params),
+    () => fetchFromAPI(endpoint, params),
+    {
+      ttl: getCacheTtl(endpoint) / 1000,
+      meta: { endpoint, params: normalizeParams(params) }
+    }
+  );
+}
+
+/**
+ * Remove cached responses, optionally only those for one endpoint
+ * @param {string} [endpoint] - API endpoint
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function invalidateCache(endpoint) {
+  return responseCache.deleteWhere(endpoint ? { endpoint } : {});
+}
+
+module.exports = {
+  normalizeParams,
+  buildCacheKey,
+  fetchCached,
+  invalidateCache,
+  responseCache
+};
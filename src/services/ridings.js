@@ -0,0 +1,284 @@
+const Riding = require('../models/Riding');
+const Member = require('../models/Member');
+const { fetchCached } = require('./responseCache');
+const { messageError } = require('./i18n');
+
+// Valid first letters and letter positions of a Canadian postal code (no D, F, I, O, Q, U; no W or Z first)
+const FSA_PATTERN = /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z]$/;
+
+// Minimum bigram similarity for a fuzzy riding name match
+const MIN_SIMILARITY = 0.6;
+
+/**
+ * Normalize a riding name for matching: strips accents, treats em/en
+ * dashes, hyphens and punctuation as spaces, and spells out "St." and "&"
+ * (so "Eglinton—Lawrence", "eglinton-lawrence" and "Eglinton Lawrence" match)
+ * @param {string} name - Riding name
+ * @returns {string} - Normalized name
+ */
+function normalizeRidingName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[\u2010-\u2015\-/.,'\u2019()]/g, ' ')
+    .replace(/\b(st|ste)\b/g, match => (match === 'st' ? 'saint' : 'sainte'))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Extract the forward sortation area from a postal code
+ * @param {string} postalCode - Full postal code or FSA (any case, spaces allowed)
+ * @returns {string} - FSA, e.g. "K1A"
+ * @throws {Error} - 400 when the value is not a valid postal code
+ */
+function normalizePostalCode(postalCode) {
+  const compact = String(postalCode || '').toUpperCase().replace(/\s+/g, '');
+  const fsa = compact.slice(0, 3);
+
+  if (!FSA_PATTERN.test(fsa) || (compact.length !== 3 && !/^[A-Z]\d[A-Z]\d[A-Z]\d$/.test(compact))) {
+    throw messageError('invalid_postal_code', { postal_code: postalCode }, 400);
+  }
+  return fsa;
+}
+
+function searchNamesFor(name, aliases = []) {
+  return [...new Set([name.en, name.fr, ...aliases].filter(Boolean).map(normalizeRidingName))];
+}
+
+/**
+ * Import riding records, merging aliases and FSAs into existing ridings
+ *
+ * Each record: { riding_id, name: { en, fr } | name (string), name_fr,
+ * province, aliases: [..], fsas: [..] }. Records with only riding_id and
+ * fsas (e.g. rows from a postal code to riding correspondence file) just
+ * add FSAs to ridings already known. Records without a usable id or name
+ * are counted as skipped, and malformed FSAs as invalid_fsas (the rest of
+ * their record is still imported), rather than failing the import.
+ * @param {Array<Object>} records - Riding records
+ * @returns {Promise<Object>} - { imported, skipped, invalid_fsas }
+ */
+async function importRidings(records) {
+  let imported = 0;
+  let skipped = 0;
+  let invalidFsas = 0;
+
+  for (const record of records) {
+    const ridingId = parseInt(record.riding_id);
+    if (!ridingId) {
+      skipped++;
+      continue;
+    }
+
+    const existing = await Riding.findOne({ riding_id: ridingId }).lean();
+    const name = typeof record.name === 'string'
+      ? { en: record.name, fr: record.name_fr || (existing && existing.name.fr) }
+      : record.name || (existing && existing.name);
+
+    if (!name || !name.en) {
+      skipped++;
+      continue;
+    }
+
+    const recordFsas = [];
+    for (const fsa of record.fsas || []) {
+      try {
+        recordFsas.push(normalizePostalCode(fsa));
+      } catch (error) {
+        console.warn(`Skipping invalid FSA "${fsa}" for riding ${ridingId}`);
+        invalidFsas++;
+      }
+    }
+
+    const aliases = [...new Set([...(existing ? existing.aliases : []), ...(record.aliases || [])])];
+    const fsas = [...new Set([...(existing ? existing.fsas : []), ...recordFsas])];
+
+    await Riding.updateOne(
+      { riding_id: ridingId },
+      {
+        riding_id: ridingId,
+        name,
+        province: record.province || (existing && existing.province),
+        aliases,
+        search_names: searchNamesFor(name, aliases),
+        fsas,
+        last_updated: new Date()
+      },
+      { upsert: true }
+    );
+    imported++;
+  }
+
+  return { imported, skipped, invalid_fsas: invalidFsas };
+}
+
+/**
+ * Create or rename ridings from current members' riding data, so name
+ * lookups work before any dataset is imported
+ * @param {Array<Object>} memberItems - Items from the /politicians/ list
+ * @returns {Promise<number>} - Number of ridings written
+ */
+async function syncRidingsFromMembers(memberItems) {
+  const ridings = memberItems
+    .map(memberItem => memberItem.current_riding)
+    .filter(riding => riding && riding.id && riding.name);
+
+  const records = ridings.map(riding => ({
+    riding_id: riding.id,
+    name: typeof riding.name === 'string' ? { en: riding.name } : riding.name,
+    province: riding.province
+  }));
+
+  const { imported } = await importRidings(records);
+  return imported;
+}
+
+// Similarity of two strings by shared character bigrams (Dice coefficient)
+function similarity(a, b) {
+  const bigrams = value => {
+    const result = new Map();
+    for (let i = 0; i < value.length - 1; i++) {
+      const bigram = value.slice(i, i + 2);
+      result.set(bigram, (result.get(bigram) || 0) + 1);
+    }
+    return result;
+  };
+
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+
+  const first = bigrams(a);
+  const second = bigrams(b);
+  let shared = 0;
+  for (const [bigram, count] of first) {
+    shared += Math.min(count, second.get(bigram) || 0);
+  }
+  return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+/**
+ * Find ridings by name: exact normalized match on a name or alias, then
+ * ridings containing every word of the query, then close spellings
+ * @param {string} query - Riding name as typed
+ * @returns {Promise<Array<Object>>} - Matching ridings, best first, each with a score
+ */
+async function findRidingsByName(query) {
+  const normalized = normalizeRidingName(query);
+  if (!normalized) {
+    throw messageError('riding_name_required', {}, 400);
+  }
+
+  const exact = await Riding.find({ search_names: normalized }).lean();
+  if (exact.length > 0) {
+    return exact.map(riding => ({ ...riding, score: 1 }));
+  }
+
+  const ridings = await Riding.find({}, { riding_id: 1, name: 1, province: 1, search_names: 1, fsas: 1 }).lean();
+  const words = normalized.split(' ');
+
+  const containing = ridings.filter(riding => riding.search_names.some(name => {
+    const nameWords = name.split(' ');
+    return words.every(word => nameWords.some(nameWord => nameWord.startsWith(word)));
+  }));
+  if (containing.length > 0) {
+    return containing
+      .map(riding => ({ ...riding, score: Math.max(...riding.search_names.map(name => similarity(normalized, name))) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  return ridings
+    .map(riding => ({ ...riding, score: Math.max(...riding.search_names.map(name => similarity(normalized, name))) }))
+    .filter(riding => riding.score >= MIN_SIMILARITY)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 5);
+}
+
+/**
+ * Find ridings covering a postal code
+ * @param {string} postalCode - Postal code or FSA
+ * @returns {Promise<Array<Object>>} - Ridings (several when the FSA straddles ridings)
+ */
+async function findRidingsByPostalCode(postalCode) {
+  const fsa = normalizePostalCode(postalCode);
+  const ridings = await Riding.find({ fsas: fsa }).sort({ riding_id: 1 }).lean();
+
+  // Member syncs only know riding names; FSAs come from an imported dataset (see README)
+  if (ridings.length === 0 && !await Riding.exists({ 'fsas.0': { $exists: true } })) {
+    throw messageError('postal_lookup_unavailable', {}, 503);
+  }
+  return ridings;
+}
+
+/**
+ * Find the current member for a riding, from the Member collection or
+ * else the cached upstream list of current politicians
+ * @param {Object} riding - Riding document
+ * @returns {Promise<Object|null>} - Member detail (OpenParliament format)
+ */
+async function findCurrentMember(riding) {
+  // Stored details carry the riding on the open membership; list items carry current_riding
+  const member = await Member.findOne({
+    $or: [
+      { 'data.current_riding.id': riding.riding_id },
+      { 'data.memberships': { $elemMatch: { end_date: null, 'riding.id': riding.riding_id } } }
+    ]
+  }).lean();
+  if (member) return member.data;
+
+  const politicians = await fetchCached('/politicians/', { limit: 500 });
+  const memberItem = (politicians.objects || []).find(item => item.current_riding && item.current_riding.id === riding.riding_id);
+
+  return memberItem ? fetchCached(memberItem.url) : null;
+}
+
+function describeRiding(riding) {
+  return { riding_id: riding.riding_id, name: riding.name, province: riding.province };
+}
+
+/**
+ * Resolve a postal code or riding name to a riding and its current member
+ * @param {Object} query
+ * @param {string} [query.postalCode] - Postal code or FSA
+ * @param {string} [query.riding] - Riding name (fuzzy)
+ * @returns {Promise<Object>} - { match_type, riding, member, alternatives }
+ * @throws {Error} - 400 for a missing or invalid query, 404 when nothing matches,
+ * 503 for a postal code when no riding dataset has been imported
+ */
+async function lookupMember({ postalCode, riding }) {
+  if (!postalCode && !riding) {
+    throw messageError('lookup_query_required', {}, 400);
+  }
+
+  const matches = postalCode
+    ? await findRidingsByPostalCode(postalCode)
+    : await findRidingsByName(riding);
+
+  if (matches.length === 0) {
+    throw postalCode
+      ? messageError('no_riding_for_postal_code', { postal_code: postalCode }, 404)
+      : messageError('no_riding_matching', { riding }, 404);
+  }
+
+  const [best, ...others] = matches;
+
+  return {
+    match_type: postalCode ? 'postal_code' : 'riding',
+    // A postal code area split between ridings can't be resolved without the full address
+    ambiguous: Boolean(postalCode) && others.length > 0,
+    riding: describeRiding(best),
+    member: await findCurrentMember(best),
+    alternatives: others.map(describeRiding)
+  };
+}
+
+module.exports = {
+  normalizeRidingName,
+  normalizePostalCode,
+  importRidings,
+  syncRidingsFromMembers,
+  findRidingsByName,
+  findRidingsByPostalCode,
+  lookupMember
+};
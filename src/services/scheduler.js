@@ -1,55 +1,138 @@
 const cron = require('node-cron');
-const { fetchFromAPI, getCacheExpiration } = require('./proxy');
+const { fetchFromAPI } = require('./proxy');
+const {
+  saveVote,
+  saveBill,
+  updateBillTimeline,
+  saveMember,
+  updateVoteBallots,
+  daysFromNow,
+  hashObject,
+  VOTE_HASH_FIELDS,
+  MEMBER_HASH_FIELDS
+} = require('./entityStore');
+const { resumeInterruptedBackfill } = require('./backfill');
+const { runJob, markInterruptedRuns, getNextRun } = require('./jobRuns');
+const { registerSession } = require('./sessions');
+const { syncRidingsFromMembers } = require('./ridings');
+const { dispatchChanges, processDueDeliveries } = require('./webhooks');
 const Bill = require('../models/Bill');
 const Vote = require('../models/Vote');
 const Member = require('../models/Member');
+const SyncState = require('../models/SyncState');
+
+// Scheduled jobs: cron expression, label used in logs and the task itself
+const JOBS = {
+  votes: {
+    schedule: '0 3 * * *', // Daily at 3 AM
+    label: 'recent votes',
+    task: () => updateRecentVotes()
+  },
+  bills: {
+    schedule: '0 4 * * *', // Daily at 4 AM
+    label: 'recent bills',
+    task: () => updateRecentBills()
+  },
+  members: {
+    schedule: '0 2 * * 0', // Weekly on Sunday at 2 AM
+    label: 'member data',
+    task: () => updateMemberData()
+  }
+};
+
+/**
+ * Run a scheduled job by name, recording the run in the job history
+ * @param {string} name - Job name (votes, bills or members)
+ * @param {string} trigger - cron, manual or startup
+ * @returns {Promise<Object>} - The job's counts
+ */
+async function runScheduledJob(name, trigger) {
+  const job = JOBS[name];
+  if (!job) {
+    const error = new Error(`Unknown job: ${name}`);
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  console.log(`Running ${trigger} update of ${job.label}`);
+  const counts = await runJob(name, trigger, job.task);
+  console.log(`Update of ${job.label} completed`);
+  
+  // Push what this sync changed to webhook subscribers
+  try {
+    await dispatchChanges();
+  } catch (error) {
+    console.error('Error dispatching webhooks:', error);
+  }
+  
+  return counts;
+}
+
+/**
+ * Describe each scheduled job with its next run time
+ * @returns {Array<Object>}
+ */
+function getJobSchedules() {
+  return Object.entries(JOBS).map(([name, job]) => ({
+    job: name,
+    label: job.label,
+    schedule: job.schedule,
+    next_run_at: getNextRun(job.schedule)
+  }));
+}
 
 /**
  * Initialize scheduled tasks for updating database
  */
 
 function initScheduledJobs() {
+  // Runs left "running" by a process that has since gone away never finished
+  markInterruptedRuns().catch(error => {
+    console.error('Error marking interrupted job runs:', error);
+  });
+  
   // Initial data load when server starts
   console.log('Running initial data load...');
   setTimeout(async () => {
     try {
-      await updateRecentVotes();
-      await updateRecentBills();
+      await runScheduledJob('votes', 'startup');
+      await runScheduledJob('bills', 'startup');
       console.log('Initial data load completed');
     } catch (error) {
       console.error('Error during initial data load:', error);
     }
   }, 5000); // Wait 5 seconds after server start
-  // Update recent votes daily at 3 AM
-  cron.schedule('0 3 * * *', async () => {
-    console.log('Running scheduled update of recent votes');
-    try {
-      await updateRecentVotes();
-      console.log('Recent votes update completed');
-    } catch (error) {
-      console.error('Error updating recent votes:', error);
-    }
+  
+  // Resume a backfill interrupted by a crash or deploy
+  resumeInterruptedBackfill().catch(error => {
+    console.error('Error resuming interrupted backfill:', error);
   });
-
-  // Update recent bills daily at 4 AM
-  cron.schedule('0 4 * * *', async () => {
-    console.log('Running scheduled update of recent bills');
+  
+  Object.entries(JOBS).forEach(([name, job]) => {
+    cron.schedule(job.schedule, async () => {
+      try {
+        await runScheduledJob(name, 'cron');
+      } catch (error) {
+        console.error(`Error updating ${job.label}:`, error);
+      }
+    });
+  });
+  
+  // Retry webhook deliveries whose backoff has elapsed
+  cron.schedule('* * * * *', async () => {
     try {
-      await updateRecentBills();
-      console.log('Recent bills update completed');
+      await processDueDeliveries();
     } catch (error) {
-      console.error('Error updating recent bills:', error);
+      console.error('Error retrying webhook deliveries:', error);
     }
   });
   
-  // Update active members weekly on Sunday at 2 AM
-  cron.schedule('0 2 * * 0', async () => {
-    console.log('Running scheduled update of member data');
+  // Take over a backfill whose worker stopped renewing its lease
+  cron.schedule('* * * * *', async () => {
     try {
-      await updateMemberData();
-      console.log('Member data update completed');
+      await resumeInterruptedBackfill();
     } catch (error) {
-      console.error('Error updating member data:', error);
+      console.error('Error resuming interrupted backfill:', error);
     }
   });
   
@@ -58,103 +141,263 @@ function initScheduledJobs() {
 
 module.exports = {
   initScheduledJobs,
+  runScheduledJob,
+  getJobSchedules,
   updateRecentVotes,
   updateRecentBills,
   updateMemberData
 };
 
+// Page size for list requests during incremental sync
+const PAGE_SIZE = 50;
+
+// Upper bound on list pages per run, in case a high-water mark is lost
+const MAX_PAGES = 20;
+
+// Bills still before Parliament whose refresh time has passed, re-checked per run
+const STALE_BILL_LIMIT = 50;
+
+function emptyCounts() {
+  return { inserted: 0, updated: 0, unchanged: 0, failed: 0 };
+}
+
+/**
+ * Load the persisted sync state for a job
+ * @param {string} job - votes, bills or members
+ * @returns {Promise<Object>} - SyncState (plain object)
+ */
+async function getSyncState(job) {
+  const state = await SyncState.findOne({ job }).lean();
+  return state || { job, high_water: {} };
+}
+
 /**
- * Update recent votes (last 50)
+ * Persist high-water marks and counts after a run
+ * @param {string} job - votes, bills or members
+ * @param {Object} highWater - New high-water marks
+ * @param {Object} counts - Inserted/updated/unchanged/failed counts
+ * @returns {Promise<void>}
+ */
+async function saveSyncState(job, highWater, counts) {
+  await SyncState.findOneAndUpdate(
+    { job },
+    { high_water: highWater, last_counts: counts, last_run_at: new Date() },
+    { upsert: true }
+  );
+  console.log(`Sync ${job}: ${counts.inserted} inserted, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.failed} failed`);
+}
+
+/**
+ * Incrementally sync votes newer than the per-session high-water mark
+ * (the first run only takes the latest page; older history is the backfill's job)
+ * @returns {Promise<Object>} - Inserted/updated/unchanged/failed counts
  */
 async function updateRecentVotes() {
   try {
-    // Fetch the 50 most recent votes
-    const votesData = await fetchFromAPI('/votes/', { limit: 50 });
-    
-    // Process and save each vote
-    for (const voteItem of votesData.objects) {
-      // Get full vote data
-      const voteUrl = voteItem.url;
-      const voteData = await fetchFromAPI(voteUrl);
+    const state = await getSyncState('votes');
+    const highWater = { ...state.high_water };
+    const firstRun = Object.keys(highWater).length === 0;
+    const counts = emptyCounts();
+    
+    // Lowest vote number per session that failed, so the mark never skips past it
+    const failedFloor = {};
+    
+    // Membership -> party lookups are shared across every vote in this run
+    const partyCache = new Map();
+    
+    let offset = 0;
+    let reachedKnown = false;
+    
+    for (let page = 0; page < MAX_PAGES && !reachedKnown; page++) {
+      // Newest votes first
+      const votesData = await fetchFromAPI('/votes/', { limit: PAGE_SIZE, offset });
       
-      // Create expiration date (2 days from now)
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + 2);
+      // A session we haven't seen means a new session has opened (items are newest first)
+      for (const voteItem of [...votesData.objects].reverse()) {
+        await registerSession(voteItem.session, voteItem.date);
+      }
+      const stored = await Vote.find(
+        { url: { $in: votesData.objects.map(voteItem => voteItem.url) } },
+        { url: 1, source_hash: 1 }
+      ).lean();
+      const storedHashes = new Map(stored.map(vote => [vote.url, vote.source_hash]));
       
-      // Update or create vote in database
-      await Vote.findOneAndUpdate(
-        { number: voteItem.number, session: voteItem.session },
-        {
-          number: voteItem.number,
-          session: voteItem.session,
-          date: new Date(voteItem.date),
-          result: voteItem.result,
-          yea_total: voteItem.yea_total,
-          nay_total: voteItem.nay_total,
-          paired_total: voteItem.paired_total,
-          description: voteItem.description,
-          url: voteUrl,
-          bill_url: voteItem.bill_url,
-          bill_number: voteData.bill_number,
-          party_votes: voteData.party_votes,
-          members_votes: voteData.party_vote_details,
-          data: voteData,
-          expires: expiresAt,
-          last_updated: new Date()
-        },
-        { upsert: true, new: true }
-      );
+      for (const voteItem of votesData.objects) {
+        const mark = state.high_water[voteItem.session];
+        if (mark && voteItem.number <= mark.number) {
+          reachedKnown = true;
+        }
+        
+        // Only fetch details for new votes or votes whose list data changed
+        if (storedHashes.get(voteItem.url) === hashObject(voteItem, VOTE_HASH_FIELDS)) {
+          counts.unchanged++;
+          advanceVoteMark(highWater, voteItem);
+          continue;
+        }
+        
+        try {
+          const voteData = await fetchFromAPI(voteItem.url);
+          const vote = await saveVote(voteItem, voteData, daysFromNow(2));
+          
+          // Store individual ballots (also fills members_votes). Without them the vote
+          // isn't synced: drop its hash so the next run doesn't count it unchanged
+          try {
+            await updateVoteBallots(vote, partyCache);
+          } catch (ballotError) {
+            await Vote.updateOne({ _id: vote._id }, { $unset: { source_hash: 1 } });
+            throw ballotError;
+          }
+          
+          counts[storedHashes.has(voteItem.url) ? 'updated' : 'inserted']++;
+          advanceVoteMark(highWater, voteItem);
+        } catch (voteError) {
+          console.error(`Error syncing vote ${voteItem.url}:`, voteError.message);
+          counts.failed++;
+          failedFloor[voteItem.session] = Math.min(failedFloor[voteItem.session] || Infinity, voteItem.number);
+        }
+      }
+      
+      offset += PAGE_SIZE;
+      if (firstRun || votesData.objects.length < PAGE_SIZE || !votesData.pagination.next_url) {
+        break;
+      }
     }
+    
+    // Keep failed votes above the mark so the next run retries them
+    Object.entries(failedFloor).forEach(([session, number]) => {
+      if (highWater[session] && highWater[session].number >= number) {
+        highWater[session] = state.high_water[session] || { number: number - 1 };
+      }
+    });
+    
+    await saveSyncState('votes', highWater, counts);
+    return counts;
   } catch (error) {
     console.error('Error in updateRecentVotes:', error);
     throw error;
   }
 }
 
+// Raise a session's vote high-water mark to include this vote
+function advanceVoteMark(highWater, voteItem) {
+  const mark = highWater[voteItem.session];
+  if (!mark || voteItem.number > mark.number) {
+    highWater[voteItem.session] = { number: voteItem.number, date: voteItem.date };
+  }
+}
+
 /**
- * Update recent bills (last 50)
+ * Incrementally sync bills: newly introduced bills, bills with votes since
+ * the last-event mark, and stale bills still before Parliament
+ * @returns {Promise<Object>} - Inserted/updated/unchanged/failed counts
  */
 async function updateRecentBills() {
   try {
-    // Fetch the 50 most recent bills
-    const billsData = await fetchFromAPI('/bills/', { limit: 50 });
-    
-    // Process and save each bill
-    for (const billItem of billsData.objects) {
-      // Get full bill data
-      const billUrl = billItem.url;
-      const billData = await fetchFromAPI(billUrl);
+    const state = await getSyncState('bills');
+    const since = state.high_water.introduced ? new Date(state.high_water.introduced) : null;
+    const lastEvent = state.high_water.last_event ? new Date(state.high_water.last_event) : null;
+    const highWater = { ...state.high_water };
+    const counts = emptyCounts();
+    
+    // Candidate bill URLs -> list item (when we have one)
+    const candidates = new Map();
+    let currentSession = null;
+    let offset = 0;
+    
+    // 1. New bills: page the list (newest first) back to the introduced mark
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const billsData = await fetchFromAPI('/bills/', { limit: PAGE_SIZE, offset });
+      currentSession = currentSession || (billsData.objects[0] && billsData.objects[0].session);
       
-      // Create expiration date (3 days from now)
-      const expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + 3);
+      const stored = await Bill.find(
+        { url: { $in: billsData.objects.map(billItem => billItem.url) } },
+        { url: 1 }
+      ).lean();
+      const storedUrls = new Set(stored.map(bill => bill.url));
       
-      // Update or create bill in database
-      // Update or create bill in database
-      await Bill.findOneAndUpdate(
-        { number: billItem.number, session: billItem.session },
-        {
-          number: billItem.number,
-          session: billItem.session,
-          url: billUrl,
-          introduced: new Date(billItem.introduced),
-          name: billItem.name,
-          legisinfo_id: billItem.legisinfo_id,
-          // Fix the status field to handle objects
-          status: typeof billData.status === 'object' ? 
-            (billData.status.en || JSON.stringify(billData.status)) : 
-            billData.status,
-          sponsor: billData.sponsor_politician_url,
-          text_url: billData.text_url,
-          law_url: billData.law_url,
-          summary: billData.summary_html,
-          data: billData,
-          expires: expiresAt,
-          last_updated: new Date()
-        },
-        { upsert: true, new: true }
-      );
+      let reachedKnown = false;
+      const newBills = [];
+      for (const billItem of billsData.objects) {
+        if (since && new Date(billItem.introduced) < since) {
+          reachedKnown = true;
+          continue;
+        }
+        if (!storedUrls.has(billItem.url)) {
+          candidates.set(billItem.url, billItem);
+          newBills.push(billItem);
+        }
+      }
+      
+      // A bill can open a new session before its first division does (items are newest first)
+      for (const billItem of newBills.reverse()) {
+        await registerSession(billItem.session, billItem.introduced);
+      }
+      
+      offset += PAGE_SIZE;
+      if (!since || reachedKnown || billsData.objects.length < PAGE_SIZE || !billsData.pagination.next_url) {
+        break;
+      }
     }
+    
+    // 2. Changed bills: anything voted on since the last-event mark
+    const recentVotes = await Vote.find(
+      { bill_url: { $ne: null }, ...(lastEvent && { date: { $gt: lastEvent } }) },
+      { bill_url: 1, date: 1 }
+    ).sort({ date: -1 }).limit(lastEvent ? 0 : PAGE_SIZE).lean();
+    recentVotes.forEach(vote => {
+      if (!candidates.has(vote.bill_url)) candidates.set(vote.bill_url, null);
+      if (!highWater.last_event || vote.date > new Date(highWater.last_event)) {
+        highWater.last_event = vote.date;
+      }
+    });
+    
+    // 3. Bills that failed last time: the marks above have already moved past them
+    (state.high_water.retry || []).forEach(billUrl => {
+      if (!candidates.has(billUrl)) candidates.set(billUrl, null);
+    });
+    
+    // 4. Bills can progress without a recorded division, so re-check stale ones still before Parliament
+    if (currentSession) {
+      const staleBills = await Bill.find(
+        { session: currentSession, law: { $ne: true }, expires: { $lte: new Date() } },
+        { url: 1 }
+      ).sort({ expires: 1 }).limit(STALE_BILL_LIMIT).lean();
+      staleBills.forEach(bill => {
+        if (!candidates.has(bill.url)) candidates.set(bill.url, null);
+      });
+    }
+    
+    const failedUrls = [];
+    for (const [billUrl, billItem] of candidates) {
+      try {
+        const billData = await fetchFromAPI(billUrl);
+        const stored = await Bill.findOne({ url: billUrl }, { source_hash: 1 }).lean();
+        
+        if (stored && stored.source_hash === hashObject(billData)) {
+          // Nothing changed upstream: push back the refresh time and pick up any new divisions
+          await Bill.updateOne({ _id: stored._id }, { expires: daysFromNow(3) });
+          await updateBillTimeline(billUrl);
+          counts.unchanged++;
+        } else {
+          await saveBill({ ...billData, ...billItem, url: billUrl }, billData, daysFromNow(3));
+          counts[stored ? 'updated' : 'inserted']++;
+        }
+        
+        const introduced = (billItem || billData).introduced;
+        if (introduced && (!highWater.introduced || new Date(introduced) > new Date(highWater.introduced))) {
+          highWater.introduced = introduced;
+        }
+      } catch (billError) {
+        console.error(`Error syncing bill ${billUrl}:`, billError.message);
+        counts.failed++;
+        failedUrls.push(billUrl);
+      }
+    }
+    
+    // Retry failed bills next run whatever the marks say
+    highWater.retry = failedUrls;
+    await saveSyncState('bills', highWater, counts);
+    return counts;
   } catch (error) {
     console.error('Error in updateRecentBills:', error);
     throw error;
@@ -162,10 +405,15 @@ async function updateRecentBills() {
 }
 
 /**
- * Update member data
+ * Sync current members, fetching details only for new members or members
+ * whose list entry (party, riding, name, photo) changed
+ * @returns {Promise<Object>} - Inserted/updated/unchanged/failed counts
  */
 async function updateMemberData() {
   try {
+    const counts = emptyCounts();
+    const unchangedUrls = [];
+    
     // We'll need to page through all members
     let offset = 0;
     const limit = 50;
@@ -174,45 +422,54 @@ async function updateMemberData() {
     while (hasMore) {
       // Fetch a page of members
       const membersData = await fetchFromAPI('/politicians/', { limit, offset });
+      const stored = await Member.find(
+        { url: { $in: membersData.objects.map(memberItem => memberItem.url) } },
+        { url: 1, source_hash: 1 }
+      ).lean();
+      const storedHashes = new Map(stored.map(member => [member.url, member.source_hash]));
       
       // Process each member
       for (const memberItem of membersData.objects) {
-        // Get full member data
-        const memberUrl = memberItem.url;
-        const memberData = await fetchFromAPI(memberUrl);
+        if (storedHashes.get(memberItem.url) === hashObject(memberItem, MEMBER_HASH_FIELDS)) {
+          unchangedUrls.push(memberItem.url);
+          counts.unchanged++;
+          continue;
+        }
         
-        // Create expiration date (7 days from now)
-        const expiresAt = new Date();
-        expiresAt.setDate(expiresAt.getDate() + 7);
-        
-        // Update or create member in database
-        await Member.findOneAndUpdate(
-          { url: memberUrl },
-          {
-            name: memberData.name,
-            url: memberUrl,
-            party: memberData.party,
-            constituency: memberData.constituency,
-            province: memberData.province,
-            photo_url: memberData.image,
-            email: memberData.email,
-            phone: memberData.phone,
-            roles: memberData.roles,
-            offices: memberData.offices,
-            data: memberData,
-            expires: expiresAt,
-            last_updated: new Date()
-          },
-          { upsert: true, new: true }
-        );
+        try {
+          // Get full member data
+          const memberData = await fetchFromAPI(memberItem.url);
+          
+          // Update or create member in database
+          await saveMember(memberItem, memberData, daysFromNow(7));
+          counts[storedHashes.has(memberItem.url) ? 'updated' : 'inserted']++;
+        } catch (memberError) {
+          console.error(`Error syncing member ${memberItem.url}:`, memberError.message);
+          counts.failed++;
+        }
+      }
+      
+      // Keep riding names current for the find-my-MP lookup
+      try {
+        await syncRidingsFromMembers(membersData.objects);
+      } catch (ridingError) {
+        console.error('Error syncing ridings:', ridingError.message);
       }
       
       // Check if we have more members to fetch
       offset += limit;
       hasMore = membersData.objects.length === limit && membersData.pagination.next_url;
     }
+    
+    // Unchanged members are still current; push back when their detail is next due
+    if (unchangedUrls.length > 0) {
+      await Member.updateMany({ url: { $in: unchangedUrls } }, { expires: daysFromNow(7) });
+    }
+    
+    await saveSyncState('members', {}, counts);
+    return counts;
   } catch (error) {
     console.error('Error in updateMemberData:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,198 @@
+const Session = require('../models/Session');
+const Bill = require('../models/Bill');
+const Vote = require('../models/Vote');
+const { messageError } = require('./i18n');
+
+// Every session OpenParliament has data for, with opening and prorogation/dissolution dates
+const SESSION_SEED = [
+  { id: '35-1', start: '1994-01-17', end: '1996-02-02' },
+  { id: '35-2', start: '1996-02-27', end: '1997-04-27' },
+  { id: '36-1', start: '1997-09-22', end: '1999-09-18' },
+  { id: '36-2', start: '1999-10-12', end: '2000-10-22' },
+  { id: '37-1', start: '2001-01-29', end: '2002-09-16' },
+  { id: '37-2', start: '2002-09-30', end: '2003-11-12' },
+  { id: '37-3', start: '2004-02-02', end: '2004-05-23' },
+  { id: '38-1', start: '2004-10-04', end: '2005-11-29' },
+  { id: '39-1', start: '2006-04-03', end: '2007-09-14' },
+  { id: '39-2', start: '2007-10-16', end: '2008-09-07' },
+  { id: '40-1', start: '2008-11-18', end: '2008-12-04' },
+  { id: '40-2', start: '2009-01-26', end: '2009-12-30' },
+  { id: '40-3', start: '2010-03-03', end: '2011-03-26' },
+  { id: '41-1', start: '2011-06-02', end: '2013-09-13' },
+  { id: '41-2', start: '2013-10-16', end: '2015-08-02' },
+  { id: '42-1', start: '2015-12-03', end: '2019-09-11' },
+  { id: '43-1', start: '2019-12-05', end: '2020-08-18' },
+  { id: '43-2', start: '2020-09-23', end: '2021-08-15' },
+  { id: '44-1', start: '2021-11-22', end: '2025-01-06' },
+  { id: '45-1', start: '2025-05-26', end: null }
+];
+
+const SESSION_PATTERN = /^(\d+)-(\d+)$/;
+
+// Sessions change a few times a decade, so lookups are served from memory
+const CACHE_TTL = 5 * 60 * 1000;
+let cachedSessions = null;
+let cachedAt = 0;
+
+function parseSessionId(id) {
+  const match = SESSION_PATTERN.exec(id);
+  return match ? { parliament: parseInt(match[1]), number: parseInt(match[2]) } : null;
+}
+
+/**
+ * Insert any seed sessions missing from the database (existing documents are left alone)
+ * @returns {Promise<void>}
+ */
+async function seedSessions() {
+  await Session.bulkWrite(SESSION_SEED.map(seed => ({
+    updateOne: {
+      filter: { id: seed.id },
+      update: {
+        $setOnInsert: {
+          id: seed.id,
+          ...parseSessionId(seed.id),
+          start: new Date(seed.start),
+          end: seed.end ? new Date(seed.end) : null
+        }
+      },
+      upsert: true
+    }
+  })));
+  cachedSessions = null;
+}
+
+/**
+ * All known sessions, newest first
+ * @returns {Promise<Array<Object>>}
+ */
+async function getSessions() {
+  if (cachedSessions && Date.now() - cachedAt < CACHE_TTL) {
+    return cachedSessions;
+  }
+
+  const sessions = await Session.find({}, { _id: 0, __v: 0, createdAt: 0, updatedAt: 0 })
+    .sort({ parliament: -1, number: -1 })
+    .lean();
+
+  // Before the first seed (or without a database) fall back to the built-in list
+  cachedSessions = sessions.length > 0
+    ? sessions
+    : SESSION_SEED.map(seed => ({
+      id: seed.id,
+      ...parseSessionId(seed.id),
+      start: new Date(seed.start),
+      end: seed.end ? new Date(seed.end) : null
+    })).reverse();
+  cachedAt = Date.now();
+
+  return cachedSessions;
+}
+
+/**
+ * The current session: the sitting one, or the most recent one between parliaments
+ * @returns {Promise<Object>}
+ */
+async function getCurrentSession() {
+  const sessions = await getSessions();
+  return sessions[0];
+}
+
+/**
+ * Check a session identifier, throwing a 400 error when it is not a known session
+ * @param {string} id - Session identifier
+ * @returns {Promise<Object>} - Session
+ */
+async function requireSession(id) {
+  const session = (await getSessions()).find(candidate => candidate.id === id);
+  if (!session) {
+    throw messageError('unknown_session', { session: id }, 400);
+  }
+  return session;
+}
+
+/**
+ * Record a session seen in upstream data, closing the one it replaces
+ * @param {string} id - Session identifier
+ * @param {Date|string} [seenAt] - Earliest date seen in the session
+ * @returns {Promise<void>}
+ */
+async function registerSession(id, seenAt) {
+  const parsed = parseSessionId(id);
+  if (!parsed || (await getSessions()).some(session => session.id === id)) {
+    return;
+  }
+
+  const start = seenAt ? new Date(seenAt) : new Date();
+  await Session.updateOne(
+    { id },
+    { $setOnInsert: { id, ...parsed, start, end: null } },
+    { upsert: true }
+  );
+  await Session.updateMany(
+    { id: { $ne: id }, end: null, start: { $lt: start } },
+    { end: start }
+  );
+
+  console.log(`Registered new parliamentary session ${id}`);
+  cachedSessions = null;
+}
+
+/**
+ * Sessions with stored bill and vote counts
+ * @param {Object} [filter] - Optional { parliament }
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSessionsWithCounts({ parliament } = {}) {
+  let sessions = await getSessions();
+  if (parliament) {
+    sessions = sessions.filter(session => session.parliament === parseInt(parliament));
+  }
+
+  const [billCounts, voteCounts] = await Promise.all([
+    Bill.aggregate([{ $group: { _id: '$session', count: { $sum: 1 } } }]),
+    Vote.aggregate([{ $group: { _id: '$session', count: { $sum: 1 } } }])
+  ]);
+  const bills = new Map(billCounts.map(entry => [entry._id, entry.count]));
+  const votes = new Map(voteCounts.map(entry => [entry._id, entry.count]));
+  const current = await getCurrentSession();
+
+  return sessions.map(session => ({
+    ...session,
+    current: session.id === current.id && !session.end,
+    bill_count: bills.get(session.id) || 0,
+    vote_count: votes.get(session.id) || 0
+  }));
+}
+
+/**
+ * Group sessions by parliament, newest first
+ * @param {Array<Object>} sessions - Sessions (newest first)
+ * @returns {Array<Object>} - [{ parliament, start, end, sessions }]
+ */
+function groupByParliament(sessions) {
+  const parliaments = new Map();
+
+  for (const session of sessions) {
+    if (!parliaments.has(session.parliament)) {
+      parliaments.set(session.parliament, { parliament: session.parliament, start: null, end: null, sessions: [] });
+    }
+    parliaments.get(session.parliament).sessions.unshift(session);
+  }
+
+  return [...parliaments.values()].map(parliament => ({
+    ...parliament,
+    start: parliament.sessions[0].start,
+    end: parliament.sessions[parliament.sessions.length - 1].end
+  }));
+}
+
+module.exports = {
+  seedSessions,
+  getSessions,
+  getCurrentSession,
+  requireSession,
+  registerSession,
+  listSessionsWithCounts,
+  groupByParliament,
+  SESSION_SEED
+};
@@ -0,0 +1,94 @@
+/**
+ * In-process LRU cache store bounded by entry count and approximate size
+ *
+ * Entries are { value, expires, staleUntil } with epoch-millisecond timestamps.
+ */
+class LruStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxEntries - Maximum number of entries
+   * @param {number} options.maxSize - Maximum approximate size in bytes (JSON length)
+   */
+  constructor({ maxEntries = 1000, maxSize = 50 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxSize = maxSize;
+    this.entries = new Map();
+    this.size = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.staleUntil <= Date.now()) {
+      this.remove(key);
+      return undefined;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry, meta = {}) {
+    this.remove(key);
+
+    const size = estimateSize(entry.value);
+    if (size > this.maxSize) return;
+
+    this.entries.set(key, { ...entry, meta, size });
+    this.size += size;
+    this.evict();
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  async deleteWhere(fields) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (Object.entries(fields).every(([field, value]) => entry.meta[field] === value)) {
+        this.remove(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async flush() {
+    this.entries.clear();
+    this.size = 0;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.size -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  // Drop least recently used entries until within bounds
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.size <= this.maxSize) break;
+      this.remove(key);
+    }
+  }
+
+  stats() {
+    return { type: 'lru', entries: this.entries.size, size: this.size, maxEntries: this.maxEntries, maxSize: this.maxSize };
+  }
+}
+
+function estimateSize(value) {
+  try {
+    return Buffer.byteLength(JSON.stringify(value) || '');
+  } catch (error) {
+    return 0;
+  }
+}
+
+module.exports = LruStore;
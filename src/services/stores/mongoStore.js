@@ -0,0 +1,70 @@
+const CacheEntry = require('../../models/CacheEntry');
+
+/**
+ * Mongo-backed cache store, shared by every instance pointing at the same database
+ *
+ * Entries are { value, expires, staleUntil } with epoch-millisecond timestamps.
+ */
+class MongoStore {
+  /**
+   * @param {Object} options
+   * @param {mongoose.Model} options.model - Model to store entries in (defaults to CacheEntry)
+   * @param {string} options.namespace - Keeps separate caches in one collection apart
+   */
+  constructor({ model = CacheEntry, namespace = 'default' } = {}) {
+    this.model = model;
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    const doc = await this.model.findOneAndUpdate(
+      { namespace: this.namespace, key, stale_until: { $gt: new Date() } },
+      { $inc: { hits: 1 }, $set: { last_hit: new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!doc) return undefined;
+
+    return {
+      value: doc.data,
+      expires: doc.expires.getTime(),
+      staleUntil: doc.stale_until.getTime()
+    };
+  }
+
+  async set(key, entry, meta = {}) {
+    await this.model.findOneAndUpdate(
+      { namespace: this.namespace, key },
+      {
+        ...meta,
+        namespace: this.namespace,
+        key,
+        data: entry.value,
+        expires: new Date(entry.expires),
+        stale_until: new Date(entry.staleUntil),
+        hits: 0,
+        last_updated: new Date()
+      },
+      { upsert: true }
+    );
+  }
+
+  async delete(key) {
+    await this.model.deleteOne({ namespace: this.namespace, key });
+  }
+
+  async deleteWhere(fields) {
+    const result = await this.model.deleteMany({ ...fields, namespace: this.namespace });
+    return result.deletedCount;
+  }
+
+  async flush() {
+    await this.model.deleteMany({ namespace: this.namespace });
+  }
+
+  stats() {
+    return { type: 'mongo', collection: this.model.collection.name, namespace: this.namespace };
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,531 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const ChangeLog = require('../models/ChangeLog');
+const SyncState = require('../models/SyncState');
+const Bill = require('../models/Bill');
+const Vote = require('../models/Vote');
+const Member = require('../models/Member');
+const { keysetFilter } = require('./pagination');
+
+// Events a subscription can filter on
+const WEBHOOK_EVENTS = ['vote.created', 'bill.stage_changed', 'member.party_changed'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// Subscriptions are switched off after this many failed deliveries in a row
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 50;
+
+// Change log entries read per batch while dispatching, and deliveries attempted per pass
+const DISPATCH_BATCH = 1000;
+const DELIVERY_BATCH = 50;
+
+const ENTITY_MODELS = { bill: Bill, vote: Vote, member: Member };
+
+// Order the change log is dispatched in; recorded_at alone isn't unique
+const DISPATCH_SORT = { recorded_at: 1, _id: 1 };
+
+// Loopback, private, shared and link-local ranges (including cloud metadata at 169.254.169.254)
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+let processing = false;
+
+function httpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Normalize a bill or member reference to its URL ("44-1/C-56" -> "/bills/44-1/C-56/")
+ * @param {string} prefix - bills or politicians
+ * @param {string} value - Slug, path or URL
+ * @returns {string}
+ */
+function normalizeEntityUrl(prefix, value) {
+  const path = String(value).replace(/^https?:\/\/[^/]+/, '').replace(/^\/+|\/+$/g, '');
+  const slug = path.startsWith(`${prefix}/`) ? path.slice(prefix.length + 1) : path;
+  return `/${prefix}/${slug}/`;
+}
+
+/**
+ * Whether an IP address is loopback, private or link-local
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6, dotted (::ffff:10.0.0.1) or as URLs normalize it (::ffff:a00:1)
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) return isPrivateAddress(dotted[1]);
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isPrivateAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a URL hostname names this machine or a private network directly
+ * (names resolving to private addresses are caught when delivering)
+ * @param {string} hostname - URL hostname (IPv6 in brackets)
+ * @returns {boolean}
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+/**
+ * DNS lookup for deliveries that refuses names resolving to private addresses,
+ * so a receiver's DNS can't point deliveries into our network
+ * @param {string} hostname - Receiver hostname
+ * @returns {Promise<Array<{address: string, family: number}>>}
+ */
+async function publicLookup(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`${hostname} resolves to a private or link-local address`);
+  }
+  return addresses;
+}
+
+/**
+ * Validate and normalize subscription fields from a request body
+ * @param {Object} body - { url, events, bills, members, description, active }
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {Object} - Fields to store
+ * @throws {Error} - 400 on invalid input
+ */
+function parseSubscription(body = {}, partial = false) {
+  const fields = {};
+
+  if (body.url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(body.url);
+    } catch (error) {
+      throw httpError('url must be an absolute http(s) URL', 400);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw httpError('url must be an absolute http(s) URL', 400);
+    }
+    if (isPrivateHost(parsed.hostname)) {
+      throw httpError('url must not point at a private, loopback or link-local address', 400);
+    }
+    fields.url = parsed.toString();
+  }
+
+  if (body.events !== undefined || !partial) {
+    if (!Array.isArray(body.events) || body.events.length === 0) {
+      throw httpError(`events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`, 400);
+    }
+    const unknown = body.events.find(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown) {
+      throw httpError(`Unknown event: ${unknown}. Allowed: ${WEBHOOK_EVENTS.join(', ')}`, 400);
+    }
+    fields.events = [...new Set(body.events)];
+  }
+
+  if (body.bills !== undefined) {
+    if (!Array.isArray(body.bills)) throw httpError('bills must be an array', 400);
+    fields.bills = body.bills.map(bill => normalizeEntityUrl('bills', bill));
+  }
+
+  if (body.members !== undefined) {
+    if (!Array.isArray(body.members)) throw httpError('members must be an array', 400);
+    fields.members = body.members.map(member => normalizeEntityUrl('politicians', member));
+  }
+
+  if (body.description !== undefined) fields.description = String(body.description);
+  if (body.active !== undefined) fields.active = Boolean(body.active);
+
+  return fields;
+}
+
+/**
+ * Register a subscription; the generated secret is only returned here
+ * @param {Object} body - Request body
+ * @param {string} createdBy - Admin key id
+ * @returns {Promise<Object>} - Subscription including its secret
+ */
+async function createSubscription(body, createdBy) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const subscription = await WebhookSubscription.create({
+    ...parseSubscription(body),
+    secret,
+    created_by: createdBy
+  });
+
+  return { ...subscription.toObject(), secret };
+}
+
+/**
+ * Update a subscription's URL, filters, description or active flag
+ * (re-activating also clears its failure count)
+ * @param {string} id - Subscription id
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - Subscription
+ */
+async function updateSubscription(id, body) {
+  const fields = parseSubscription(body, true);
+  if (fields.active) fields.consecutive_failures = 0;
+
+  const subscription = await WebhookSubscription.findByIdAndUpdate(id, fields, { new: true, runValidators: true }).lean();
+  if (!subscription) throw httpError('Webhook subscription not found', 404);
+  return subscription;
+}
+
+/**
+ * Work out which webhook events a change log entry represents. Entries
+ * written by backfills or on-demand fetches describe old news and have none.
+ * @param {Object} change - ChangeLog entry
+ * @returns {string[]}
+ */
+function eventsForChange(change) {
+  if (change.source && change.source !== 'sync') return [];
+
+  const changedFields = change.changes.map(entry => entry.field);
+  const events = [];
+
+  if (change.entity_type === 'vote' && change.change_type === 'created') {
+    events.push('vote.created');
+  }
+  if (change.entity_type === 'bill' && change.change_type === 'updated' && changedFields.includes('stage')) {
+    events.push('bill.stage_changed');
+  }
+  if (change.entity_type === 'member' && change.change_type === 'updated' && changedFields.includes('party')) {
+    events.push('member.party_changed');
+  }
+
+  return events;
+}
+
+/**
+ * Check a subscription's filters against an event. With bill or member
+ * filters, only events about those bills (including votes on them) or
+ * members are delivered.
+ * @param {Object} subscription - Subscription
+ * @param {string} event - Event name
+ * @param {Object} change - ChangeLog entry
+ * @param {Object|null} entity - Current entity
+ * @returns {boolean}
+ */
+function matchesSubscription(subscription, event, change, entity) {
+  if (!subscription.events.includes(event)) return false;
+
+  const bills = subscription.bills || [];
+  const members = subscription.members || [];
+  if (bills.length === 0 && members.length === 0) return true;
+
+  let billUrl = null;
+  if (change.entity_type === 'bill') billUrl = change.entity_url;
+  if (change.entity_type === 'vote' && entity) billUrl = entity.bill_url;
+  const memberUrl = change.entity_type === 'member' ? change.entity_url : null;
+
+  return bills.includes(billUrl) || members.includes(memberUrl);
+}
+
+// Change log entries after the last dispatched one (marks from before ids were kept only have a time)
+function afterHighWater(highWater) {
+  const recordedAt = new Date(highWater.recorded_at);
+  if (!highWater.id) return { recorded_at: { $gt: recordedAt } };
+  return keysetFilter(DISPATCH_SORT, [recordedAt, new mongoose.Types.ObjectId(highWater.id)], 'next');
+}
+
+/**
+ * Turn change log entries recorded since the last dispatch into deliveries,
+ * then attempt the deliveries that are due. Called after each sync job.
+ * @returns {Promise<Object>} - { changes, deliveries }
+ */
+async function dispatchChanges() {
+  const state = await SyncState.findOne({ job: 'webhooks' }).lean();
+  let highWater = state && state.high_water && state.high_water.recorded_at ? state.high_water : null;
+
+  // The first dispatch starts from when the first subscription was created: nobody
+  // could have wanted the older history, but the sync that triggered it counts
+  if (!highWater) {
+    const first = await WebhookSubscription.findOne({}, { createdAt: 1 }).sort({ createdAt: 1 }).lean();
+    if (!first) return { changes: 0, deliveries: 0 };
+
+    highWater = { recorded_at: first.createdAt };
+    await SyncState.findOneAndUpdate(
+      { job: 'webhooks' },
+      { high_water: highWater, last_run_at: new Date() },
+      { upsert: true }
+    );
+  }
+
+  const subscriptions = await WebhookSubscription.find({ active: true }).lean();
+  let changeCount = 0;
+  let deliveries = 0;
+
+  // Drain the log in batches, saving progress after each so a failure resumes where it stopped
+  while (true) {
+    const changes = await ChangeLog.find(afterHighWater(highWater))
+      .sort(DISPATCH_SORT)
+      .limit(DISPATCH_BATCH)
+      .lean();
+    if (changes.length === 0) break;
+
+    deliveries += await queueDeliveries(changes, subscriptions);
+    changeCount += changes.length;
+
+    const last = changes[changes.length - 1];
+    highWater = { recorded_at: last.recorded_at, id: String(last._id) };
+    await SyncState.updateOne({ job: 'webhooks' }, { high_water: highWater, last_run_at: new Date() });
+
+    if (changes.length < DISPATCH_BATCH) break;
+  }
+
+  if (deliveries > 0) {
+    console.log(`Queued ${deliveries} webhook deliveries for ${changeCount} changes`);
+  }
+
+  await processDueDeliveries();
+  return { changes: changeCount, deliveries };
+}
+
+/**
+ * Queue a delivery to every matching subscription for each event in a batch of changes
+ * @param {Array<Object>} changes - ChangeLog entries
+ * @param {Array<Object>} subscriptions - Active subscriptions
+ * @returns {Promise<number>} - Deliveries queued
+ */
+async function queueDeliveries(changes, subscriptions) {
+  let deliveries = 0;
+
+  for (const change of changes) {
+    const events = eventsForChange(change);
+    if (events.length === 0 || subscriptions.length === 0) continue;
+
+    const entity = await ENTITY_MODELS[change.entity_type]
+      .findOne({ url: change.entity_url }, { data: 0, members_votes: 0, source_hash: 0, __v: 0 })
+      .lean();
+
+    for (const event of events) {
+      const payload = {
+        event,
+        created_at: change.recorded_at,
+        data: {
+          entity_type: change.entity_type,
+          entity_url: change.entity_url,
+          session: change.session,
+          changes: change.changes,
+          entity
+        }
+      };
+
+      const matching = subscriptions.filter(subscription => matchesSubscription(subscription, event, change, entity));
+      if (matching.length > 0) {
+        await WebhookDelivery.insertMany(matching.map(subscription => ({ subscription: subscription._id, event, payload })));
+        deliveries += matching.length;
+      }
+    }
+  }
+
+  return deliveries;
+}
+
+/**
+ * HMAC-SHA256 signature of a delivery body, as sent in X-Webhook-Signature
+ * (receivers recompute it over "<X-Webhook-Timestamp>.<raw body>")
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Exponential backoff between attempts: 30s, 1m, 2m, 4m, ... capped at 6 hours
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+}
+
+/**
+ * Attempt one delivery and record the outcome
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} - Updated delivery
+ */
+async function attemptDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret').lean();
+  const attempts = delivery.attempts + 1;
+  const now = new Date();
+
+  if (!subscription || !subscription.active) {
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { status: 'failed', attempts, last_attempt_at: now, last_error: 'Subscription deleted or inactive' },
+      { new: true }
+    ).lean();
+  }
+
+  const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  let statusCode = null;
+  let errorMessage = null;
+
+  try {
+    // Subscriptions stored before private targets were refused
+    if (isPrivateHost(new URL(subscription.url).hostname)) {
+      throw new Error('Receiver URL points at a private, loopback or link-local address');
+    }
+
+    const response = await axios.post(subscription.url, body, {
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: publicLookup,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ParliamentWatch-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery._id),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+      }
+    });
+    statusCode = response.status;
+    if (statusCode < 200 || statusCode >= 300) {
+      errorMessage = `Receiver responded with ${statusCode}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  if (!errorMessage) {
+    await WebhookSubscription.updateOne({ _id: subscription._id }, { consecutive_failures: 0, last_delivery_at: now });
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { status: 'succeeded', attempts, last_attempt_at: now, last_status_code: statusCode, last_error: null, delivered_at: now },
+      { new: true }
+    ).lean();
+  }
+
+  const gaveUp = attempts >= MAX_ATTEMPTS;
+  const updated = await WebhookSubscription.findByIdAndUpdate(
+    subscription._id,
+    { $inc: { consecutive_failures: 1 } },
+    { new: true }
+  ).lean();
+  if (updated && updated.consecutive_failures >= DISABLE_AFTER_FAILURES && updated.active) {
+    await WebhookSubscription.updateOne({ _id: subscription._id }, { active: false });
+    console.warn(`Disabled webhook ${subscription._id} after ${updated.consecutive_failures} failed deliveries`);
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    {
+      status: gaveUp ? 'failed' : 'pending',
+      attempts,
+      last_attempt_at: now,
+      last_status_code: statusCode,
+      last_error: errorMessage,
+      next_attempt_at: gaveUp ? null : new Date(now.getTime() + retryDelay(attempts))
+    },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Attempt every pending delivery whose next attempt is due
+ * (one pass at a time per process)
+ * @returns {Promise<number>} - Deliveries attempted
+ */
+async function processDueDeliveries() {
+  if (processing) return 0;
+  processing = true;
+
+  let attempted = 0;
+  try {
+    while (true) {
+      const due = await WebhookDelivery.find({ status: 'pending', next_attempt_at: { $lte: new Date() } })
+        .sort({ next_attempt_at: 1 })
+        .limit(DELIVERY_BATCH)
+        .lean();
+      if (due.length === 0) break;
+
+      for (const delivery of due) {
+        await attemptDelivery(delivery);
+        attempted++;
+      }
+    }
+  } finally {
+    processing = false;
+  }
+
+  return attempted;
+}
+
+/**
+ * Send a "ping" event to a subscription straight away
+ * @param {string} id - Subscription id
+ * @returns {Promise<Object>} - Delivery
+ */
+async function sendTestEvent(id) {
+  const subscription = await WebhookSubscription.findById(id).lean();
+  if (!subscription) throw httpError('Webhook subscription not found', 404);
+
+  const delivery = await WebhookDelivery.create({
+    subscription: subscription._id,
+    event: 'ping',
+    payload: { event: 'ping', created_at: new Date(), data: { message: 'Test delivery' } },
+    // Tests are not retried
+    attempts: MAX_ATTEMPTS - 1
+  });
+
+  return attemptDelivery(delivery.toObject());
+}
+
+/**
+ * Queue a failed or succeeded delivery to be sent again with a fresh retry budget
+ * @param {string} id - Delivery id
+ * @returns {Promise<Object>} - Delivery after the new attempt
+ */
+async function redeliver(id) {
+  const delivery = await WebhookDelivery.findByIdAndUpdate(
+    id,
+    { status: 'pending', attempts: 0, next_attempt_at: new Date() },
+    { new: true }
+  ).lean();
+  if (!delivery) throw httpError('Webhook delivery not found', 404);
+
+  return attemptDelivery(delivery);
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createSubscription,
+  updateSubscription,
+  eventsForChange,
+  matchesSubscription,
+  isPrivateHost,
+  retryDelay,
+  dispatchChanges,
+  processDueDeliveries,
+  signPayload,
+  sendTestEvent,
+  redeliver
+};
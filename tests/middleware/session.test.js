@@ -0,0 +1,50 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../src/services/sessions', () => ({
+  getCurrentSession: jest.fn(async () => ({ id: '44-1' })),
+  requireSession: jest.fn(async (id) => {
+    const { messageError } = require('../../src/services/i18n');
+    if (id !== '44-1') throw messageError('unknown_session', { session: id }, 400);
+    return { id };
+  })
+}));
+
+const { localizeResponses } = require('../../src/middleware/localize');
+const { resolveSession, validateSessionParam } = require('../../src/middleware/session');
+
+const router = express.Router();
+router.use(localizeResponses());
+router.param('session', validateSessionParam);
+router.get('/', resolveSession({ defaultToCurrent: true }), (req, res) => res.json({ session: req.query.session || null }));
+router.get('/:session/:number', (req, res) => res.json({ session: req.params.session }));
+
+const app = express();
+app.use('/api/bills', router);
+
+describe('resolveSession', () => {
+  test('defaults to the current session and lifts it for session=all', async () => {
+    expect((await request(app).get('/api/bills')).body).toEqual({ session: '44-1' });
+    expect((await request(app).get('/api/bills?session=all')).body).toEqual({ session: null });
+  });
+
+  test('rejects unknown sessions in the request language', async () => {
+    const english = await request(app).get('/api/bills?session=99-9');
+    expect(english.status).toBe(400);
+    expect(english.body).toEqual({ error: 'Unknown session: 99-9' });
+
+    const french = await request(app).get('/api/bills?session=99-9&lang=fr');
+    expect(french.status).toBe(400);
+    expect(french.body).toEqual({ error: 'Session inconnue : 99-9' });
+  });
+});
+
+describe('validateSessionParam', () => {
+  test('rejects unknown session path parameters in the request language', async () => {
+    expect((await request(app).get('/api/bills/44-1/C-1')).status).toBe(200);
+
+    const res = await request(app).get('/api/bills/99-9/C-1?lang=fr');
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: 'Session inconnue : 99-9' });
+  });
+});
@@ -0,0 +1,51 @@
+const path = require('path');
+
+// Answer upstream requests from the recorded fixtures, never the network
+process.env.UPSTREAM_MODE = 'replay';
+process.env.FIXTURES_DIR = path.join(__dirname, '../fixtures/upstream');
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const membersRoutes = require('../../src/routes/members');
+
+// No database here: the response cache fails fast and falls through to upstream
+mongoose.set('bufferCommands', false);
+
+const app = express();
+app.use('/api/members', membersRoutes);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/members/:memberName/votes (replay mode)', () => {
+  test('serves a recorded page with a link to the next one', async () => {
+    const res = await request(app).get('/api/members/pierre-poilievre/votes?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.objects.map(ballot => ballot.vote_url)).toEqual(['/votes/44-1/915/', '/votes/44-1/914/']);
+    expect(res.body.pagination).toMatchObject({ limit: 2, offset: 0, count: null });
+    expect(res.body.pagination.next_url).toContain('offset=2');
+  });
+
+  test('serves the last recorded page with the total count', async () => {
+    const res = await request(app).get('/api/members/pierre-poilievre/votes?limit=2&offset=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.objects).toHaveLength(1);
+    expect(res.body.pagination).toMatchObject({ count: 3, next_url: null });
+  });
+
+  test('answers 404 in the request language when nothing was recorded', async () => {
+    const res = await request(app).get('/api/members/nobody-recorded/votes?lang=fr');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toMatch(/^Échec de la requête à OpenParliament : /);
+  });
+});
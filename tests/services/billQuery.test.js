@@ -0,0 +1,25 @@
+const { canQueryUpstream, toUpstreamParams } = require('../../src/services/billQuery');
+
+describe('canQueryUpstream', () => {
+  test('accepts the filters OpenParliament supports', () => {
+    const query = { session: '44-1', introduced_after: '2022-01-01', law: 'true', sort: '-introduced' };
+    expect(canQueryUpstream(query)).toBe(true);
+    expect(toUpstreamParams(query)).toMatchObject({
+      session: '44-1',
+      introduced__gte: '2022-01-01',
+      law: 'True'
+    });
+  });
+
+  test.each(['status', 'sponsor', 'chamber', 'q', 'stage'])('rejects the local-only %s filter', name => {
+    expect(canQueryUpstream({ session: '44-1', [name]: 'x' })).toBe(false);
+  });
+
+  test('rejects any sort other than the default', () => {
+    expect(canQueryUpstream({ sort: 'status' })).toBe(false);
+  });
+
+  test('ignores empty parameters', () => {
+    expect(canQueryUpstream({ status: '', q: '' })).toBe(true);
+  });
+});
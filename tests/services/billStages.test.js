@@ -0,0 +1,147 @@
+const {
+  buildBillTimeline,
+  localizeTimeline,
+  stagesFor,
+  parseStatus,
+  stageForVote
+} = require('../../src/services/billStages');
+
+const passed = (description, date) => ({ description: { en: description }, result: 'Passed', date });
+
+describe('stagesFor', () => {
+  test('starts in the home chamber and ends with amendments then royal assent', () => {
+    const keys = stagesFor('senate').map(stage => stage.key);
+
+    expect(keys[0]).toBe('senate_first_reading');
+    expect(keys[5]).toBe('house_first_reading');
+    expect(keys.slice(-2)).toEqual(['amendments', 'royal_assent']);
+    expect(stagesFor('senate').find(stage => stage.key === 'amendments').institution).toBe('Senate');
+  });
+});
+
+describe('parseStatus', () => {
+  test.each([
+    [{ status_code: 'HouseAt2ndReading' }, 'house_second_reading'],
+    [{ status_code: 'SenateInCommittee' }, 'senate_committee'],
+    [{ status: { en: 'At report stage in the House of Commons' } }, 'house_report'],
+    [{ status: 'At third reading' }, 'senate_third_reading', 'senate'],
+    [{ status_code: 'HouseConsiderationOfAmendments' }, 'amendments'],
+    [{ status: { en: 'Consideration of Senate amendments' } }, 'amendments'],
+    [{ status: { en: 'Awaiting royal assent' } }, 'royal_assent'],
+    [{ status: 'Introduced', law: true }, 'royal_assent']
+  ])('%j is at %s', (billData, stage, homeChamber = 'house') => {
+    expect(parseStatus(billData, homeChamber).stage).toBe(stage);
+  });
+
+  test('report and committee statuses that mention amendments stay in their chamber', () => {
+    expect(parseStatus({ status: 'Report stage: amendments proposed in the House' }, 'house').stage).toBe('house_report');
+    expect(parseStatus({ status: 'Senate committee report with amendments' }, 'house').stage).toBe('senate_report');
+  });
+
+  test('marks bills that can no longer progress inactive', () => {
+    expect(parseStatus({ status_code: 'HouseAt2ndReadingNotActive' }, 'house')).toEqual({ stage: 'house_second_reading', active: false });
+    expect(parseStatus({ status: 'Defeated at second reading' }, 'house').active).toBe(false);
+    expect(parseStatus({ status: 'Royal assent received' }, 'house').active).toBe(false);
+  });
+
+  test('returns no stage for statuses it does not recognise', () => {
+    expect(parseStatus({ status: 'Something new' }, 'house')).toEqual({ stage: null, active: true });
+  });
+});
+
+describe('stageForVote', () => {
+  test('matches passed stage motions', () => {
+    expect(stageForVote(passed('2nd reading of Bill C-5'))).toBe('house_second_reading');
+    expect(stageForVote(passed('Concurrence at report stage of Bill C-5'))).toBe('house_report');
+    expect(stageForVote(passed('3rd reading and adoption of Bill C-5'))).toBe('house_third_reading');
+  });
+
+  test('ignores failed motions and amendments', () => {
+    expect(stageForVote({ ...passed('2nd reading of Bill C-5'), result: 'Failed' })).toBeNull();
+    expect(stageForVote(passed('Amendment to the motion for 2nd reading of Bill C-5'))).toBeNull();
+  });
+});
+
+describe('buildBillTimeline', () => {
+  const bill = {
+    number: 'C-5',
+    introduced: '2024-02-01',
+    status_code: 'SenateInCommittee'
+  };
+
+  test('completes every stage before the current one', () => {
+    const timeline = buildBillTimeline(bill, [
+      passed('2nd reading of Bill C-5', '2024-03-01'),
+      passed('3rd reading and adoption of Bill C-5', '2024-05-01')
+    ]);
+
+    expect(timeline.stage).toBe('senate_committee');
+    expect(timeline.events.map(event => event.stage)).toEqual([
+      'house_first_reading', 'house_second_reading', 'house_committee', 'house_report', 'house_third_reading',
+      'senate_first_reading', 'senate_second_reading'
+    ]);
+    expect(timeline.progress).toBe(58);
+    expect(timeline.active).toBe(true);
+    expect(timeline.events[0].date).toEqual(new Date('2024-02-01'));
+    expect(timeline.events[2].date).toEqual(new Date('2024-03-01')); // Referred to committee by second reading
+    expect(timeline.events[3].date).toBeNull();
+    expect(timeline.last_event_date).toEqual(new Date('2024-05-01'));
+  });
+
+  test('a bill considering amendments is not law yet', () => {
+    const timeline = buildBillTimeline({ ...bill, status_code: 'HouseConsiderationOfAmendments' });
+
+    expect(timeline.stage).toBe('amendments');
+    expect(timeline.stage_label).toBe('Consideration of amendments');
+    expect(timeline.events).toHaveLength(10);
+    expect(timeline.progress).toBeLessThan(100);
+  });
+
+  test('a bill is law when upstream says so or it has royal assent', () => {
+    for (const billData of [{ ...bill, law: true }, { ...bill, status_code: 'RoyalAssentGiven' }]) {
+      const timeline = buildBillTimeline(billData);
+      expect(timeline.stage).toBe('royal_assent');
+      expect(timeline.progress).toBe(100);
+      expect(timeline.active).toBe(false);
+    }
+  });
+
+  test('dates Senate stages when a sync first sees them completed', () => {
+    const observedAt = new Date('2024-06-10T03:00:00Z');
+    const first = buildBillTimeline({ ...bill, status_code: 'SenateAt2ndReading' });
+
+    // Stored for the first time: completed stages can't be dated
+    expect(first.events.find(event => event.stage === 'senate_first_reading').date).toBeNull();
+
+    const later = buildBillTimeline(bill, [], { previousEvents: first.events, observedAt });
+    expect(later.events.find(event => event.stage === 'senate_first_reading').date).toBeNull();
+    expect(later.events.find(event => event.stage === 'senate_second_reading').date).toEqual(observedAt);
+
+    const next = buildBillTimeline({ ...bill, status_code: 'SenateAtReportStage' }, [], {
+      previousEvents: later.events,
+      observedAt: new Date('2024-06-20T03:00:00Z')
+    });
+    expect(next.events.find(event => event.stage === 'senate_second_reading').date).toEqual(observedAt);
+  });
+
+  test('historical imports leave newly completed stages undated', () => {
+    const timeline = buildBillTimeline(bill, [], { previousEvents: [] });
+    expect(timeline.events.find(event => event.stage === 'senate_second_reading').date).toBeNull();
+  });
+
+  test('falls back to the latest dated stage without a usable status', () => {
+    const timeline = buildBillTimeline({ number: 'C-5', introduced: '2024-02-01' }, [passed('2nd reading of Bill C-5', '2024-03-01')]);
+    expect(timeline.stage).toBe('house_report');
+  });
+});
+
+describe('localizeTimeline', () => {
+  test('translates the stage label and event texts', () => {
+    const timeline = buildBillTimeline({ number: 'S-2', introduced: '2024-02-01', status_code: 'SenateAt2ndReading' });
+    const french = localizeTimeline({ ...timeline }, 'fr');
+
+    expect(french.stage_label).toBe('Deuxième lecture (Sénat)');
+    expect(french.events[0].text).toBe('Adopté en première lecture au Sénat');
+    expect(french.last_event).toBe('Adopté en première lecture au Sénat (2024-02-01)');
+  });
+});
@@ -0,0 +1,186 @@
+const express = require('express');
+const request = require('supertest');
+const { CacheService, LruStore, MongoStore } = require('../../src/services/cache');
+const { localizeResponses } = require('../../src/middleware/localize');
+
+let now;
+
+beforeEach(() => {
+  now = Date.parse('2024-06-01T12:00:00Z');
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const entry = (value, ttl = 60, staleTtl = 0) => ({ value, expires: now + ttl * 1000, staleUntil: now + (ttl + staleTtl) * 1000 });
+
+describe('LruStore', () => {
+  test('evicts the least recently used entry beyond maxEntries', async () => {
+    const store = new LruStore({ maxEntries: 2 });
+    await store.set('a', entry(1));
+    await store.set('b', entry(2));
+    await store.get('a'); // a is now more recent than b
+    await store.set('c', entry(3));
+
+    expect(await store.get('b')).toBeUndefined();
+    expect((await store.get('a')).value).toBe(1);
+    expect((await store.get('c')).value).toBe(3);
+  });
+
+  test('evicts until the entries fit in maxSize and skips values larger than it', async () => {
+    const store = new LruStore({ maxSize: 20 });
+    await store.set('a', entry('x'.repeat(10)));
+    await store.set('b', entry('y'.repeat(10)));
+
+    expect(await store.get('a')).toBeUndefined();
+    expect(store.stats()).toMatchObject({ entries: 1, size: 12 });
+
+    await store.set('huge', entry('z'.repeat(100)));
+    expect(await store.get('huge')).toBeUndefined();
+    expect(store.stats().entries).toBe(1);
+  });
+
+  test('drops entries once their stale window has passed', async () => {
+    const store = new LruStore();
+    await store.set('a', entry(1, 60, 30));
+
+    now += 80 * 1000;
+    expect((await store.get('a')).value).toBe(1);
+
+    now += 20 * 1000;
+    expect(await store.get('a')).toBeUndefined();
+    expect(store.stats().size).toBe(0);
+  });
+
+  test('deletes entries by metadata', async () => {
+    const store = new LruStore();
+    await store.set('/bills/?limit=5', entry(1), { endpoint: '/bills/' });
+    await store.set('/votes/', entry(2), { endpoint: '/votes/' });
+
+    expect(await store.deleteWhere({ endpoint: '/bills/' })).toBe(1);
+    expect(await store.get('/bills/?limit=5')).toBeUndefined();
+    expect(await store.deleteWhere({})).toBe(1);
+  });
+});
+
+describe('MongoStore', () => {
+  test('keeps its namespace in every query', async () => {
+    const model = {
+      findOneAndUpdate: jest.fn(() => ({ lean: async () => null })),
+      deleteMany: jest.fn(async () => ({ deletedCount: 3 }))
+    };
+    const store = new MongoStore({ model, namespace: 'upstream' });
+
+    expect(await store.get('k')).toBeUndefined();
+    expect(model.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ namespace: 'upstream', key: 'k' });
+    expect(await store.deleteWhere({ endpoint: '/bills/' })).toBe(3);
+    expect(model.deleteMany).toHaveBeenCalledWith({ endpoint: '/bills/', namespace: 'upstream' });
+  });
+});
+
+describe('CacheService', () => {
+  test('honors per-key TTLs', async () => {
+    const cache = new CacheService({ store: new LruStore(), ttl: 300 });
+    await cache.set('short', 'a', 10);
+    await cache.set('default', 'b');
+
+    now += 11 * 1000;
+    expect(await cache.get('short')).toBeUndefined();
+    expect(await cache.getEntry('default')).toEqual({ value: 'b', stale: false });
+
+    now += 300 * 1000;
+    expect(await cache.get('default')).toBeUndefined();
+  });
+
+  test('serves stale values immediately and refreshes them in the background', async () => {
+    const cache = new CacheService({ store: new LruStore(), ttl: 10, staleTtl: 60 });
+    await cache.set('k', 'old');
+    now += 20 * 1000;
+
+    let finishRefresh;
+    const fetcher = jest.fn(() => new Promise(resolve => {
+      finishRefresh = resolve;
+    }));
+
+    await expect(cache.wrap('k', fetcher)).resolves.toBe('old');
+    await expect(cache.wrap('k', fetcher)).resolves.toBe('old');
+    expect(fetcher).toHaveBeenCalledTimes(1); // Concurrent refreshes are shared
+
+    finishRefresh('new');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await cache.getEntry('k')).toEqual({ value: 'new', stale: false });
+  });
+
+  test('shares one fetch between concurrent misses', async () => {
+    const cache = new CacheService({ store: new LruStore() });
+    const fetcher = jest.fn(async () => 42);
+
+    await expect(Promise.all([cache.wrap('k', fetcher), cache.wrap('k', fetcher)])).resolves.toEqual([42, 42]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('treats a failing store as a miss', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const store = { get: async () => { throw new Error('down'); }, set: async () => { throw new Error('down'); } };
+    const cache = new CacheService({ store });
+
+    await expect(cache.wrap('k', async () => 'fresh')).resolves.toBe('fresh');
+  });
+});
+
+describe('CacheService#middleware', () => {
+  function buildApp(cache) {
+    const handler = jest.fn((req, res) => {
+      if (req.query.fail) return res.status(404).json({ error: 'Not here' });
+      if (req.query.text) return res.type('text/csv').send('a,b\n');
+      res.json({ title: { en: 'Budget', fr: 'Budget (fr)' }, served: handler.mock.calls.length });
+    });
+
+    const app = express();
+    app.use(localizeResponses());
+    app.get('/items', cache.middleware(30), handler);
+    return { app, handler };
+  }
+
+  test('caches 2xx JSON responses for the given duration', async () => {
+    const { app, handler } = buildApp(new CacheService({ store: new LruStore(), ttl: 300 }));
+
+    const first = await request(app).get('/items');
+    const second = await request(app).get('/items');
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual(first.body);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    now += 31 * 1000;
+    const third = await request(app).get('/items');
+    expect(third.headers['x-cache']).toBe('MISS');
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps a copy per response language', async () => {
+    const { app, handler } = buildApp(new CacheService({ store: new LruStore() }));
+
+    expect((await request(app).get('/items').set('Accept-Language', 'fr')).body.title).toBe('Budget (fr)');
+    expect((await request(app).get('/items').set('Accept-Language', 'fr')).body.title).toBe('Budget (fr)');
+    expect((await request(app).get('/items').set('Accept-Language', 'en')).body.title).toBe('Budget');
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not cache errors or non-JSON responses', async () => {
+    const { app, handler } = buildApp(new CacheService({ store: new LruStore() }));
+
+    await request(app).get('/items?fail=1');
+    const error = await request(app).get('/items?fail=1');
+    expect(error.status).toBe(404);
+
+    await request(app).get('/items?text=1');
+    const text = await request(app).get('/items?text=1');
+    expect(text.text).toBe('a,b\n');
+    expect(text.headers['x-cache']).toBeUndefined();
+
+    expect(handler).toHaveBeenCalledTimes(4);
+  });
+});
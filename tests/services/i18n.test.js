@@ -0,0 +1,72 @@
+const {
+  LANGUAGES,
+  MESSAGES,
+  message,
+  messageError,
+  errorMessage,
+  translateMessage,
+  collapseLocalized
+} = require('../../src/services/i18n');
+
+describe('MESSAGES', () => {
+  const keys = Object.keys(MESSAGES.en);
+
+  test.each(LANGUAGES)('has every key in %s', (lang) => {
+    expect(Object.keys(MESSAGES[lang]).sort()).toEqual([...keys].sort());
+  });
+
+  test.each(keys)('%s renders in French without falling back to English', (key) => {
+    const params = { member: 'x', maximum: 5, session: '44-1', postal_code: 'K1A', riding: 'y', name: 'n', value: 'v',
+      field: 'f', allowed: 'a', format: 'csv', location: 'query', problem: 'p', type: 'integer', values: 'a, b',
+      example: 'e', pattern: 'p', depth: 8, cost: 10, reason: 'r' };
+    const french = message(key, params).format('fr');
+    expect(typeof french).toBe('string');
+    expect(french).not.toContain('undefined');
+  });
+});
+
+describe('message', () => {
+  test('renders params and nested messages in the requested language', () => {
+    const invalid = message('parameter_invalid', {
+      location: 'query',
+      name: 'limit',
+      problem: message('parameter_not_number', { type: 'integer', minimum: 1, maximum: 100 })
+    });
+
+    expect(invalid.format('en')).toBe('Invalid query parameter limit: must be an integer between 1 and 100');
+    expect(invalid.format('fr')).toBe('Paramètre de requête limit invalide : doit être un entier entre 1 et 100');
+  });
+
+  test('serializes to English', () => {
+    expect(JSON.stringify({ error: message('bill_not_found') })).toBe('{"error":"Bill not found"}');
+  });
+
+  test('rejects unknown keys', () => {
+    expect(() => message('no_such_message')).toThrow('Unknown message: no_such_message');
+  });
+});
+
+describe('messageError', () => {
+  test('carries the English text, the keyed message and the status', () => {
+    const error = messageError('unknown_session', { session: '99-1' }, 400);
+
+    expect(error.message).toBe('Unknown session: 99-1');
+    expect(error.statusCode).toBe(400);
+    expect(translateMessage(errorMessage(error), 'fr')).toBe('Session inconnue : 99-1');
+  });
+
+  test('errors without a key are passed through untranslated', () => {
+    expect(translateMessage(errorMessage(new Error('Something broke')), 'fr')).toBe('Something broke');
+  });
+});
+
+describe('collapseLocalized', () => {
+  test('picks one language and renders messages', () => {
+    expect(collapseLocalized({ title: { en: 'Budget', fr: 'Budget (fr)' }, error: message('invalid_cursor') }, 'fr'))
+      .toEqual({ title: 'Budget (fr)', error: 'Curseur invalide' });
+  });
+
+  test('falls back to the other language', () => {
+    expect(collapseLocalized({ title: { en: 'Budget', fr: null } }, 'fr')).toEqual({ title: 'Budget' });
+  });
+});
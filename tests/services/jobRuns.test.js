@@ -0,0 +1,61 @@
+jest.mock('../../src/models/JobRun', () => ({ create: jest.fn(), updateOne: jest.fn(), updateMany: jest.fn() }));
+
+const JobRun = require('../../src/models/JobRun');
+const { runJob, markInterruptedRuns } = require('../../src/services/jobRuns');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  JobRun.updateOne.mockResolvedValue({});
+});
+
+describe('runJob', () => {
+  test('records the owning process and a heartbeat with the run', async () => {
+    JobRun.create.mockImplementation(async fields => ({ _id: 'run-1', ...fields }));
+
+    await expect(runJob('votes', 'manual', async () => ({ inserted: 1 }))).resolves.toEqual({ inserted: 1 });
+
+    const fields = JobRun.create.mock.calls[0][0];
+    expect(fields.owner).toEqual(expect.any(String));
+    expect(fields.heartbeat_at).toEqual(fields.started_at);
+    expect(JobRun.updateOne).toHaveBeenCalledWith({ _id: 'run-1' }, expect.objectContaining({ status: 'succeeded' }));
+  });
+
+  test('keeps the run alive while the job runs', async () => {
+    jest.useFakeTimers();
+    try {
+      JobRun.create.mockImplementation(async fields => ({ _id: 'run-1', ...fields }));
+      let finishTask;
+      const running = runJob('bills', 'cron', () => new Promise(resolve => { finishTask = resolve; }));
+      await Promise.resolve();
+      await Promise.resolve();
+
+      jest.advanceTimersByTime(2 * 60 * 1000);
+      const heartbeats = JobRun.updateOne.mock.calls.filter(([, fields]) => fields.heartbeat_at);
+      expect(heartbeats).toHaveLength(2);
+      expect(heartbeats[0][0]).toEqual({ _id: 'run-1', status: 'running' });
+
+      finishTask({});
+      await running;
+      jest.advanceTimersByTime(2 * 60 * 1000);
+      expect(JobRun.updateOne.mock.calls.filter(([, fields]) => fields.heartbeat_at)).toHaveLength(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('markInterruptedRuns', () => {
+  test('only marks runs whose heartbeat has gone stale', async () => {
+    JobRun.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+    await expect(markInterruptedRuns()).resolves.toBe(2);
+
+    const [filter, update] = JobRun.updateMany.mock.calls[0];
+    expect(update.status).toBe('interrupted');
+    expect(filter.status).toBe('running');
+    const [stale, legacy] = filter.$or;
+    expect(Date.now() - stale.heartbeat_at.$lt).toBeGreaterThanOrEqual(5 * 60 * 1000);
+    expect(legacy).toMatchObject({ heartbeat_at: { $exists: false } });
+    expect(legacy.started_at.$lt).toEqual(stale.heartbeat_at.$lt);
+  });
+});
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const {
+  parsePaging,
+  encodeCursor,
+  decodeCursor,
+  keysetFilter
+} = require('../../src/services/pagination');
+
+// Just enough of Mongo's query language to evaluate keysetFilter's output
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(clause => matches(doc, clause));
+    if (key === '$and') return condition.every(clause => matches(doc, clause));
+
+    const value = doc[key] === undefined ? null : doc[key];
+    if (condition === null || typeof condition !== 'object') return value === condition;
+    if ('$ne' in condition) return value !== condition.$ne;
+    if ('$gt' in condition) return value !== null && value > condition.$gt;
+    if ('$lt' in condition) return value !== null && value < condition.$lt;
+    throw new Error(`Unsupported condition ${JSON.stringify(condition)}`);
+  });
+}
+
+// Mongo sorts null before every other value
+function compare(a, b, sort) {
+  for (const [field, order] of Object.entries(sort)) {
+    const x = a[field];
+    const y = b[field];
+    if (x === y) continue;
+    if (x === null) return -order;
+    if (y === null) return order;
+    return x < y ? -order : order;
+  }
+  return 0;
+}
+
+describe('parsePaging', () => {
+  test('defaults and clamps limit and offset', () => {
+    expect(parsePaging({})).toEqual({ limit: 20, offset: 0, cursor: undefined });
+    expect(parsePaging({ limit: '500', offset: '-3' })).toMatchObject({ limit: 100, offset: 0 });
+    expect(parsePaging({ limit: '500' }, { maxLimit: 500 }).limit).toBe(500);
+  });
+});
+
+describe('encodeCursor / decodeCursor', () => {
+  const sort = { date: -1, number: -1, _id: 1 };
+
+  test('round-trips dates and object ids', () => {
+    const doc = { date: new Date('2024-05-01T00:00:00Z'), number: 915, _id: new mongoose.Types.ObjectId() };
+    const { direction, values } = decodeCursor(encodeCursor(doc, sort, 'next'), sort);
+
+    expect(direction).toBe('next');
+    expect(values[0]).toEqual(doc.date);
+    expect(values[1]).toBe(915);
+    expect(values[2].equals(doc._id)).toBe(true);
+  });
+
+  test('keeps nulls', () => {
+    const doc = { date: null, number: 3, _id: new mongoose.Types.ObjectId() };
+    expect(decodeCursor(encodeCursor(doc, sort, 'previous'), sort).values[0]).toBeNull();
+  });
+
+  test('rejects malformed cursors with a 400', () => {
+    expect(() => decodeCursor('not a cursor', sort)).toThrow(expect.objectContaining({ statusCode: 400, message: 'Invalid cursor' }));
+  });
+
+  test('rejects cursors issued for another sort order', () => {
+    const cursor = encodeCursor({ date: new Date(), number: 1, _id: new mongoose.Types.ObjectId() }, sort, 'next');
+
+    expect(() => decodeCursor(cursor, { number: 1, _id: 1 })).toThrow(
+      expect.objectContaining({ statusCode: 400, message: 'Invalid cursor (it may belong to a different sort order)' })
+    );
+  });
+
+  test('rejects cursors with an unknown direction or the wrong number of values', () => {
+    const forge = position => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+    expect(() => decodeCursor(forge({ s: 'date,_id', d: 'sideways', v: [1, 2] }), { date: 1, _id: 1 })).toThrow();
+    expect(() => decodeCursor(forge({ s: 'date,_id', d: 'next', v: [1] }), { date: 1, _id: 1 })).toThrow();
+  });
+});
+
+describe('keysetFilter', () => {
+  // Ties and nulls in the leading fields, _id unique
+  const docs = [];
+  let id = 0;
+  for (const session of [null, '43-2', '44-1']) {
+    for (const number of [null, 1, 2]) {
+      docs.push({ session, number, _id: ++id });
+    }
+  }
+
+  test.each([
+    [{ session: 1, number: 1, _id: 1 }],
+    [{ session: -1, number: 1, _id: 1 }],
+    [{ session: -1, number: -1, _id: -1 }],
+    [{ session: 1, number: -1, _id: 1 }]
+  ])('matches exactly the items before and after each position in %j', (sort) => {
+    const sorted = [...docs].sort((a, b) => compare(a, b, sort));
+
+    sorted.forEach((doc, index) => {
+      const values = Object.keys(sort).map(field => doc[field]);
+      const after = sorted.filter(candidate => matches(candidate, keysetFilter(sort, values, 'next')));
+      const before = sorted.filter(candidate => matches(candidate, keysetFilter(sort, values, 'previous')));
+
+      expect(after).toEqual(sorted.slice(index + 1));
+      expect(before).toEqual(sorted.slice(0, index));
+    });
+  });
+
+  test('matches nothing before the first position of an all-null sort', () => {
+    expect(keysetFilter({ session: 1 }, [null], 'previous')).toEqual({ _id: null });
+  });
+});
@@ -0,0 +1,131 @@
+// No request spacing, so retries are only delayed by their backoff
+process.env.UPSTREAM_RPS = '0';
+
+jest.mock('axios');
+
+const axios = require('axios');
+const {
+  requestUpstream,
+  fetchFromAPI,
+  parseRetryAfter,
+  getRetryDelay,
+  UPSTREAM_CONFIG
+} = require('../../src/services/proxy');
+
+function httpFailure(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+}
+
+function networkFailure(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+const BILLS_URL = 'https://api.openparliament.ca/bills/?format=json';
+const originalConfig = { ...UPSTREAM_CONFIG };
+
+beforeEach(() => {
+  Object.assign(UPSTREAM_CONFIG, { retryBaseDelay: 1, maxRetryDelay: 50, maxRetries: 3 });
+  axios.get.mockReset();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  Object.assign(UPSTREAM_CONFIG, originalConfig);
+  jest.restoreAllMocks();
+});
+
+describe('parseRetryAfter', () => {
+  test('reads delay-seconds', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+  });
+
+  test('reads an HTTP date', () => {
+    const delay = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+    expect(delay).toBeGreaterThan(3000);
+    expect(delay).toBeLessThanOrEqual(5000);
+  });
+
+  test('treats past dates as no wait and ignores garbage', () => {
+    expect(parseRetryAfter(new Date(Date.now() - 5000).toUTCString())).toBe(0);
+    expect(parseRetryAfter('soon')).toBeNull();
+    expect(parseRetryAfter(undefined)).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  test('backs off exponentially with up to one base delay of jitter', () => {
+    Object.assign(UPSTREAM_CONFIG, { retryBaseDelay: 100, maxRetryDelay: 60000 });
+    const error = httpFailure(503);
+
+    for (const [attempt, backoff] of [[0, 100], [1, 200], [2, 400]]) {
+      const delay = getRetryDelay(error, attempt);
+      expect(delay).toBeGreaterThanOrEqual(backoff);
+      expect(delay).toBeLessThan(backoff + 100);
+    }
+  });
+
+  test('prefers Retry-After and caps it at maxRetryDelay', () => {
+    Object.assign(UPSTREAM_CONFIG, { retryBaseDelay: 100, maxRetryDelay: 10000 });
+
+    expect(getRetryDelay(httpFailure(429, { 'retry-after': '3' }), 0)).toBe(3000);
+    expect(getRetryDelay(httpFailure(429, { 'retry-after': '3600' }), 0)).toBe(10000);
+  });
+});
+
+describe('requestUpstream', () => {
+  test('retries 5xx, 429 and network errors until a request succeeds', async () => {
+    axios.get
+      .mockRejectedValueOnce(httpFailure(503))
+      .mockRejectedValueOnce(httpFailure(429, { 'retry-after': '0' }))
+      .mockRejectedValueOnce(networkFailure('ECONNRESET'))
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: { objects: [] } });
+
+    const response = await requestUpstream(BILLS_URL);
+
+    expect(response.data).toEqual({ objects: [] });
+    expect(axios.get).toHaveBeenCalledTimes(4);
+  });
+
+  test('does not retry client errors', async () => {
+    axios.get.mockRejectedValue(httpFailure(404));
+
+    await expect(requestUpstream(BILLS_URL)).rejects.toThrow('status code 404');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after maxRetries retries', async () => {
+    axios.get.mockRejectedValue(httpFailure(502));
+
+    await expect(requestUpstream(BILLS_URL)).rejects.toThrow('status code 502');
+    expect(axios.get).toHaveBeenCalledTimes(UPSTREAM_CONFIG.maxRetries + 1);
+  });
+});
+
+describe('fetchFromAPI', () => {
+  test('adds format and version and returns the response body', async () => {
+    axios.get.mockResolvedValue({ status: 200, headers: {}, data: { name: 'C-1' } });
+
+    await expect(fetchFromAPI('/bills/44-1/C-1/', { limit: 5, offset: undefined })).resolves.toEqual({ name: 'C-1' });
+    expect(axios.get.mock.calls[0][0]).toBe('https://api.openparliament.ca/bills/44-1/C-1/?format=json&version=v1&limit=5');
+  });
+
+  test.each([
+    [httpFailure(404), 404],
+    [httpFailure(500), 502],
+    [networkFailure('ETIMEDOUT'), 504]
+  ])('maps upstream failures to a status (%#)', async (failure, statusCode) => {
+    Object.assign(UPSTREAM_CONFIG, { maxRetries: 0 });
+    axios.get.mockRejectedValue(failure);
+
+    await expect(fetchFromAPI('/bills/')).rejects.toMatchObject({
+      statusCode,
+      message: expect.stringMatching(/^API request failed: /)
+    });
+  });
+});
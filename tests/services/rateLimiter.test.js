@@ -0,0 +1,56 @@
+const { createLimiter } = require('../../src/services/rateLimiter');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createLimiter', () => {
+  test('never runs more than maxConcurrency tasks at once', async () => {
+    const limiter = createLimiter({ maxConcurrency: 2 });
+    let running = 0;
+    let peak = 0;
+
+    const task = async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(10);
+      running--;
+    };
+
+    await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(task)));
+
+    expect(peak).toBe(2);
+    expect(limiter.stats()).toMatchObject({ active: 0, queued: 0 });
+  });
+
+  test('spaces task starts to the requests-per-second budget', async () => {
+    const limiter = createLimiter({ maxConcurrency: 10, requestsPerSecond: 20 });
+    const starts = [];
+
+    await Promise.all(Array.from({ length: 3 }, () => limiter.schedule(async () => starts.push(Date.now()))));
+
+    // 20 per second is one start every 50ms (allow for timer imprecision)
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(45);
+  });
+
+  test('resolves and rejects with the task result without blocking the queue', async () => {
+    const limiter = createLimiter({ maxConcurrency: 1 });
+
+    const failed = limiter.schedule(async () => {
+      throw new Error('boom');
+    });
+    const succeeded = limiter.schedule(async () => 'ok');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(succeeded).resolves.toBe('ok');
+  });
+
+  test('pauseUntil holds back queued tasks', async () => {
+    const limiter = createLimiter({ maxConcurrency: 1 });
+    const pausedAt = Date.now();
+    limiter.pauseUntil(pausedAt + 60);
+
+    const startedAt = await limiter.schedule(async () => Date.now());
+
+    expect(startedAt - pausedAt).toBeGreaterThanOrEqual(55);
+  });
+});
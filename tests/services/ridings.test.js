@@ -0,0 +1,25 @@
+jest.mock('../../src/models/Riding', () => ({ findOne: jest.fn(), updateOne: jest.fn() }));
+
+const Riding = require('../../src/models/Riding');
+const { importRidings } = require('../../src/services/ridings');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  Riding.findOne.mockReturnValue({ lean: async () => null });
+  Riding.updateOne.mockResolvedValue({});
+});
+
+describe('importRidings', () => {
+  test('counts malformed FSAs apart from skipped records', async () => {
+    const result = await importRidings([
+      { riding_id: 35001, name: { en: 'Ajax', fr: 'Ajax' }, province: 'ON', fsas: ['L1S', 'nope', 'L1T', '12'] },
+      { riding_id: 'abc', name: 'Nowhere' },
+      { riding_id: 35002, fsas: ['L1Z'] }
+    ]);
+
+    expect(result).toEqual({ imported: 1, skipped: 2, invalid_fsas: 2 });
+    expect(Riding.updateOne).toHaveBeenCalledTimes(1);
+    expect(Riding.updateOne.mock.calls[0][1].fsas).toEqual(['L1S', 'L1T']);
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('../../src/services/proxy', () => ({ fetchFromAPI: jest.fn() }));
+jest.mock('../../src/services/sessions', () => ({ registerSession: jest.fn() }));
+jest.mock('../../src/services/entityStore', () => ({
+  ...jest.requireActual('../../src/services/entityStore'),
+  saveVote: jest.fn(),
+  updateVoteBallots: jest.fn()
+}));
+jest.mock('../../src/models/Vote', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/SyncState', () => ({ findOne: jest.fn(), findOneAndUpdate: jest.fn() }));
+
+const { fetchFromAPI } = require('../../src/services/proxy');
+const { saveVote, updateVoteBallots } = require('../../src/services/entityStore');
+const Vote = require('../../src/models/Vote');
+const SyncState = require('../../src/models/SyncState');
+const { updateRecentVotes } = require('../../src/services/scheduler');
+
+const voteItem = number => ({ url: `/votes/44-1/${number}/`, session: '44-1', number, date: '2024-06-01', result: 'Passed' });
+
+function syncVotes(items, { failBallotsFor }) {
+  SyncState.findOne.mockReturnValue({ lean: async () => ({ job: 'votes', high_water: { '44-1': { number: 10 } } }) });
+  Vote.find.mockReturnValue({ lean: async () => [] });
+  fetchFromAPI.mockImplementation(async (endpoint) => (
+    endpoint === '/votes/' ? { objects: items, pagination: { next_url: null } } : {}
+  ));
+  saveVote.mockImplementation(async item => ({ _id: `id-${item.number}`, url: item.url }));
+  updateVoteBallots.mockImplementation(async (vote) => {
+    if (vote._id === `id-${failBallotsFor}`) throw new Error('ballots unavailable');
+  });
+
+  return updateRecentVotes();
+}
+
+const savedMark = () => SyncState.findOneAndUpdate.mock.calls[0][1].high_water['44-1'].number;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+  console.error.mockRestore();
+});
+
+describe('updateRecentVotes', () => {
+  test('a vote whose ballots fail counts as failed, loses its hash and stays above the mark', async () => {
+    const counts = await syncVotes([voteItem(12), voteItem(11)], { failBallotsFor: 12 });
+
+    expect(counts).toEqual({ inserted: 1, updated: 0, unchanged: 0, failed: 1 });
+    expect(Vote.updateOne).toHaveBeenCalledWith({ _id: 'id-12' }, { $unset: { source_hash: 1 } });
+    expect(savedMark()).toBe(11);
+  });
+
+  test('the mark does not move past an older vote whose ballots failed', async () => {
+    const counts = await syncVotes([voteItem(12), voteItem(11)], { failBallotsFor: 11 });
+
+    expect(counts).toEqual({ inserted: 1, updated: 0, unchanged: 0, failed: 1 });
+    expect(savedMark()).toBe(10);
+  });
+});
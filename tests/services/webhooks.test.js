@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+// The retry schedule below is the default one
+delete process.env.WEBHOOK_RETRY_BASE_MS;
+
+const {
+  signPayload,
+  retryDelay,
+  eventsForChange,
+  matchesSubscription,
+  isPrivateHost,
+  dispatchChanges
+} = require('../../src/services/webhooks');
+const WebhookSubscription = require('../../src/models/WebhookSubscription');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const ChangeLog = require('../../src/models/ChangeLog');
+const SyncState = require('../../src/models/SyncState');
+const Vote = require('../../src/models/Vote');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+describe('signPayload', () => {
+  test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const body = JSON.stringify({ event: 'vote.created' });
+    const expected = crypto.createHmac('sha256', 'shh').update(`1700000000.${body}`).digest('hex');
+
+    expect(signPayload('shh', 1700000000, body)).toBe(`sha256=${expected}`);
+  });
+
+  test('changes with the secret, timestamp and body', () => {
+    const signature = signPayload('shh', 1700000000, '{}');
+
+    expect(signPayload('other', 1700000000, '{}')).not.toBe(signature);
+    expect(signPayload('shh', 1700000001, '{}')).not.toBe(signature);
+    expect(signPayload('shh', 1700000000, '{ }')).not.toBe(signature);
+  });
+});
+
+describe('retryDelay', () => {
+  test('doubles from 30 seconds after each failed attempt', () => {
+    expect([1, 2, 3, 4, 5].map(retryDelay)).toEqual([30 * SECOND, MINUTE, 2 * MINUTE, 4 * MINUTE, 8 * MINUTE]);
+  });
+
+  test('is capped at 6 hours', () => {
+    expect(retryDelay(12)).toBe(6 * HOUR);
+    expect(retryDelay(40)).toBe(6 * HOUR);
+  });
+});
+
+describe('eventsForChange', () => {
+  const created = { entity_type: 'vote', change_type: 'created', changes: [] };
+  const stageChange = { entity_type: 'bill', change_type: 'updated', changes: [{ field: 'stage' }] };
+
+  test('maps sync changes to events', () => {
+    expect(eventsForChange(created)).toEqual(['vote.created']);
+    expect(eventsForChange(stageChange)).toEqual(['bill.stage_changed']);
+    expect(eventsForChange({ entity_type: 'member', change_type: 'updated', changes: [{ field: 'party' }] }))
+      .toEqual(['member.party_changed']);
+    expect(eventsForChange({ ...stageChange, changes: [{ field: 'title' }] })).toEqual([]);
+  });
+
+  test('ignores changes written by backfills and on-demand fetches', () => {
+    expect(eventsForChange({ ...created, source: 'sync' })).toEqual(['vote.created']);
+    expect(eventsForChange({ ...created, source: 'backfill' })).toEqual([]);
+    expect(eventsForChange({ ...stageChange, source: 'request' })).toEqual([]);
+  });
+});
+
+describe('matchesSubscription', () => {
+  const change = { entity_type: 'vote', entity_url: '/votes/44-1/915/' };
+  const vote = { bill_url: '/bills/44-1/C-5/' };
+
+  test('requires a subscribed event', () => {
+    expect(matchesSubscription({ events: ['bill.stage_changed'] }, 'vote.created', change, vote)).toBe(false);
+    expect(matchesSubscription({ events: ['vote.created'] }, 'vote.created', change, vote)).toBe(true);
+  });
+
+  test('delivers votes on filtered bills only', () => {
+    expect(matchesSubscription({ events: ['vote.created'], bills: ['/bills/44-1/C-5/'] }, 'vote.created', change, vote)).toBe(true);
+    expect(matchesSubscription({ events: ['vote.created'], bills: ['/bills/44-1/C-6/'] }, 'vote.created', change, vote)).toBe(false);
+  });
+});
+
+describe('isPrivateHost', () => {
+  test.each([
+    'localhost', 'api.localhost', '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '[::1]', '[fd00::1]', '[fe80::1]', '[::ffff:127.0.0.1]', '[::ffff:a00:1]'
+  ])('%s is private', (host) => {
+    expect(isPrivateHost(host)).toBe(true);
+  });
+
+  test.each(['example.com', '8.8.8.8', '172.32.0.1', '[2606:4700::1111]'])('%s is public', (host) => {
+    expect(isPrivateHost(host)).toBe(false);
+  });
+});
+
+describe('dispatchChanges', () => {
+  // Stand-in for a Mongoose query: chainable, resolving to value from lean()
+  const query = value => {
+    const chain = { sort: () => chain, limit: () => chain, lean: async () => value };
+    return chain;
+  };
+
+  const subscribedAt = new Date('2024-06-01T12:00:00Z');
+  const subscription = { _id: 'sub-1', events: ['vote.created'], createdAt: subscribedAt };
+  const voteCreated = {
+    _id: '665b0f0000000000000000a1',
+    entity_type: 'vote',
+    entity_url: '/votes/44-1/915/',
+    change_type: 'created',
+    source: 'sync',
+    changes: [],
+    recorded_at: new Date('2024-06-01T12:05:00Z')
+  };
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(SyncState, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(SyncState, 'updateOne').mockResolvedValue({});
+    jest.spyOn(WebhookSubscription, 'find').mockReturnValue(query([subscription]));
+    jest.spyOn(Vote, 'findOne').mockReturnValue(query({ url: voteCreated.entity_url }));
+    jest.spyOn(WebhookDelivery, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(WebhookDelivery, 'find').mockReturnValue(query([]));
+  });
+
+  afterAll(() => jest.restoreAllMocks());
+
+  test('first dispatch delivers changes since the first subscription was created', async () => {
+    jest.spyOn(SyncState, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(WebhookSubscription, 'findOne').mockReturnValue(query(subscription));
+    const changeFind = jest.spyOn(ChangeLog, 'find').mockReturnValue(query([voteCreated]));
+
+    await expect(dispatchChanges()).resolves.toEqual({ changes: 1, deliveries: 1 });
+
+    expect(changeFind).toHaveBeenCalledWith({ recorded_at: { $gt: subscribedAt } });
+    expect(SyncState.findOneAndUpdate.mock.calls[0][1].high_water).toEqual({ recorded_at: subscribedAt });
+    expect(SyncState.updateOne.mock.calls[0][1].high_water).toEqual({
+      recorded_at: voteCreated.recorded_at,
+      id: voteCreated._id
+    });
+  });
+
+  test('does not start a high-water mark before any subscription exists', async () => {
+    jest.spyOn(SyncState, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(WebhookSubscription, 'findOne').mockReturnValue(query(null));
+    const changeFind = jest.spyOn(ChangeLog, 'find');
+
+    await expect(dispatchChanges()).resolves.toEqual({ changes: 0, deliveries: 0 });
+
+    expect(SyncState.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(changeFind).not.toHaveBeenCalled();
+  });
+});